@@ -1,10 +1,9 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import {
   Palette, Sparkles, Layers, Grid3X3, Image,
   Blend, BookOpen, Eye, Star, TrendingUp, FlaskConical, Waves,
-  Download, Sun, Save, Check, Heart
+  Download, Sun, Save, Check, Heart, Link, GitCompare, SunMoon, BadgeCheck
 } from 'lucide-react';
-import { parse } from 'culori';
 
 import PaletteDoctor from './components/PaletteDoctor';
 import ContextSelector from './components/ContextSelector';
@@ -21,6 +20,9 @@ import ImageExtractor from './components/ImageExtractor';
 import GradientGenerator from './components/GradientGenerator';
 import ColorSearch from './components/ColorSearch';
 import PaletteHistory, { usePaletteHistory } from './components/PaletteHistory';
+import UndoTimeline, { useUndoHistory } from './components/UndoTimeline';
+import PaletteImporter from './components/PaletteImporter';
+import ColorInput from './components/ColorInput';
 import UIPreviewPanel from './components/UIPreviewPanel';
 import CuratedPalettes from './components/CuratedPalettes';
 import HarmonyMixer from './components/HarmonyMixer';
@@ -29,11 +31,18 @@ import VibeHarmony from './components/VibeHarmony';
 import PaintMixer from './components/PaintMixer';
 import ExportPanel from './components/ExportPanel';
 import AccessibilityChecker from './components/AccessibilityChecker';
+import ColorCompare from './components/ColorCompare';
+import VisionFilter, { VISION_FILTER_ID } from './components/VisionFilter';
+import ViewingFilter from './components/ViewingFilter';
+import CvdSafeControl from './components/CvdSafeControl';
+import DatavizPanel from './components/DatavizPanel';
+import ThemePairPanel from './components/ThemePairPanel';
+import SemanticColorsPanel from './components/SemanticColorsPanel';
 import ShadowHighlight from './components/ShadowHighlight';
 import PaletteBuilder from './components/PaletteBuilder';
+import NameSystemSelector, { useNameDictionaries } from './components/NameSystemSelector';
 
 import {
-  toOklch, 
   oklchToHex, 
   generateMoodPalette,
   generateRandomHarmony,
@@ -43,32 +52,144 @@ import {
   getTetradic,
   getAnalogous,
   getMonochromatic,
+  clampHarmonySpread,
 } from './utils/colorUtils';
 import { generateSmartHarmony } from './utils/smartHarmony';
 import { analyzePalette } from './utils/paletteAnalyzer';
 import { regenerateUnlocked } from './utils/smartFill';
 import { generateColorName } from './utils/colorNames';
+import { DEFAULT_NAME_DICTIONARY } from './utils/nameDictionaries';
+import { DEFAULT_WHEEL_MODEL, setModelHue } from './utils/wheelModels';
+import { DEFAULT_VISION } from './utils/colorVision';
+import { DEFAULT_VIEWING } from './utils/viewingConditions';
+import { getCvdReport } from './utils/cvdSafe';
+import { DEFAULT_DATAVIZ } from './utils/dataviz';
+import { decodeShareState, buildShareUrl, clearShareHash } from './utils/shareState';
+import {
+  GAMUT_MAPPING_METHODS,
+  WORKING_GAMUTS,
+  DEFAULT_GAMUT_MAPPING,
+  setGamutMappingMethod,
+  DEFAULT_WORKING_GAMUT,
+  setWorkingGamut,
+} from './utils/gamutMapping';
 
 const DEFAULT_COLOR = { mode: 'oklch', l: 0.65, c: 0.18, h: 280 };
+// Idle time after a base-color change before the CVD-safe pass runs
+const CVD_SAFE_SETTLE_MS = 300;
+
+const TABS = [
+  { id: 'harmonies', label: 'Harmonies', icon: Grid3X3 },
+  { id: 'smart', label: 'Smart', icon: Sparkles },
+  { id: 'vibe', label: 'Vibe', icon: Waves },
+  { id: 'builder', label: 'Builder', icon: Layers },
+  { id: 'mood', label: 'Moods', icon: Sparkles },
+  { id: 'extract', label: 'Extract', icon: Image },
+  { id: 'gradient', label: 'Gradients', icon: Blend },
+  { id: 'mixer', label: 'Mixer', icon: Layers },
+  { id: 'inspire', label: 'Inspire', icon: BookOpen },
+  { id: 'preview', label: 'Preview', icon: Eye },
+  { id: 'theme', label: 'Dark Mode', icon: SunMoon },
+  { id: 'status', label: 'Status', icon: BadgeCheck },
+  { id: 'shadow', label: 'Shadow', icon: Sun },
+  { id: 'doctor', label: 'Doctor', icon: TrendingUp },
+  { id: 'access', label: 'WCAG', icon: Eye },
+  { id: 'compare', label: 'Compare', icon: GitCompare },
+  { id: 'paint', label: 'Paint', icon: FlaskConical },
+  { id: 'export', label: 'Export', icon: Download },
+];
 
 export default function App() {
-  const [selectedColor, setSelectedColor] = useState(DEFAULT_COLOR);
+  // State restored from a shared link (#s=…), read once on first render
+  const [shared] = useState(() => decodeShareState(window.location.hash) || {});
+
+  const [selectedColor, setSelectedColor] = useState(shared.selectedColor || DEFAULT_COLOR);
   const [colorFormat, setColorFormat] = useState('hex');
-  const [activePalette, setActivePalette] = useState([]);
-  const [activeTab, setActiveTab] = useState('harmonies');
-  const [selectedHarmony, setSelectedHarmony] = useState('triadic');
+  const [nameSystem, setNameSystem] = useState(DEFAULT_NAME_DICTIONARY);
+  const [gamutMapping, setGamutMapping] = useState(DEFAULT_GAMUT_MAPPING);
+  const [workingGamut, setWorkingGamutState] = useState(DEFAULT_WORKING_GAMUT);
+  const [activePalette, setActivePalette] = useState(shared.activePalette || []);
+  const [activeTab, setActiveTab] = useState(
+    TABS.some(t => t.id === shared.activeTab) ? shared.activeTab : 'harmonies'
+  );
+  const [selectedHarmony, setSelectedHarmony] = useState(shared.selectedHarmony || 'triadic');
   const [harmonyColors, setHarmonyColors] = useState([]);
+  // Angular spread set by dragging a companion on the wheel; null = default
+  const [harmonySpread, setHarmonySpread] = useState(null);
+  // Hue model harmonies rotate in (OKLCH, HSL or the painter's RYB wheel)
+  const [wheelModel, setWheelModel] = useState(DEFAULT_WHEEL_MODEL);
+  // "View as" color-vision simulation applied to everything below the header
+  const [vision, setVision] = useState(DEFAULT_VISION);
+  // Low-vision / environmental condition, set in the Access tab and shown on
+  // the UI preview and uploaded images
+  const [viewing, setViewing] = useState(DEFAULT_VIEWING);
+  // CVD-safe constraint for the smart, mood and builder generators; null = off
+  const [cvdSafe, setCvdSafe] = useState(null);
+  // Scheme, class count and hues for the dataviz smart context
+  const [datavizOptions, setDatavizOptions] = useState(DEFAULT_DATAVIZ);
   const [selectedMood, setSelectedMood] = useState(null);
-  const [moodPalette, setMoodPalette] = useState([]);
-  const [lockedIndices, setLockedIndices] = useState([]);
-  const [designContext, setDesignContext] = useState('ui');
+  const [moodPalette, setMoodPalette] = useState(shared.activePalette || []);
+  const [lockedIndices, setLockedIndices] = useState(shared.lockedIndices || []);
+  const [designContext, setDesignContext] = useState(shared.designContext || 'ui');
+  const [gradientSettings, setGradientSettings] = useState(shared.gradientSettings || null);
   const [savedFeedback, setSavedFeedback] = useState(false);
+  const [linkFeedback, setLinkFeedback] = useState(false);
+
+  // The initial harmony pass must not overwrite a palette restored from a link
+  const keepSharedPalette = useRef(Boolean(shared.activePalette));
+
+  useEffect(() => {
+    if (Object.keys(shared).length > 0) clearShareHash();
+  }, [shared]);
 
   const {
     history, favorites, addToHistory, removeFromHistory,
     removeFromFavorites, clearHistory, isFavorite, toggleFavorite
   } = usePaletteHistory();
 
+  const { dictionaries, importDictionary, removeDictionary } = useNameDictionaries();
+
+  // The CVD-safe search takes a noticeable fraction of a second, too slow for
+  // every wheel or slider tick: the smart palette follows the base color live
+  // without it and applies it once the color has settled
+  const [settledColor, setSettledColor] = useState(selectedColor);
+  useEffect(() => {
+    const timer = setTimeout(() => setSettledColor(selectedColor), CVD_SAFE_SETTLE_MS);
+    return () => clearTimeout(timer);
+  }, [selectedColor]);
+  const cvdSafeNow = cvdSafe && settledColor === selectedColor ? cvdSafe : null;
+
+  // Undo/redo covers the palette state and the generator inputs it came from;
+  // restoring must not trigger the harmony regeneration or the harmony/mood →
+  // activePalette sync effects below
+  const restoringEdit = useRef(false);
+  const paletteSnapshot = useMemo(
+    () => ({
+      activePalette, moodPalette, harmonyColors, lockedIndices,
+      selectedColor, selectedHarmony, harmonySpread, wheelModel, designContext, datavizOptions,
+    }),
+    [activePalette, moodPalette, harmonyColors, lockedIndices, selectedColor, selectedHarmony, harmonySpread, wheelModel, designContext, datavizOptions]
+  );
+  const handleRestoreEdit = useCallback((snapshot) => {
+    restoringEdit.current = true;
+    setActivePalette(snapshot.activePalette);
+    setMoodPalette(snapshot.moodPalette);
+    setHarmonyColors(snapshot.harmonyColors);
+    setLockedIndices(snapshot.lockedIndices);
+    setSelectedColor(snapshot.selectedColor);
+    // Already settled: a restore isn't a drag, and the CVD-safe pass must
+    // not regenerate the restored palette a moment later
+    setSettledColor(snapshot.selectedColor);
+    setSelectedHarmony(snapshot.selectedHarmony);
+    setHarmonySpread(snapshot.harmonySpread);
+    setWheelModel(snapshot.wheelModel);
+    setDesignContext(snapshot.designContext);
+    setDatavizOptions(snapshot.datavizOptions);
+  }, []);
+  const {
+    past: editsPast, future: editsFuture, recordEdit, undo, redo, travel
+  } = useUndoHistory(paletteSnapshot, handleRestoreEdit);
+
   const handleSavePalette = useCallback(() => {
     const paletteToSave = activePalette.length > 0 ? activePalette : harmonyColors;
     if (paletteToSave.length === 0) return;
@@ -78,65 +199,161 @@ export default function App() {
     setTimeout(() => setSavedFeedback(false), 2000);
   }, [activePalette, harmonyColors, toggleFavorite]);
 
+  // The state here is the source of truth; gamutMapping.js keeps a copy as
+  // the default for the many oklchToHex calls that don't pass a method
+  const handleGamutMapping = useCallback((method) => {
+    setGamutMappingMethod(method);
+    setGamutMapping(method);
+  }, []);
+
+  // Same arrangement for the working gamut, which the generators read there
+  const handleWorkingGamut = useCallback((id) => {
+    setWorkingGamut(id);
+    setWorkingGamutState(id);
+  }, []);
+
+  // The viewing condition follows the user out of the Access tab; the views it
+  // filters there offer this to switch it off
+  const handleViewingReset = useCallback(() => {
+    setViewing(prev => ({ ...prev, type: 'normal' }));
+  }, []);
+
+  const handleCopyLink = useCallback(async () => {
+    const url = buildShareUrl({
+      selectedColor,
+      activePalette: activePalette.length > 0 ? activePalette : harmonyColors,
+      lockedIndices,
+      activeTab,
+      selectedHarmony,
+      designContext,
+      gradientSettings,
+    });
+
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkFeedback(true);
+      setTimeout(() => setLinkFeedback(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy link:', err);
+    }
+  }, [selectedColor, activePalette, harmonyColors, lockedIndices, activeTab, selectedHarmony, designContext, gradientSettings]);
+
   // Define updateHarmony BEFORE the useEffect that depends on it
+  // workingGamut is a dependency although unread: the generators clamp chroma
+  // to gamutMapping.js's copy of it, so a new gamut has to regenerate
   const updateHarmony = useCallback((harmonyType) => {
     if (!selectedColor) return;
     let colors;
 
     // If using smart context, generate context-aware palette
     if (harmonyType === 'smart') {
-      colors = generateSmartHarmony(selectedColor, designContext);
+      colors = generateSmartHarmony(selectedColor, designContext, { cvdSafe: cvdSafeNow, dataviz: datavizOptions });
     } else {
       // Original geometric harmonies
       switch (harmonyType) {
-        case 'complementary': colors = getComplementary(selectedColor); break;
-        case 'split-complementary': colors = getSplitComplementary(selectedColor); break;
-        case 'triadic': colors = getTriadic(selectedColor); break;
-        case 'tetradic': colors = getTetradic(selectedColor); break;
-        case 'analogous': colors = getAnalogous(selectedColor, 5, 25); break;
+        case 'complementary': colors = getComplementary(selectedColor, { model: wheelModel }); break;
+        case 'split-complementary': colors = getSplitComplementary(selectedColor, { spread: harmonySpread, model: wheelModel }); break;
+        case 'triadic': colors = getTriadic(selectedColor, { spread: harmonySpread, model: wheelModel }); break;
+        case 'tetradic': colors = getTetradic(selectedColor, { spread: harmonySpread, model: wheelModel }); break;
+        case 'analogous': colors = getAnalogous(selectedColor, 5, clampHarmonySpread('analogous', harmonySpread), { model: wheelModel }); break;
         case 'monochromatic': colors = getMonochromatic(selectedColor); break;
-        default: colors = getTriadic(selectedColor);
+        default: colors = getTriadic(selectedColor, { model: wheelModel });
       }
     }
 
     setHarmonyColors(colors);
     setSelectedHarmony(harmonyType);
-  }, [selectedColor, designContext]);
+  }, [selectedColor, designContext, harmonySpread, wheelModel, cvdSafeNow, datavizOptions, workingGamut]);
 
   useEffect(() => {
-    if (selectedColor) updateHarmony(selectedHarmony);
+    if (selectedColor && !restoringEdit.current) updateHarmony(selectedHarmony);
   }, [selectedColor, selectedHarmony, updateHarmony]);
 
   useEffect(() => {
-    if (harmonyColors.length > 0) setActivePalette(harmonyColors);
+    if (harmonyColors.length === 0 || restoringEdit.current) return;
+    if (keepSharedPalette.current) {
+      keepSharedPalette.current = false;
+      return;
+    }
+    setActivePalette(harmonyColors);
   }, [harmonyColors]);
 
   useEffect(() => {
-    if (moodPalette.length > 0) setActivePalette(moodPalette);
+    if (moodPalette.length > 0 && !restoringEdit.current) setActivePalette(moodPalette);
   }, [moodPalette]);
 
-  const handleColorSelect = useCallback((color) => setSelectedColor(color), []);
+  // Runs after the sync effects above, so a restore skips exactly one pass
+  useEffect(() => {
+    restoringEdit.current = false;
+  });
+
+  // A new base color regenerates the harmony, which replaces the active
+  // palette; a wheel or slider drag is one undo step
+  const handleColorSelect = useCallback((color) => {
+    recordEdit('base color', { coalesce: 'base color' });
+    setSelectedColor(color);
+  }, [recordEdit]);
 
   const handleHarmonySelect = useCallback((harmonyId, colors) => {
+    recordEdit(`${harmonyId} harmony`);
+    setHarmonySpread(null);
     setSelectedHarmony(harmonyId);
     setHarmonyColors(colors);
     addToHistory(colors, `${harmonyId} harmony`);
-  }, [addToHistory]);
+  }, [addToHistory, recordEdit]);
+
+  // Wheel handles: one undo step per drag, palette follows live
+  const handleHarmonyDragStart = useCallback((kind) => {
+    recordEdit(kind === 'rotate' ? 'rotated harmony' : 'harmony spread');
+  }, [recordEdit]);
+
+  const handleHarmonyRotate = useCallback((hue) => {
+    setSelectedColor(color => setModelHue(color, hue, wheelModel));
+  }, [wheelModel]);
+
+  const handleWheelModel = useCallback((model) => {
+    recordEdit(`${model.toUpperCase()} wheel`);
+    setWheelModel(model);
+  }, [recordEdit]);
+
+  const handleHarmonySpread = useCallback((spread) => {
+    setHarmonySpread(clampHarmonySpread(selectedHarmony, spread));
+  }, [selectedHarmony]);
 
   const handleApplyFix = useCallback((fixedColors) => {
+    recordEdit('auto-fixed palette');
     setActivePalette(fixedColors);
     setMoodPalette(fixedColors);
     setHarmonyColors(fixedColors);
     addToHistory(fixedColors, 'auto-fixed palette');
-  }, [addToHistory]);
+  }, [addToHistory, recordEdit]);
+
+  const handleApplyPalette = useCallback((colors, label) => {
+    recordEdit(label);
+    setActivePalette(colors);
+    setMoodPalette(colors);
+    setHarmonyColors(colors);
+    addToHistory(colors, label);
+  }, [addToHistory, recordEdit]);
+
+  const handleReplaceColor = useCallback((index, color) => {
+    const source = activePalette.length > 0 ? activePalette : harmonyColors;
+    const updated = source.map((c, i) => (i === index ? color : c));
+    recordEdit('contrast fix');
+    setActivePalette(updated);
+    setMoodPalette(updated);
+    setHarmonyColors(updated);
+    addToHistory(updated, 'contrast fix');
+  }, [activePalette, harmonyColors, addToHistory, recordEdit]);
 
   const handleMoodSelect = useCallback((mood) => {
     setSelectedMood(mood);
-    const palette = generateMoodPalette(mood, selectedColor);
+    const palette = generateMoodPalette(mood, selectedColor, { cvdSafe });
+    recordEdit(`${mood} mood`);
     setMoodPalette(palette);
     setLockedIndices([]);
     addToHistory(palette, `${mood} mood`);
-  }, [selectedColor, addToHistory]);
+  }, [selectedColor, addToHistory, recordEdit, cvdSafe]);
 
   const handleRegenerateMood = useCallback(() => {
     if (!selectedMood && lockedIndices.length === 0) return;
@@ -144,88 +361,86 @@ export default function App() {
     let mergedPalette;
     if (lockedIndices.length > 0) {
       // Smart fill: locked colors drive what gets generated into unlocked slots
-      mergedPalette = regenerateUnlocked(moodPalette, lockedIndices);
+      mergedPalette = regenerateUnlocked(moodPalette, lockedIndices, { cvdSafe });
     } else {
-      const newPalette = generateMoodPalette(selectedMood, selectedColor);
+      const newPalette = generateMoodPalette(selectedMood, selectedColor, { cvdSafe });
       mergedPalette = newPalette;
     }
 
+    const label = lockedIndices.length > 0 ? 'smart fill' : `${selectedMood} mood`;
+    recordEdit(label);
     setMoodPalette(mergedPalette);
-    addToHistory(mergedPalette, lockedIndices.length > 0 ? 'smart fill' : `${selectedMood} mood`);
-  }, [selectedMood, selectedColor, moodPalette, lockedIndices, addToHistory]);
+    addToHistory(mergedPalette, label);
+  }, [selectedMood, selectedColor, moodPalette, lockedIndices, addToHistory, recordEdit, cvdSafe]);
 
   const handleLockToggle = useCallback((index) => {
+    recordEdit(lockedIndices.includes(index) ? 'unlock color' : 'lock color');
     setLockedIndices(prev => 
       prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]
     );
-  }, []);
+  }, [lockedIndices, recordEdit]);
 
   const handleRandomPalette = useCallback(() => {
     const random = generateRandomHarmony({
       count: 5,
       harmonyType: ['analogous', 'complementary', 'triadic', 'tetradic'][Math.floor(Math.random() * 4)]
     });
+    recordEdit('random harmony');
     setMoodPalette(random);
     setActivePalette(random);
     setSelectedMood(null);
     addToHistory(random, 'random harmony');
-  }, [addToHistory]);
-
-  const handleHexInput = useCallback((hex) => {
-    try {
-      const parsed = parse(hex);
-      if (parsed) {
-        const oklch = toOklch(parsed);
-        if (oklch) setSelectedColor(oklch);
-      }
-    } catch (e) {}
-  }, []);
+  }, [addToHistory, recordEdit]);
 
   const handlePaletteFromHistory = useCallback((colors) => {
+    recordEdit('restored from history');
     setActivePalette(colors);
     setMoodPalette(colors);
     if (colors[0]) setSelectedColor(colors[0]);
-  }, []);
+  }, [recordEdit]);
 
   const handleExtractedColors = useCallback((colors) => {
+    recordEdit('extracted from image');
     setActivePalette(colors);
     setMoodPalette(colors);
     addToHistory(colors, 'extracted from image');
     if (colors[0]) setSelectedColor(colors[0]);
-  }, [addToHistory]);
+  }, [addToHistory, recordEdit]);
 
   const handleMixedPalette = useCallback((colors) => {
+    recordEdit('harmony mix');
     setActivePalette(colors);
     setMoodPalette(colors);
     addToHistory(colors, 'harmony mix');
-  }, [addToHistory]);
+  }, [addToHistory, recordEdit]);
 
   const handleCuratedPalette = useCallback((colors) => {
+    recordEdit('curated palette');
     setActivePalette(colors);
     setMoodPalette(colors);
     addToHistory(colors, 'curated palette');
     if (colors[0]) setSelectedColor(colors[0]);
-  }, [addToHistory]);
-
-  const colorName = generateColorName(selectedColor);
-
-  const TABS = [
-    { id: 'harmonies', label: 'Harmonies', icon: Grid3X3 },
-    { id: 'smart', label: 'Smart', icon: Sparkles },
-    { id: 'vibe', label: 'Vibe', icon: Waves },
-    { id: 'builder', label: 'Builder', icon: Layers },
-    { id: 'mood', label: 'Moods', icon: Sparkles },
-    { id: 'extract', label: 'Extract', icon: Image },
-    { id: 'gradient', label: 'Gradients', icon: Blend },
-    { id: 'mixer', label: 'Mixer', icon: Layers },
-    { id: 'inspire', label: 'Inspire', icon: BookOpen },
-    { id: 'preview', label: 'Preview', icon: Eye },
-    { id: 'shadow', label: 'Shadow', icon: Sun },
-    { id: 'doctor', label: 'Doctor', icon: TrendingUp },
-    { id: 'access', label: 'WCAG', icon: Eye },
-    { id: 'paint', label: 'Paint', icon: FlaskConical },
-    { id: 'export', label: 'Export', icon: Download },
-  ];
+  }, [addToHistory, recordEdit]);
+
+  // Palettes brought in from outside: imported files and multi-color pastes
+  const handleLoadedPalette = useCallback((colors, label, historyLabel = label) => {
+    recordEdit(label);
+    setActivePalette(colors);
+    setMoodPalette(colors);
+    setLockedIndices([]);
+    addToHistory(colors, historyLabel);
+    if (colors[0]) setSelectedColor(colors[0]);
+  }, [addToHistory, recordEdit]);
+
+  const handleImportedPalette = useCallback((colors, fileName) => {
+    handleLoadedPalette(colors, 'imported palette', `imported ${fileName}`);
+  }, [handleLoadedPalette]);
+
+  const handlePastedPalette = useCallback((colors) => {
+    handleLoadedPalette(colors, 'pasted palette');
+  }, [handleLoadedPalette]);
+
+  const colorName = generateColorName(selectedColor, nameSystem);
 
   return (
     <div className="app min-h-screen bg-[#0a0a0f] text-[#f0f0f5]">
@@ -258,6 +473,40 @@ export default function App() {
                 </button>
               ))}
             </div>
+
+            <div className="hidden md:flex items-center gap-1 bg-[#12121a] rounded-lg p-1">
+              {WORKING_GAMUTS.map(({ id, label }) => (
+                <button
+                  key={id}
+                  onClick={() => handleWorkingGamut(id)}
+                  title={`Working gamut: ${label} — limits generators, wheel and sliders`}
+                  className={`px-2.5 py-1 rounded-md text-[10px] uppercase tracking-wider font-medium transition-colors ${workingGamut === id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'}`}
+                >
+                  {label}
+                </button>
+              ))}
+              <span className="w-px h-4 bg-[#1a1a24] mx-0.5" />
+              {GAMUT_MAPPING_METHODS.map(({ id, label, hint }) => (
+                <button
+                  key={id}
+                  onClick={() => handleGamutMapping(id)}
+                  title={hint}
+                  className={`px-2.5 py-1 rounded-md text-[10px] uppercase tracking-wider font-medium transition-colors ${gamutMapping === id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            <VisionFilter vision={vision} onChange={setVision} />
+
+            <NameSystemSelector
+              dictionaries={dictionaries}
+              selected={nameSystem}
+              onSelect={setNameSystem}
+              onImport={importDictionary}
+              onRemove={removeDictionary}
+            />
             
             <button
               onClick={() => activePalette.length > 0 && toggleFavorite(activePalette)}
@@ -266,41 +515,70 @@ export default function App() {
             >
               <Star size={16} className={activePalette.length > 0 && isFavorite(activePalette) ? 'fill-current' : ''} />
             </button>
+
+            <PaletteImporter onImport={handleImportedPalette} />
+
+            <button
+              onClick={handleCopyLink}
+              className={`flex items-center gap-1.5 px-3 py-2 rounded-lg text-xs font-medium transition-colors ${linkFeedback ? 'bg-green-500/20 text-green-400' : 'bg-[#12121a] text-[#55556a] hover:text-[#8888a0]'}`}
+              title="Copy a link to this palette and view"
+            >
+              {linkFeedback ? <Check size={14} /> : <Link size={14} />}
+              <span className="hidden sm:inline">{linkFeedback ? 'Copied!' : 'Copy link'}</span>
+            </button>
           </div>
         </div>
       </header>
 
-      <main className="max-w-[1600px] mx-auto px-4 lg:px-6 py-6">
+      <ViewingFilter viewing={viewing} />
+
+      <main
+        className="max-w-[1600px] mx-auto px-4 lg:px-6 py-6"
+        style={vision.type !== 'normal' ? { filter: `url(#${VISION_FILTER_ID})` } : undefined}
+      >
         <div className="grid grid-cols-1 lg:grid-cols-12 gap-6">
           
           <div className="lg:col-span-4 xl:col-span-3 space-y-5">
             <div className="bg-[#12121a] rounded-2xl p-5 border border-[#1a1a24]">
               <div className="flex items-center justify-center mb-4">
-                <ColorWheel selectedColor={selectedColor} onColorSelect={handleColorSelect} size={240} />
+                <ColorWheel
+                  selectedColor={selectedColor}
+                  gamutMapping={gamutMapping}
+                  workingGamut={workingGamut}
+                  onColorSelect={handleColorSelect}
+                  size={240}
+                  model={wheelModel}
+                  onModelChange={handleWheelModel}
+                  harmonyType={selectedHarmony}
+                  harmonySpread={harmonySpread}
+                  onHarmonyDragStart={handleHarmonyDragStart}
+                  onHarmonyRotate={handleHarmonyRotate}
+                  onHarmonySpreadChange={handleHarmonySpread}
+                />
               </div>
               
               <div className="flex items-center gap-3 mb-4">
                 <div className="w-14 h-14 rounded-xl shrink-0 shadow-lg" style={{ backgroundColor: oklchToHex(selectedColor) }} />
                 <div className="flex-1 min-w-0">
-                  <input
-                    type="text"
-                    value={oklchToHex(selectedColor)}
-                    onChange={(e) => handleHexInput(e.target.value)}
-                    className="w-full bg-[#0a0a0f] border border-[#1a1a24] rounded-lg px-3 py-2 font-mono text-sm focus:outline-none focus:border-[#ff6b4a]/50"
+                  <ColorInput
+                    color={selectedColor}
+                    nameSystem={nameSystem}
+                    onColorChange={handleColorSelect}
+                    onPaletteInput={handlePastedPalette}
                   />
                   <p className="text-xs text-[#55556a] mt-1 truncate">{colorName}</p>
                 </div>
               </div>
               
-              <ColorSliders color={selectedColor} onChange={handleColorSelect} />
+              <ColorSliders color={selectedColor} onChange={handleColorSelect} workingGamut={workingGamut} />
             </div>
 
             <div className="bg-[#12121a] rounded-2xl p-5 border border-[#1a1a24]">
-              <ColorSearch onColorSelect={handleColorSelect} />
+              <ColorSearch onColorSelect={handleColorSelect} nameSystem={nameSystem} />
             </div>
 
             <div className="bg-[#12121a] rounded-2xl p-5 border border-[#1a1a24] hidden lg:block">
-              <ColorInfoPanel color={selectedColor} />
+              <ColorInfoPanel color={selectedColor} nameSystem={nameSystem} />
             </div>
           </div>
 
@@ -322,12 +600,12 @@ export default function App() {
               {activeTab === 'harmonies' && (
                 <div className="space-y-6">
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                    <HarmonySelector baseColor={selectedColor} onHarmonySelect={handleHarmonySelect} selectedHarmony={selectedHarmony} />
+                    <HarmonySelector baseColor={selectedColor} onHarmonySelect={handleHarmonySelect} selectedHarmony={selectedHarmony} model={wheelModel} />
                     <div className="flex items-center justify-center">
-                      <HarmonyVisualizer colors={harmonyColors} harmonyType={selectedHarmony} size={160} />
+                      <HarmonyVisualizer colors={harmonyColors} harmonyType={selectedHarmony} size={160} gamutMapping={gamutMapping} />
                     </div>
                   </div>
-                  <PaletteDisplay colors={harmonyColors} title={`${selectedHarmony.replace('-', ' ')} Harmony`} format={colorFormat} onColorClick={handleColorSelect} />
+                  <PaletteDisplay colors={harmonyColors} title={`${selectedHarmony.replace('-', ' ')} Harmony`} format={colorFormat} nameSystem={nameSystem} onColorClick={handleColorSelect} />
                   <TintsShadePanel baseColor={selectedColor} onColorSelect={handleColorSelect} />
                 </div>
               )}
@@ -337,25 +615,45 @@ export default function App() {
                   <ContextSelector 
                     selectedContext={designContext}
                     onContextSelect={(context) => {
+                      recordEdit(`${context} palette`);
                       setDesignContext(context);
                       updateHarmony('smart');
                     }}
                   />
                   
                   <button
-                    onClick={() => updateHarmony('smart')}
+                    onClick={() => { recordEdit('smart palette'); updateHarmony('smart'); }}
                     className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-accent hover:bg-accent/80 rounded-xl transition-colors"
                   >
                     <Sparkles size={16} />
                     <span className="text-sm font-medium">Generate Smart Palette</span>
                   </button>
 
+                  {designContext === 'dataviz' && (
+                    <DatavizPanel
+                      colors={selectedHarmony === 'smart' ? harmonyColors : []}
+                      options={datavizOptions}
+                      onOptionsChange={(options) => {
+                        recordEdit(`${options.scheme} chart palette`);
+                        setDatavizOptions(options);
+                      }}
+                    />
+                  )}
+
+                  <CvdSafeControl
+                    value={cvdSafe}
+                    onChange={setCvdSafe}
+                    report={selectedHarmony === 'smart' ? getCvdReport(harmonyColors) : null}
+                    colors={harmonyColors}
+                  />
+
                   {harmonyColors.length > 0 && (
                     <>
                       <PaletteDisplay 
                         colors={harmonyColors} 
                         title={`${designContext} palette`} 
                         format={colorFormat} 
+                        nameSystem={nameSystem}
                         onColorClick={handleColorSelect} 
                       />
                       
@@ -393,6 +691,8 @@ export default function App() {
                 <PaletteBuilder
                   selectedColor={selectedColor}
                   onPaletteGenerate={handleMixedPalette}
+                  cvdSafe={cvdSafe}
+                  onCvdSafeChange={setCvdSafe}
                 />
               )}
 
@@ -407,6 +707,9 @@ export default function App() {
                 <ExportPanel
                   colors={activePalette.length > 0 ? activePalette : harmonyColors}
                   paletteLabel={selectedHarmony || 'Palette'}
+                  nameSystem={nameSystem}
+                  gamutMapping={gamutMapping}
+                  workingGamut={workingGamut}
                 />
               )}
 
@@ -414,6 +717,18 @@ export default function App() {
                 <AccessibilityChecker
                   colors={activePalette.length > 0 ? activePalette : harmonyColors}
                   baseColor={selectedColor}
+                  onReplaceColor={handleReplaceColor}
+                  gamutMapping={gamutMapping}
+                  viewing={viewing}
+                  onViewingChange={setViewing}
+                />
+              )}
+
+              {activeTab === 'compare' && (
+                <ColorCompare
+                  colors={activePalette.length > 0 ? activePalette : harmonyColors}
+                  selectedColor={selectedColor}
+                  nameSystem={nameSystem}
                 />
               )}
 
@@ -427,6 +742,12 @@ export default function App() {
               {activeTab === 'mood' && (
                 <div className="space-y-6">
                   <MoodSelector onMoodSelect={handleMoodSelect} selectedMood={selectedMood} baseColor={selectedColor} />
+                  <CvdSafeControl
+                    value={cvdSafe}
+                    onChange={setCvdSafe}
+                    report={getCvdReport(moodPalette)}
+                    colors={moodPalette}
+                  />
                   <div className="flex items-center gap-3">
                     <button onClick={handleRandomPalette} className="flex items-center gap-2 px-4 py-2 bg-[#1a1a24] hover:bg-[#252530] rounded-lg transition-colors">
                       <Sparkles size={16} className="text-[#ff6b4a]" />
@@ -435,7 +756,7 @@ export default function App() {
                   </div>
                   {moodPalette.length > 0 && (
                     <>
-                      <PaletteDisplay colors={moodPalette} title={selectedMood ? `${selectedMood} palette` : 'Generated Palette'} format={colorFormat} onRegenerate={handleRegenerateMood} onColorClick={handleColorSelect} lockedIndices={lockedIndices} onLockToggle={handleLockToggle} />
+                      <PaletteDisplay colors={moodPalette} title={selectedMood ? `${selectedMood} palette` : 'Generated Palette'} format={colorFormat} nameSystem={nameSystem} onRegenerate={handleRegenerateMood} onColorClick={handleColorSelect} lockedIndices={lockedIndices} onLockToggle={handleLockToggle} />
                       <div className="h-28 rounded-2xl overflow-hidden flex shadow-xl">
                         {moodPalette.map((color, i) => (
                           <div key={i} className="flex-1 relative group cursor-pointer transition-all hover:flex-[1.5]" style={{ backgroundColor: oklchToHex(color) }} onClick={() => handleColorSelect(color)} />
@@ -448,7 +769,7 @@ export default function App() {
 
               {activeTab === 'extract' && (
                 <div className="space-y-6">
-                  <ImageExtractor onColorsExtracted={handleExtractedColors} onColorSelect={handleColorSelect} />
+                  <ImageExtractor onColorsExtracted={handleExtractedColors} onColorSelect={handleColorSelect} viewing={viewing} onViewingReset={handleViewingReset} />
                   {activePalette.length > 0 && (
                     <div className="h-24 rounded-2xl overflow-hidden flex shadow-xl">
                       {activePalette.map((color, i) => (
@@ -464,12 +785,15 @@ export default function App() {
                   baseColor={selectedColor}
                   initialColors={activePalette.length >= 2 ? activePalette.slice(0, 5) : [selectedColor, { ...selectedColor, h: ((selectedColor.h || 0) + 60) % 360 }]}
                   onColorSelect={handleColorSelect}
+                  settings={gradientSettings}
+                  onSettingsChange={setGradientSettings}
+                  gamutMapping={gamutMapping}
                 />
               )}
 
               {activeTab === 'mixer' && (
                 <div className="space-y-6">
-                  <ColorMixer baseColor={selectedColor} />
+                  <ColorMixer baseColor={selectedColor} gamutMapping={gamutMapping} />
                   <TintsShadePanel baseColor={selectedColor} onColorSelect={handleColorSelect} />
                 </div>
               )}
@@ -479,12 +803,36 @@ export default function App() {
               )}
 
               {activeTab === 'preview' && (
-                <UIPreviewPanel colors={activePalette.length >= 3 ? activePalette : harmonyColors} />
+                <UIPreviewPanel colors={activePalette.length >= 3 ? activePalette : harmonyColors} viewing={viewing} onViewingReset={handleViewingReset} />
+              )}
+
+              {activeTab === 'theme' && (
+                <ThemePairPanel
+                  colors={activePalette.length > 0 ? activePalette : harmonyColors}
+                  onApplyPalette={handleApplyPalette}
+                />
+              )}
+
+              {activeTab === 'status' && (
+                <SemanticColorsPanel colors={activePalette.length > 0 ? activePalette : harmonyColors} />
               )}
             </div>
           </div>
 
           <div className="lg:col-span-3 space-y-5">
+            {(editsPast.length > 0 || editsFuture.length > 0) && (
+              <div className="bg-[#12121a] rounded-2xl p-5 border border-[#1a1a24]">
+                <UndoTimeline
+                  past={editsPast}
+                  future={editsFuture}
+                  current={paletteSnapshot}
+                  onUndo={undo}
+                  onRedo={redo}
+                  onTravel={travel}
+                />
+              </div>
+            )}
+
             <div className="bg-[#12121a] rounded-2xl p-5 border border-[#1a1a24]">
               <PaletteHistory history={history} favorites={favorites} onSelect={handlePaletteFromHistory} onRemove={removeFromHistory} onToggleFavorite={toggleFavorite} onClear={clearHistory} />
             </div>
@@ -525,7 +873,7 @@ export default function App() {
                       <div className="w-8 h-8 rounded-lg shadow" style={{ backgroundColor: oklchToHex(color) }} />
                       <div className="flex-1 min-w-0">
                         <p className="text-xs font-mono text-[#f0f0f5]">{oklchToHex(color)}</p>
-                        <p className="text-[10px] text-[#55556a] truncate">{generateColorName(color)}</p>
+                        <p className="text-[10px] text-[#55556a] truncate">{generateColorName(color, nameSystem)}</p>
                       </div>
                     </div>
                   ))}
@@ -2,13 +2,36 @@
  * AccessibilityChecker.jsx
  * 
  * WCAG contrast ratio checker + colour blindness simulation.
- * Uses the relative luminance formula from WCAG 2.x specification.
- * Colour-blindness simulation uses the Brettel/Viénot/Mollon matrix method.
+ * Uses the relative luminance formula from WCAG 2.x specification, with
+ * APCA Lc (the WCAG 3 draft) alongside it — see utils/contrast.js.
+ * Colour-vision simulation uses the Machado (2009) severity-graded matrices
+ * from utils/colorVision.js; low-vision and environmental conditions come
+ * from utils/viewingConditions.js.
  */
 
 import { useState, useMemo } from 'react';
-import { Eye, CheckCircle, XCircle, AlertCircle, ChevronDown, ChevronUp } from 'lucide-react';
+import { Eye, CheckCircle, XCircle, AlertCircle, ChevronDown, ChevronUp, Wrench, FileDown, Sun } from 'lucide-react';
 import { oklchToHex } from '../utils/colorUtils';
+import {
+  CONTRAST_STANDARDS,
+  DEFAULT_CONTRAST_STANDARD,
+  getContrastStandard,
+  apcaContrast,
+  apcaLevel,
+  apcaFontSizes,
+} from '../utils/contrast';
+import { CVD_TYPES, simulateCvd, describeVision } from '../utils/colorVision';
+import { suggestContrastFixes } from '../utils/contrastFix';
+import {
+  WCAG_THRESHOLDS,
+  getWcagResult,
+  buildAccessibilityReport,
+  writeReportHTML,
+  writeReportJSON,
+} from '../utils/accessibilityReport';
+import { VIEWING_CONDITIONS, DEFAULT_VIEWING, simulateViewing } from '../utils/viewingConditions';
+import UIPreviewPanel from './UIPreviewPanel';
+import { viewingStyle } from './ViewingFilter';
 
 // ─── WCAG helpers ─────────────────────────────────────────────────────────────
 
@@ -27,110 +50,151 @@ function contrastRatio(hex1, hex2) {
   return (light+0.05)/(dark+0.05);
 }
 
-// WCAG 2.1 thresholds
-const WCAG = {
-  AA_normal:  4.5,
-  AA_large:   3.0,
-  AAA_normal: 7.0,
-  AAA_large:  4.5,
-};
-
-function getWcagResult(ratio) {
-  return {
-    AA_normal:  ratio >= WCAG.AA_normal,
-    AA_large:   ratio >= WCAG.AA_large,
-    AAA_normal: ratio >= WCAG.AAA_normal,
-    AAA_large:  ratio >= WCAG.AAA_large,
-  };
-}
+// ─── report download ──────────────────────────────────────────────────────────
 
-// ─── Colour Blindness Simulation ─────────────────────────────────────────────
-// Uses the Brettel (1997) + Viénot (1999) linear-in-LMS simulation.
-// sRGB → LMS (D65) → simulate → LMS → sRGB
-
-// sRGB linearise
-const linearize = v => v <= 0.04045 ? v/12.92 : Math.pow((v+0.055)/1.055, 2.4);
-const delinearize = v => v <= 0.0031308 ? 12.92*v : 1.055*Math.pow(v, 1/2.4)-0.055;
-const clamp = v => Math.max(0, Math.min(1, v));
-
-// Hunt-Pointer-Estévez sRGB→LMS (D65)
-function srgbToLms(r, g, b) {
-  const rl=linearize(r), gl=linearize(g), bl=linearize(b);
-  return [
-     0.4002*rl + 0.7076*gl - 0.0808*bl,
-    -0.2263*rl + 1.1653*gl + 0.0457*bl,
-     0.0000*rl + 0.0000*gl + 0.9182*bl,
-  ];
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
-function lmsToSrgb(L, M, S) {
-  const rl =  1.8599364*L - 1.1293816*M + 0.2198974*S;
-  const gl =  0.3611914*L + 0.6388125*M - 0.0000064*S;
-  const bl =  0.0000000*L + 0.0000000*M + 1.0890636*S;
-  return [
-    clamp(delinearize(rl)),
-    clamp(delinearize(gl)),
-    clamp(delinearize(bl)),
-  ];
+// ─── sub-components ───────────────────────────────────────────────────────────
+
+function ContrastBadge({ pass }) {
+  return pass
+    ? <span className="flex items-center gap-1 text-green-400 text-[10px]"><CheckCircle size={11}/> Pass</span>
+    : <span className="flex items-center gap-1 text-red-400 text-[10px]"><XCircle size={11}/> Fail</span>;
 }
 
-// Simulation matrices (Viénot 1999 + Brettel 1997)
-const CVD_MATRIX = {
-  protanopia: (L, M, S) => {
-    // L channel zeroed, estimated from M and S
-    const Lsim = 2.02344*M - 2.52581*S;
-    return lmsToSrgb(Lsim, M, S);
-  },
-  deuteranopia: (L, M, S) => {
-    const Msim = 0.494207*L + 0.505793*S;
-    return lmsToSrgb(L, Msim, S);
-  },
-  tritanopia: (L, M, S) => {
-    const Ssim = -0.395913*L + 0.801109*M;
-    return lmsToSrgb(L, M, Ssim);
-  },
-  achromatopsia: (L, M, S) => {
-    const Y = 0.212656*L + 0.715158*M + 0.072186*S;
-    return lmsToSrgb(Y, Y, Y);
-  },
-};
-
-function simulateCVD(hex, type) {
-  const r = parseInt(hex.slice(1,3),16)/255;
-  const g = parseInt(hex.slice(3,5),16)/255;
-  const b = parseInt(hex.slice(5,7),16)/255;
-  const [L,M,S] = srgbToLms(r, g, b);
-  const [rs, gs, bs] = CVD_MATRIX[type](L,M,S);
-  const to255 = v => Math.round(v*255).toString(16).padStart(2,'0');
-  return `#${to255(rs)}${to255(gs)}${to255(bs)}`;
+function ApcaFontTable({ lc }) {
+  const sizes = apcaFontSizes(lc);
+  return (
+    <div className="grid grid-cols-9 gap-1 mt-2">
+      {sizes.map(({ weight, minSize, nonText }) => (
+        <div key={weight} className="text-center bg-[#0a0a0f] rounded py-1">
+          <p className="text-[9px] text-[#55556a]">{weight}</p>
+          <p className={`text-[10px] font-mono ${minSize ? 'text-[#f0f0f5]' : 'text-[#3a3a4a]'}`}>
+            {minSize ? `${minSize}px` : nonText ? 'icon' : '—'}
+          </p>
+        </div>
+      ))}
+    </div>
+  );
 }
 
-const CVD_TYPES = [
-  { id: 'normal',       label: 'Normal',        description: 'Trichromatic vision' },
-  { id: 'protanopia',   label: 'Protanopia',    description: 'Red-blind (~1% men)' },
-  { id: 'deuteranopia', label: 'Deuteranopia',  description: 'Green-blind (~1% men)' },
-  { id: 'tritanopia',   label: 'Tritanopia',    description: 'Blue-blind (~0.01%)' },
-  { id: 'achromatopsia',label: 'Achromatopsia', description: 'No colour vision (~0.003%)' },
+const FIX_LEVELS = [
+  { level: 'AA', size: 'normal', label: 'AA' },
+  { level: 'AA', size: 'large', label: 'AA Large' },
+  { level: 'AAA', size: 'normal', label: 'AAA' },
+  { level: 'AAA', size: 'large', label: 'AAA Large' },
 ];
 
-// ─── sub-components ───────────────────────────────────────────────────────────
+// "Fix this pair": nearest passing replacement for one side of the pair
+function PairFixer({ pair, standard, onReplace }) {
+  const sides = useMemo(() => [
+    { id: 'fg', label: 'Text', index: pair.fgIndex, color: pair.fgColor, other: pair.bg },
+    { id: 'bg', label: 'Background', index: pair.bgIndex, color: pair.bgColor, other: pair.fg },
+  ].filter(side => side.index != null), [pair]);
+  const [sideId, setSideId] = useState(sides[0]?.id);
+  const [target, setTarget] = useState(FIX_LEVELS[0]);
+  const side = sides.find(s => s.id === sideId) || sides[0];
+
+  const result = useMemo(() => side && suggestContrastFixes(side.color, side.other, {
+    level: target.level,
+    size: target.size,
+    standard,
+    replace: side.id === 'bg' ? 'background' : 'text',
+  }), [side, target, standard]);
+
+  if (!side) return null;
 
-function ContrastBadge({ pass }) {
-  return pass
-    ? <span className="flex items-center gap-1 text-green-400 text-[10px]"><CheckCircle size={11}/> Pass</span>
-    : <span className="flex items-center gap-1 text-red-400 text-[10px]"><XCircle size={11}/> Fail</span>;
+  return (
+    <div className="mt-3 pt-3 border-t border-[#1a1a24] space-y-2">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <div className="flex gap-1 bg-[#0a0a0f] rounded-lg p-1">
+          {FIX_LEVELS.map(t => (
+            <button
+              key={t.label}
+              onClick={() => setTarget(t)}
+              className={`px-2 py-0.5 text-[10px] rounded-md transition-colors ${target === t ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'}`}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+        {sides.length > 1 && (
+          <div className="flex gap-1 bg-[#0a0a0f] rounded-lg p-1">
+            {sides.map(s => (
+              <button
+                key={s.id}
+                onClick={() => setSideId(s.id)}
+                className={`px-2 py-0.5 text-[10px] rounded-md transition-colors ${side.id === s.id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'}`}
+              >
+                Change {s.label.toLowerCase()}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {result.passes ? (
+        <p className="text-[10px] text-green-400">Already meets {target.label}</p>
+      ) : result.suggestions.length === 0 ? (
+        <p className="text-[10px] text-[#55556a]">
+          No {side.label.toLowerCase()} color at this hue reaches {target.label} — try changing the other side.
+        </p>
+      ) : (
+        result.suggestions.map(s => {
+          const fg = side.id === 'fg' ? s.hex : pair.fg;
+          const bg = side.id === 'bg' ? s.hex : pair.bg;
+          return (
+            <div key={s.id} className="flex items-center gap-2.5">
+              <div className="w-14 h-8 rounded-lg flex items-center justify-center shrink-0" style={{ backgroundColor: bg }}>
+                <span className="text-xs font-bold" style={{ color: fg }}>Aa</span>
+              </div>
+              <div className="flex-1 min-w-0">
+                <p className="text-xs text-[#f0f0f5]">
+                  {s.label} <span className="font-mono text-[#8888a0]">{s.hex}</span>
+                </p>
+                <p className="text-[10px] text-[#55556a] font-mono">
+                  {standard === 'apca' ? `Lc ${Math.round(s.contrast)}` : `${s.contrast.toFixed(2)}:1`} · ΔE {s.deltaE.toFixed(1)}
+                </p>
+              </div>
+              {onReplace && (
+                <button
+                  onClick={() => onReplace(side.index, s.color)}
+                  className="shrink-0 px-2.5 py-1 bg-[#ff6b4a]/10 hover:bg-[#ff6b4a]/20 text-[#ff6b4a] text-[10px] rounded-lg transition-colors"
+                >
+                  Apply
+                </button>
+              )}
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
 }
 
-function ContrastPair({ fg, bg, label }) {
+function ContrastPair({ fg, bg, label, standard, pair, onReplace }) {
   const ratio = contrastRatio(fg, bg);
   const wcag = getWcagResult(ratio);
+  const lc = apcaContrast(fg, bg);
+  const apca = apcaLevel(lc);
   const [expanded, setExpanded] = useState(false);
+  const [fixing, setFixing] = useState(false);
 
-  const overallLevel = wcag.AAA_normal ? 'AAA'
+  const overallLevel = standard === 'apca' ? apca.label
+    : wcag.AAA_normal ? 'AAA'
     : wcag.AA_normal ? 'AA'
     : wcag.AA_large ? 'AA Large'
     : 'Fail';
-  const levelColor = wcag.AAA_normal ? '#4ade80' : wcag.AA_normal ? '#86efac' : wcag.AA_large ? '#fbbf24' : '#f87171';
+  // Once a pair reaches AAA for body text there's nothing left to fix
+  const meetsAAA = standard === 'apca' ? Math.abs(lc) >= 75 : wcag.AAA_normal;
+  const levelColor = standard === 'apca' ? apca.color
+    : wcag.AAA_normal ? '#4ade80' : wcag.AA_normal ? '#86efac' : wcag.AA_large ? '#fbbf24' : '#f87171';
 
   return (
     <div className="bg-[#12121a] rounded-xl border border-[#1a1a24] overflow-hidden">
@@ -154,7 +218,8 @@ function ContrastPair({ fg, bg, label }) {
             <div className="w-4 h-4 rounded" style={{ backgroundColor: bg }} />
           </div>
           <span className="text-xs text-[#8888a0]">{label}</span>
-          <span className="text-xs font-mono text-[#f0f0f5]">{ratio.toFixed(2)}:1</span>
+          <span className={`text-xs font-mono ${standard === 'apca' ? 'text-[#55556a]' : 'text-[#f0f0f5]'}`}>{ratio.toFixed(2)}:1</span>
+          <span className={`text-xs font-mono ${standard === 'apca' ? 'text-[#f0f0f5]' : 'text-[#55556a]'}`}>Lc {Math.round(lc)}</span>
         </div>
         <div className="flex items-center gap-2">
           <span className="text-xs font-medium" style={{ color: levelColor }}>{overallLevel}</span>
@@ -182,10 +247,40 @@ function ContrastPair({ fg, bg, label }) {
               <span className="text-[#55556a]">AAA Large text</span>
               <ContrastBadge pass={wcag.AAA_large} />
             </div>
+            <div className="flex justify-between">
+              <span className="text-[#55556a]">Non-text (UI)</span>
+              <ContrastBadge pass={wcag.nonText} />
+            </div>
           </div>
           <p className="mt-2 text-[10px] text-[#55556a]">
             Large text = 18pt normal or 14pt bold (≥24px or ≥18.67px bold)
           </p>
+
+          <div className="mt-3 pt-3 border-t border-[#1a1a24]">
+            <div className="flex items-center justify-between text-xs">
+              <span className="text-[#55556a]">
+                APCA Lc {lc.toFixed(1)} · {lc >= 0 ? 'dark text on light' : 'light text on dark'}
+              </span>
+              <span className="text-[10px] font-medium" style={{ color: apca.color }}>{apca.label}</span>
+            </div>
+            <ApcaFontTable lc={lc} />
+            <p className="mt-2 text-[10px] text-[#55556a]">
+              Smallest font size per weight this pair supports; &ldquo;icon&rdquo; = non-text elements only
+            </p>
+          </div>
+
+          {!meetsAAA && (
+            fixing
+              ? <PairFixer pair={pair} standard={standard} onReplace={onReplace} />
+              : (
+                <button
+                  onClick={() => setFixing(true)}
+                  className="mt-3 flex items-center gap-1.5 text-[10px] text-[#ff6b4a] hover:text-[#ff6b4a]/80 transition-colors"
+                >
+                  <Wrench size={11} /> Fix this pair
+                </button>
+              )
+          )}
         </div>
       )}
     </div>
@@ -194,11 +289,20 @@ function ContrastPair({ fg, bg, label }) {
 
 // ─── main component ───────────────────────────────────────────────────────────
 
-export default function AccessibilityChecker({ colors = [], baseColor }) {
+export default function AccessibilityChecker({
+  colors = [],
+  baseColor,
+  onReplaceColor,
+  viewing = DEFAULT_VIEWING,
+  onViewingChange,
+  gamutMapping,
+}) {
   const [activeTab, setActiveTab] = useState('contrast');
   const [cvdType, setCvdType] = useState('normal');
+  const [severity, setSeverity] = useState(1);
+  const [standard, setStandard] = useState(DEFAULT_CONTRAST_STANDARD);
 
-  const hexColors = useMemo(() => colors.map(c => oklchToHex(c)), [colors]);
+  const hexColors = useMemo(() => colors.map(c => oklchToHex(c, gamutMapping)), [colors, gamutMapping]);
   const baseHex = baseColor ? oklchToHex(baseColor) : '#7d7df9';
 
   // All fg/bg pairs from the palette
@@ -206,31 +310,46 @@ export default function AccessibilityChecker({ colors = [], baseColor }) {
     if (hexColors.length < 2) return [];
     const pairs = [];
     // Darkest vs lightest (most likely real combination)
-    const sorted = [...hexColors].sort((a,b) => relativeLuminance(a) - relativeLuminance(b));
+    // Palette indices travel with each pair so a fix can be applied back
+    const sorted = hexColors.map((hex, i) => i).sort((a,b) => relativeLuminance(hexColors[a]) - relativeLuminance(hexColors[b]));
     const darkest = sorted[0];
     const lightest = sorted[sorted.length-1];
-    pairs.push({ fg: darkest, bg: lightest, label: `Darkest on Lightest` });
-    pairs.push({ fg: lightest, bg: darkest, label: `Lightest on Darkest` });
+    const pair = (fgIndex, bgIndex, label, bgHex) => ({
+      fg: hexColors[fgIndex],
+      bg: bgIndex != null ? hexColors[bgIndex] : bgHex,
+      fgIndex,
+      bgIndex,
+      fgColor: colors[fgIndex],
+      bgColor: bgIndex != null ? colors[bgIndex] : bgHex,
+      label,
+    });
+    pairs.push(pair(darkest, lightest, `Darkest on Lightest`));
+    pairs.push(pair(lightest, darkest, `Lightest on Darkest`));
     // Each colour on white and black
     hexColors.forEach((hex,i) => {
-      pairs.push({ fg: hex,   bg: '#ffffff', label: `Color ${i+1} on White` });
-      pairs.push({ fg: hex,   bg: '#0a0a0f', label: `Color ${i+1} on Dark` });
+      pairs.push(pair(i, null, `Color ${i+1} on White`, '#ffffff'));
+      pairs.push(pair(i, null, `Color ${i+1} on Dark`, '#0a0a0f'));
     });
     // Adjacent pairs
     for (let i = 0; i < hexColors.length - 1; i++) {
-      pairs.push({ fg: hexColors[i], bg: hexColors[i+1], label: `Color ${i+1} on ${i+2}` });
+      pairs.push(pair(i, i + 1, `Color ${i+1} on ${i+2}`));
     }
     return pairs;
-  }, [hexColors]);
+  }, [hexColors, colors]);
 
-  const passPairs = contrastPairs.filter(p => contrastRatio(p.fg, p.bg) >= WCAG.AA_normal);
-  const failPairs = contrastPairs.filter(p => contrastRatio(p.fg, p.bg) < WCAG.AA_normal);
+  // AA under WCAG 2, Lc 60 (body text) under APCA
+  const { thresholds } = getContrastStandard(standard);
+  const measure = (fg, bg) => standard === 'apca' ? Math.abs(apcaContrast(fg, bg)) : contrastRatio(fg, bg);
+  const passMark = standard === 'apca' ? thresholds.AA : WCAG_THRESHOLDS.AA_normal;
+  const passes = p => measure(p.fg, p.bg) >= passMark;
+  const passPairs = contrastPairs.filter(passes);
+  const failPairs = contrastPairs.filter(p => !passes(p));
 
   // Simulated palette
   const simulatedPalette = useMemo(() => {
     if (cvdType === 'normal') return hexColors;
-    return hexColors.map(hex => simulateCVD(hex, cvdType));
-  }, [hexColors, cvdType]);
+    return hexColors.map(hex => simulateCvd(hex, cvdType, severity));
+  }, [hexColors, cvdType, severity]);
 
   const allColorsForSimulation = useMemo(() => {
     const all = [...hexColors];
@@ -240,8 +359,27 @@ export default function AccessibilityChecker({ colors = [], baseColor }) {
 
   const simulatedAll = useMemo(() => {
     if (cvdType === 'normal') return allColorsForSimulation;
-    return allColorsForSimulation.map(hex => simulateCVD(hex, cvdType));
-  }, [allColorsForSimulation, cvdType]);
+    return allColorsForSimulation.map(hex => simulateCvd(hex, cvdType, severity));
+  }, [allColorsForSimulation, cvdType, severity]);
+
+  // Built on demand — the audit covers the full N×N matrix, not just the
+  // pairs listed on screen
+  const exportReport = (format) => {
+    const report = buildAccessibilityReport(colors, { severity });
+    if (format === 'html') downloadBlob(writeReportHTML(report), 'hexandhue-accessibility-report.html');
+    else downloadBlob(writeReportJSON(report), 'hexandhue-accessibility-report.json');
+  };
+
+  // Contrast re-check: every pair as seen under the viewing condition
+  const viewingActive = viewing.type !== 'normal';
+  const viewedPairs = useMemo(() => contrastPairs.map(p => {
+    const fg = simulateViewing(p.fg, viewing.type, viewing.intensity);
+    const bg = simulateViewing(p.bg, viewing.type, viewing.intensity);
+    return { ...p, viewedFg: fg, viewedBg: bg };
+  }), [contrastPairs, viewing]);
+  const viewedPasses = viewedPairs.filter(p => measure(p.viewedFg, p.viewedBg) >= passMark).length;
+  const newlyFailing = viewedPairs.filter(p => passes(p) && measure(p.viewedFg, p.viewedBg) < passMark).length;
+  const formatMeasure = v => (standard === 'apca' ? `Lc ${Math.round(v)}` : `${v.toFixed(2)}:1`);
 
   if (!colors.length) {
     return (
@@ -259,7 +397,7 @@ export default function AccessibilityChecker({ colors = [], baseColor }) {
       <div className="grid grid-cols-3 gap-2">
         {[
           { label: 'Total pairs', value: contrastPairs.length, color: '#8888a0' },
-          { label: 'AA pass', value: passPairs.length, color: '#4ade80' },
+          { label: standard === 'apca' ? 'Lc 60+' : 'AA pass', value: passPairs.length, color: '#4ade80' },
           { label: 'Needs work', value: failPairs.length, color: failPairs.length > 0 ? '#f87171' : '#4ade80' },
         ].map(({ label, value, color }) => (
           <div key={label} className="bg-[#12121a] rounded-xl border border-[#1a1a24] p-3 text-center">
@@ -269,11 +407,31 @@ export default function AccessibilityChecker({ colors = [], baseColor }) {
         ))}
       </div>
 
+      {/* Audit report */}
+      <div className="flex items-center justify-between bg-[#12121a] rounded-xl border border-[#1a1a24] px-3 py-2">
+        <p className="text-[10px] text-[#55556a]">Full contrast matrix, CVD strips &amp; recommended pairings</p>
+        <div className="flex gap-1">
+          {[
+            { format: 'html', label: 'HTML' },
+            { format: 'json', label: 'JSON' },
+          ].map(({ format, label }) => (
+            <button
+              key={format}
+              onClick={() => exportReport(format)}
+              className="flex items-center gap-1 px-2.5 py-1 bg-[#0a0a0f] hover:bg-[#1a1a24] text-[#8888a0] hover:text-[#f0f0f5] text-[10px] rounded-lg transition-colors"
+            >
+              <FileDown size={11} /> {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
       {/* Tabs */}
       <div className="flex gap-1 bg-[#0a0a0f] p-1 rounded-lg">
         {[
           { id: 'contrast',  label: 'Contrast',       icon: AlertCircle },
           { id: 'blindness', label: 'Colour Vision',   icon: Eye },
+          { id: 'viewing',   label: 'Viewing',         icon: Sun },
         ].map(({ id, label, icon: Icon }) => (
           <button
             key={id}
@@ -292,8 +450,22 @@ export default function AccessibilityChecker({ colors = [], baseColor }) {
       {/* ── CONTRAST TAB ──────────────────────────────────────────────── */}
       {activeTab === 'contrast' && (
         <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <p className="text-xs text-[#55556a] uppercase tracking-wider font-medium">Standard</p>
+            <div className="flex gap-1 bg-[#0a0a0f] rounded-lg p-1">
+              {CONTRAST_STANDARDS.map(s => (
+                <button
+                  key={s.id}
+                  onClick={() => setStandard(s.id)}
+                  className={`px-2.5 py-1 text-[10px] rounded-md transition-colors ${standard === s.id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'}`}
+                >
+                  {s.label}
+                </button>
+              ))}
+            </div>
+          </div>
           {contrastPairs.slice(0, 10).map((pair, i) => (
-            <ContrastPair key={i} {...pair} />
+            <ContrastPair key={i} {...pair} pair={pair} standard={standard} onReplace={onReplaceColor} />
           ))}
           {contrastPairs.length === 0 && (
             <p className="text-xs text-center text-[#55556a] py-4">
@@ -305,6 +477,10 @@ export default function AccessibilityChecker({ colors = [], baseColor }) {
               <strong className="text-[#8888a0]">WCAG 2.1 AA</strong> requires 4.5:1 for normal text (≥3:1 for large text).
               <strong className="text-[#8888a0]"> AAA</strong> requires 7:1 (4.5:1 large). Most apps target AA as a minimum.
             </p>
+            <p className="text-[10px] text-[#55556a] leading-relaxed mt-1.5">
+              <strong className="text-[#8888a0]">APCA</strong> (WCAG 3 draft) scores lightness contrast as Lc, signed by polarity,
+              and judges dark-mode pairs more accurately. Lc 75 suits body text, Lc 60 content text, Lc 45 headlines — exact sizes depend on weight.
+            </p>
           </div>
         </div>
       )}
@@ -331,6 +507,23 @@ export default function AccessibilityChecker({ colors = [], baseColor }) {
                 </button>
               ))}
             </div>
+            {cvdType !== 'normal' && (
+              <div className="bg-[#12121a] rounded-xl border border-[#1a1a24] px-3 py-2.5 space-y-1.5">
+                <div className="flex items-center justify-between text-xs">
+                  <span className="text-[#8888a0]">Severity</span>
+                  <span className="font-mono text-[#f0f0f5]">{Math.round(severity * 100)}%</span>
+                </div>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={Math.round(severity * 100)}
+                  onChange={(e) => setSeverity(Number(e.target.value) / 100)}
+                  className="w-full accent-[#ff6b4a]"
+                />
+                <p className="text-[10px] text-[#55556a]">{describeVision({ type: cvdType, severity })}</p>
+              </div>
+            )}
           </div>
 
           {/* Before/after palette strip */}
@@ -373,15 +566,119 @@ export default function AccessibilityChecker({ colors = [], baseColor }) {
               </div>
               <div className="flex gap-3 text-[10px] text-[#55556a]">
                 <span>↑ Original</span>
-                <span>↓ {CVD_TYPES.find(t=>t.id===cvdType)?.label}</span>
+                <span>↓ {describeVision({ type: cvdType, severity })}</span>
+              </div>
+            </div>
+          )}
+
+          <div className="bg-[#12121a] rounded-lg p-3 border border-[#1a1a24]">
+            <p className="text-[10px] text-[#55556a] leading-relaxed">
+              Simulation uses the <strong className="text-[#8888a0]">Machado, Oliveira &amp; Fernandes (2009)</strong> model, graded from mild
+              anomalous trichromacy to full dichromacy at 100%. Red-green deficiencies affect ~8% of men and ~0.5% of women of
+              Northern European descent — most of them anomalous trichromats. Use &ldquo;View as&rdquo; in the header to see the whole app this way.
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* ── VIEWING CONDITIONS TAB ────────────────────────────────────── */}
+      {activeTab === 'viewing' && (
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <p className="text-xs text-[#55556a] uppercase tracking-wider font-medium">Condition</p>
+            <div className="space-y-1.5">
+              {VIEWING_CONDITIONS.map(({ id, label, description }) => (
+                <button
+                  key={id}
+                  onClick={() => onViewingChange?.({ ...viewing, type: id })}
+                  className={`w-full flex items-center justify-between gap-3 px-3 py-2.5 rounded-xl border text-left transition-colors ${
+                    viewing.type === id
+                      ? 'bg-[#ff6b4a]/10 border-[#ff6b4a]/30 text-[#ff6b4a]'
+                      : 'bg-[#12121a] border-[#1a1a24] text-[#8888a0] hover:border-[#252530]'
+                  }`}
+                >
+                  <span className="text-xs font-medium">{label}</span>
+                  <span className="text-[10px] text-[#55556a] text-right">{description}</span>
+                </button>
+              ))}
+            </div>
+            {viewingActive && (
+              <div className="bg-[#12121a] rounded-xl border border-[#1a1a24] px-3 py-2.5 space-y-1.5">
+                <div className="flex items-center justify-between text-xs">
+                  <span className="text-[#8888a0]">Intensity</span>
+                  <span className="font-mono text-[#f0f0f5]">{Math.round(viewing.intensity * 100)}%</span>
+                </div>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={Math.round(viewing.intensity * 100)}
+                  onChange={(e) => onViewingChange?.({ ...viewing, intensity: Number(e.target.value) / 100 })}
+                  className="w-full accent-[#ff6b4a]"
+                />
               </div>
+            )}
+          </div>
+
+          {/* Palette strip */}
+          <div className="space-y-2">
+            <p className="text-xs text-[#55556a] uppercase tracking-wider font-medium">
+              {viewingActive ? 'Simulated viewing' : 'Your palette'}
+            </p>
+            <div className="h-12 rounded-xl overflow-hidden flex" style={viewingStyle(viewing)}>
+              {hexColors.map((hex, i) => (
+                <div key={i} className="flex-1" style={{ backgroundColor: hex }} />
+              ))}
+            </div>
+            {viewingActive && (
+              <>
+                <p className="text-xs text-[#55556a]">Original palette</p>
+                <div className="h-12 rounded-xl overflow-hidden flex">
+                  {hexColors.map((hex, i) => (
+                    <div key={i} className="flex-1" style={{ backgroundColor: hex }} />
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+
+          {/* Contrast re-check */}
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <p className="text-xs text-[#55556a] uppercase tracking-wider font-medium">Contrast re-check</p>
+              <p className="text-[10px] text-[#55556a]">
+                {viewedPasses}/{viewedPairs.length} pass {standard === 'apca' ? `Lc ${passMark}` : 'AA'}
+                {newlyFailing > 0 && <span className="text-red-400"> · {newlyFailing} newly failing</span>}
+              </p>
             </div>
+            {viewedPairs.slice(0, 10).map((p, i) => {
+              const before = measure(p.fg, p.bg);
+              const after = measure(p.viewedFg, p.viewedBg);
+              return (
+                <div key={i} className="flex items-center gap-3 bg-[#12121a] rounded-xl border border-[#1a1a24] px-3 py-2">
+                  <div className="w-10 h-7 rounded-md flex items-center justify-center shrink-0" style={{ backgroundColor: p.viewedBg }}>
+                    <span className="text-xs font-bold" style={{ color: p.viewedFg }}>Aa</span>
+                  </div>
+                  <span className="flex-1 text-xs text-[#8888a0] truncate">{p.label}</span>
+                  <span className="text-[10px] font-mono text-[#55556a]">
+                    {formatMeasure(before)} → <span className="text-[#f0f0f5]">{formatMeasure(after)}</span>
+                  </span>
+                  <ContrastBadge pass={after >= passMark} />
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Mock UI */}
+          {colors.length >= 3 && (
+            <UIPreviewPanel colors={colors} viewing={viewing} onViewingReset={() => onViewingChange?.({ ...viewing, type: 'normal' })} />
           )}
 
           <div className="bg-[#12121a] rounded-lg p-3 border border-[#1a1a24]">
             <p className="text-[10px] text-[#55556a] leading-relaxed">
-              Simulation uses the <strong className="text-[#8888a0]">Brettel/Viénot/Mollon (1997/1999)</strong> linear LMS model.
-              Combined, protanopia + deuteranopia affect ~8% of men and ~0.5% of women of Northern European descent.
+              Conditions are approximations: contrast loss, lens yellowing, veiling glare and display dimming are modelled in linear
+              light, so the re-check reflects how much luminance separation survives. Blur is shown on the strip, the UI preview and
+              uploaded images in the Extract tab, but doesn&apos;t change flat-color contrast.
             </p>
           </div>
         </div>
@@ -0,0 +1,248 @@
+import React, { useState, useMemo } from 'react';
+import { oklchToHex } from '../utils/colorUtils';
+import {
+  DELTA_E_METRICS,
+  DEFAULT_DELTA_E,
+  DIFFERENCE_BANDS,
+  compareColors,
+  differenceMatrix,
+  differenceBand,
+  getMetric,
+} from '../utils/colorDifference';
+import ColorInput from './ColorInput';
+
+const MODES = [
+  { id: 'pair', label: 'Two colors' },
+  { id: 'matrix', label: 'Palette matrix' },
+];
+
+/**
+ * How different colors are, in every ΔE metric: two picked colors side by
+ * side, or every pair of the current palette as an N×N matrix.
+ */
+export default function ColorCompare({ colors = [], selectedColor, nameSystem }) {
+  const [mode, setMode] = useState('pair');
+  const [colorA, setColorA] = useState(selectedColor);
+  const [colorB, setColorB] = useState(() => colors.find(c => oklchToHex(c) !== oklchToHex(selectedColor)) || selectedColor);
+  const [metric, setMetric] = useState(DEFAULT_DELTA_E);
+
+  // Pasting two colors into either field fills both
+  const handlePair = (pasted) => {
+    setColorA(pasted[0]);
+    setColorB(pasted[1]);
+  };
+
+  return (
+    <div className="space-y-5">
+      <div className="flex gap-1 bg-[#0a0a0f] rounded-lg p-1 w-fit">
+        {MODES.map(m => (
+          <button
+            key={m.id}
+            onClick={() => setMode(m.id)}
+            className={`px-3 py-1.5 text-xs rounded-md transition-colors ${mode === m.id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'}`}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'pair' ? (
+        <PairCompare
+          colors={colors}
+          colorA={colorA}
+          colorB={colorB}
+          nameSystem={nameSystem}
+          onChangeA={setColorA}
+          onChangeB={setColorB}
+          onPair={handlePair}
+        />
+      ) : (
+        <PaletteMatrix colors={colors} metric={metric} onMetricChange={setMetric} />
+      )}
+    </div>
+  );
+}
+
+function PairCompare({ colors, colorA, colorB, nameSystem, onChangeA, onChangeB, onPair }) {
+  const result = useMemo(() => compareColors(colorA, colorB), [colorA, colorB]);
+  const headline = differenceBand(result[DEFAULT_DELTA_E]);
+
+  const sides = [
+    { label: 'A', color: colorA, onChange: onChangeA },
+    { label: 'B', color: colorB, onChange: onChangeB },
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-3">
+        {sides.map(side => (
+          <div key={side.label} className="space-y-2">
+            <p className="text-xs text-[#55556a] uppercase tracking-wider font-medium">Color {side.label}</p>
+            <ColorInput
+              color={side.color}
+              nameSystem={nameSystem}
+              onColorChange={side.onChange}
+              onPaletteInput={onPair}
+            />
+            {colors.length > 0 && (
+              <div className="flex gap-1 flex-wrap">
+                {colors.map((c, i) => {
+                  const hex = oklchToHex(c);
+                  const active = hex === oklchToHex(side.color);
+                  return (
+                    <button
+                      key={i}
+                      onClick={() => side.onChange(c)}
+                      title={hex}
+                      className={`w-5 h-5 rounded border transition-transform hover:scale-110 ${active ? 'border-white' : 'border-white/10'}`}
+                      style={{ backgroundColor: hex }}
+                    />
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-[#12121a] rounded-xl border border-[#1a1a24] overflow-hidden">
+        <div className="flex h-20">
+          <div className="flex-1" style={{ backgroundColor: oklchToHex(colorA) }} />
+          <div className="flex-1" style={{ backgroundColor: oklchToHex(colorB) }} />
+        </div>
+        <div className="p-4">
+          <p className="text-sm font-medium" style={{ color: headline.color }}>{headline.label}</p>
+          <p className="text-xs text-[#8888a0] mt-0.5">{headline.description}</p>
+        </div>
+      </div>
+
+      <div className="space-y-1.5">
+        {DELTA_E_METRICS.map(m => {
+          const value = result[m.id];
+          const band = differenceBand(value, m.id);
+          return (
+            <div key={m.id} className="flex items-center gap-3 bg-[#12121a] rounded-lg px-3 py-2 border border-[#1a1a24]">
+              <div className="w-24 shrink-0">
+                <p className="text-xs text-[#f0f0f5] font-medium">{m.label}</p>
+              </div>
+              <p className="text-[10px] text-[#55556a] flex-1 min-w-0 truncate" title={m.description}>{m.description}</p>
+              <span className="text-xs font-mono text-[#f0f0f5] w-14 text-right">{value.toFixed(m.digits)}</span>
+              <span
+                className="text-[10px] font-medium px-2 py-0.5 rounded-full w-28 text-center"
+                style={{ color: band.color, backgroundColor: `${band.color}1a` }}
+              >
+                {band.label}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+
+      <p className="text-[10px] text-[#55556a] leading-relaxed">
+        Bands count just-noticeable differences on each metric&apos;s own scale (1 for ΔE2000, ΔE94 and CAM16-UCS, 2.3 for ΔE76, 0.02 for ΔEOK), so the metrics can be read side by side.
+      </p>
+    </div>
+  );
+}
+
+function PaletteMatrix({ colors, metric, onMetricChange }) {
+  const matrix = useMemo(() => differenceMatrix(colors, metric), [colors, metric]);
+  const { digits } = getMetric(metric);
+
+  const closest = useMemo(() => {
+    let best = null;
+    for (let i = 0; i < matrix.length; i++) {
+      for (let j = i + 1; j < matrix.length; j++) {
+        if (!best || matrix[i][j] < best.value) best = { i, j, value: matrix[i][j] };
+      }
+    }
+    return best;
+  }, [matrix]);
+
+  if (colors.length < 2) {
+    return (
+      <p className="text-sm text-[#55556a] text-center py-8">Generate a palette with at least two colors to compare</p>
+    );
+  }
+
+  const hexes = colors.map(oklchToHex);
+  const closestBand = closest && differenceBand(closest.value, metric);
+  const isClosest = (i, j) => closest && ((i === closest.i && j === closest.j) || (i === closest.j && j === closest.i));
+
+  return (
+    <div className="space-y-4">
+      <div className="flex gap-1 flex-wrap">
+        {DELTA_E_METRICS.map(m => (
+          <button
+            key={m.id}
+            onClick={() => onMetricChange(m.id)}
+            title={m.description}
+            className={`px-2.5 py-1 text-[10px] rounded-md transition-colors ${metric === m.id ? 'bg-[#ff6b4a]/20 text-[#ff6b4a]' : 'bg-[#12121a] text-[#55556a] hover:text-[#8888a0]'}`}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="border-separate" style={{ borderSpacing: 3 }}>
+          <thead>
+            <tr>
+              <th />
+              {hexes.map((hex, j) => (
+                <th key={j}>
+                  <div className="w-12 h-6 rounded mx-auto border border-white/10" style={{ backgroundColor: hex }} title={hex} />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {matrix.map((row, i) => (
+              <tr key={i}>
+                <th>
+                  <div className="w-6 h-8 rounded border border-white/10" style={{ backgroundColor: hexes[i] }} title={hexes[i]} />
+                </th>
+                {row.map((value, j) => {
+                  if (i === j) return <td key={j} className="w-12 h-8 rounded bg-[#0a0a0f]" />;
+                  const band = differenceBand(value, metric);
+                  return (
+                    <td
+                      key={j}
+                      title={`${hexes[i]} vs ${hexes[j]} · ${band.label}`}
+                      className={`w-12 h-8 rounded text-center text-[10px] font-mono ${isClosest(i, j) ? 'ring-1 ring-white/60' : ''}`}
+                      style={{ color: band.color, backgroundColor: `${band.color}1a` }}
+                    >
+                      {value.toFixed(Math.max(0, digits - 1))}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {closest && (
+        <div className="flex items-center gap-3 bg-[#12121a] rounded-lg px-3 py-2 border border-[#1a1a24]">
+          <div className="flex shrink-0">
+            <div className="w-5 h-5 rounded-l" style={{ backgroundColor: hexes[closest.i] }} />
+            <div className="w-5 h-5 rounded-r" style={{ backgroundColor: hexes[closest.j] }} />
+          </div>
+          <p className="text-xs text-[#8888a0] flex-1">
+            Closest pair: <span className="font-mono">{hexes[closest.i]}</span> and <span className="font-mono">{hexes[closest.j]}</span>
+          </p>
+          <span className="text-[10px] font-medium" style={{ color: closestBand.color }}>{closestBand.label}</span>
+        </div>
+      )}
+
+      <div className="flex gap-3 flex-wrap">
+        {DIFFERENCE_BANDS.map(band => (
+          <span key={band.id} className="flex items-center gap-1.5 text-[10px] text-[#55556a]">
+            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: band.color }} />
+            {band.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
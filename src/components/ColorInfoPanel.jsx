@@ -2,8 +2,9 @@ import React, { useState } from 'react';
 import { Copy, Check } from 'lucide-react';
 import { oklchToHex, wcagContrast } from '../utils/colorUtils';
 import { generateColorName } from '../utils/colorNames';
+import { apcaContrast, apcaLevel } from '../utils/contrast';
 
-export default function ColorInfoPanel({ color }) {
+export default function ColorInfoPanel({ color, nameSystem }) {
   const [copiedFormat, setCopiedFormat] = useState(null);
 
   if (!color) {
@@ -15,7 +16,7 @@ export default function ColorInfoPanel({ color }) {
   }
 
   const hex = oklchToHex(color);
-  const name = generateColorName(color);
+  const name = generateColorName(color, nameSystem);
   
   // Calculate RGB
   const r = parseInt(hex.slice(1, 3), 16);
@@ -25,6 +26,9 @@ export default function ColorInfoPanel({ color }) {
   // Calculate contrast ratios
   const contrastWithWhite = wcagContrast(color, { mode: 'oklch', l: 1, c: 0, h: 0 });
   const contrastWithBlack = wcagContrast(color, { mode: 'oklch', l: 0, c: 0, h: 0 });
+  // APCA is polarity-aware: this color as text on each background
+  const lcOnWhite = apcaContrast(color, '#ffffff');
+  const lcOnBlack = apcaContrast(color, '#000000');
 
   const formats = [
     { label: 'HEX', value: hex },
@@ -99,7 +103,7 @@ export default function ColorInfoPanel({ color }) {
       {/* WCAG Contrast */}
       <div className="space-y-2">
         <h4 className="text-[10px] text-[#55556a] uppercase tracking-wider">
-          WCAG Contrast
+          Contrast · WCAG 2 / APCA
         </h4>
         <div className="grid grid-cols-2 gap-2">
           <div className="p-2 bg-white rounded-lg text-center">
@@ -118,6 +122,9 @@ export default function ColorInfoPanel({ color }) {
                 {whiteContrast.text}
               </span>
             </div>
+            <p className="text-[10px] text-gray-600 mt-0.5" title={apcaLevel(lcOnWhite).label}>
+              Lc {Math.round(lcOnWhite)}
+            </p>
           </div>
           <div className="p-2 bg-black rounded-lg text-center">
             <div 
@@ -135,6 +142,9 @@ export default function ColorInfoPanel({ color }) {
                 {blackContrast.text}
               </span>
             </div>
+            <p className="text-[10px] text-gray-400 mt-0.5" title={apcaLevel(lcOnBlack).label}>
+              Lc {Math.round(lcOnBlack)}
+            </p>
           </div>
         </div>
       </div>
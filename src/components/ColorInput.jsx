@@ -0,0 +1,92 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { oklchToHex } from '../utils/colorUtils';
+import { parseColorInput } from '../utils/colorInput';
+
+/**
+ * Main color field. Accepts anything parseColorInput understands; a single
+ * color applies as you type, several pasted colors become a palette.
+ */
+export default function ColorInput({ color, nameSystem, onColorChange, onPaletteInput }) {
+  const hex = oklchToHex(color);
+  const [draft, setDraft] = useState(hex);
+  const [error, setError] = useState(null);
+  const focused = useRef(false);
+
+  // Follow outside changes (wheel, sliders, swatches) unless the user is typing
+  useEffect(() => {
+    if (!focused.current) setDraft(hex);
+  }, [hex]);
+
+  // Apply the draft; `final` also reports errors and accepts palettes
+  const apply = useCallback((text, final) => {
+    const { colors, error: parseError } = parseColorInput(text, nameSystem);
+
+    if (colors.length === 1) {
+      setError(null);
+      onColorChange(colors[0]);
+      if (final) setDraft(oklchToHex(colors[0]));
+    } else if (colors.length > 1 && final) {
+      setError(null);
+      onPaletteInput(colors);
+      setDraft(oklchToHex(colors[0]));
+    } else if (final) {
+      setError(parseError);
+    }
+  }, [nameSystem, onColorChange, onPaletteInput]);
+
+  const handleChange = useCallback((e) => {
+    setDraft(e.target.value);
+    setError(null);
+    apply(e.target.value, false);
+  }, [apply]);
+
+  // A paste that is already a color (or several) applies at once; anything
+  // else falls through to a normal paste into the draft
+  const handlePaste = useCallback((e) => {
+    const text = e.clipboardData.getData('text');
+    if (!parseColorInput(text, nameSystem).colors.length) return;
+    e.preventDefault();
+    apply(text, true);
+  }, [apply, nameSystem]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'Enter') {
+      apply(draft, true);
+    } else if (e.key === 'Escape') {
+      setDraft(hex);
+      setError(null);
+    }
+  }, [apply, draft, hex]);
+
+  // Leaving the field commits an edit; an untouched or empty field just
+  // snaps back, so focusing and leaving doesn't regenerate the palette
+  const handleBlur = useCallback(() => {
+    focused.current = false;
+    if (!draft.trim() || draft.trim().toLowerCase() === hex.toLowerCase()) {
+      setDraft(hex);
+      setError(null);
+    } else {
+      apply(draft, true);
+    }
+  }, [apply, draft, hex]);
+
+  return (
+    <div>
+      <input
+        type="text"
+        value={draft}
+        onChange={handleChange}
+        onPaste={handlePaste}
+        onKeyDown={handleKeyDown}
+        onFocus={() => { focused.current = true; }}
+        onBlur={handleBlur}
+        placeholder="#hex, rgb(), oklch(), name…"
+        spellCheck={false}
+        className={`w-full bg-[#0a0a0f] border rounded-lg px-3 py-2 font-mono text-sm focus:outline-none ${
+          error ? 'border-red-400/50 focus:border-red-400/70' : 'border-[#1a1a24] focus:border-[#ff6b4a]/50'
+        }`}
+      />
+      {error && <p className="text-[10px] text-red-400 mt-1 leading-snug">{error}</p>}
+    </div>
+  );
+}
@@ -132,8 +132,8 @@ function accuracyBadge(dist) {
   return              { text: 'Approximate',    color: '#fb923c' };
 }
 
-export default function ColorMixer({ baseColor }) {
-  const targetHex = useMemo(() => oklchToHex(baseColor), [baseColor]);
+export default function ColorMixer({ baseColor, gamutMapping }) {
+  const targetHex = useMemo(() => oklchToHex(baseColor, gamutMapping), [baseColor, gamutMapping]);
   const rgb = useMemo(() => hexToRgb(targetHex), [targetHex]);
   const recipes = useMemo(() => generateRecipes(targetHex), [targetHex]);
 
@@ -2,6 +2,8 @@ import React, { useState, useCallback } from 'react';
 import { Search, X } from 'lucide-react';
 import { parse } from 'culori';
 import { toOklch, oklchToHex } from '../utils/colorUtils';
+import { parseSingleColor } from '../utils/colorInput';
+import { searchColorNames } from '../utils/nameDictionaries';
 
 // Common color name mappings
 const COLOR_NAMES = {
@@ -40,7 +42,7 @@ const COLOR_NAMES = {
   black: '#000000',
 };
 
-export default function ColorSearch({ onColorSelect }) {
+export default function ColorSearch({ onColorSelect, nameSystem }) {
   const [query, setQuery] = useState('');
   const [suggestions, setSuggestions] = useState([]);
   const [error, setError] = useState(null);
@@ -61,8 +63,17 @@ export default function ColorSearch({ onColorSelect }) {
       .slice(0, 6)
       .map(([name, hex]) => ({ name, hex }));
 
+    // Top up from the name dictionaries (selected one first)
+    if (matches.length < 6 && value.trim().length >= 2) {
+      const known = new Set(matches.map(m => m.name.toLowerCase()));
+      searchColorNames(value, nameSystem, 6)
+        .filter(({ name }) => !known.has(name.toLowerCase()))
+        .slice(0, 6 - matches.length)
+        .forEach(({ name, hex }) => matches.push({ name, hex }));
+    }
+
     setSuggestions(matches);
-  }, []);
+  }, [nameSystem]);
 
   const handleSubmit = useCallback((e) => {
     e.preventDefault();
@@ -82,22 +93,17 @@ export default function ColorSearch({ onColorSelect }) {
       }
     }
 
-    // Try parsing as hex/rgb/hsl
-    try {
-      const parsed = parse(query.trim());
-      if (parsed) {
-        const oklch = toOklch(parsed);
-        onColorSelect(oklch);
-        setQuery('');
-        setSuggestions([]);
-        setError(null);
-      } else {
-        setError('Could not parse color');
-      }
-    } catch (err) {
-      setError('Invalid color format');
+    // Any notation the main color field understands, plus dictionary names
+    const { color, error: parseError } = parseSingleColor(query, nameSystem);
+    if (color) {
+      onColorSelect(color);
+      setQuery('');
+      setSuggestions([]);
+      setError(null);
+    } else {
+      setError(parseError || 'Could not parse color');
     }
-  }, [query, onColorSelect]);
+  }, [query, onColorSelect, nameSystem]);
 
   const handleSuggestionClick = useCallback((hex) => {
     const parsed = parse(hex);
@@ -1,70 +1,70 @@
-import React, { useMemo } from 'react';
-import { formatHex, oklch } from 'culori';
+import React, { useState } from 'react';
+import { TriangleAlert } from 'lucide-react';
+import { toOklch } from '../utils/colorUtils';
+import { COLOR_MODELS, getColorModel } from '../utils/colorModels';
+import {
+  DEFAULT_WORKING_GAMUT,
+  getGamut,
+  toGamutCss,
+  isInGamut,
+  maxChromaInGamut,
+  describeGamutMapping,
+} from '../utils/gamutMapping';
 
-const ColorSliders = ({ color, onChange }) => {
-  // Safely extract OKLCH values with defaults
-  const l = color?.l ?? 0.65;
-  const c = color?.c ?? 0.18;
-  const h = color?.h ?? 0;
+const GRADIENT_STOPS = 10;
+const HUE_STOPS = 12;
 
-  // Generate gradient backgrounds for sliders
-  const lightnessGradient = useMemo(() => {
-    const stops = [];
-    for (let i = 0; i <= 10; i++) {
-      const lightness = i / 10;
-      const col = oklch({ l: lightness, c: c, h: h });
-      try {
-        const hex = formatHex(col) || '#888';
-        stops.push(hex);
-      } catch {
-        stops.push('#888');
-      }
-    }
-    return `linear-gradient(to right, ${stops.join(', ')})`;
-  }, [c, h]);
+/**
+ * Channel sliders for the selected color in any of the COLOR_MODELS. Each
+ * track shows what the color would become along that channel, and every
+ * channel has a numeric field.
+ */
+const ColorSliders = ({ color, onChange, workingGamut = DEFAULT_WORKING_GAMUT }) => {
+  const [modelId, setModelId] = useState('oklch');
+  // Values as last edited, so a hue survives dragging saturation to zero
+  const [edited, setEdited] = useState(null);
 
-  const chromaGradient = useMemo(() => {
-    const stops = [];
-    for (let i = 0; i <= 10; i++) {
-      const chroma = (i / 10) * 0.4; // Max chroma ~0.4
-      const col = oklch({ l: l, c: chroma, h: h });
-      try {
-        const hex = formatHex(col) || '#888';
-        stops.push(hex);
-      } catch {
-        stops.push('#888');
-      }
-    }
-    return `linear-gradient(to right, ${stops.join(', ')})`;
-  }, [l, h]);
+  const model = getColorModel(modelId);
+  const gamut = getGamut(workingGamut);
+
+  const values = edited && edited.color === color && edited.modelId === modelId
+    ? edited.values
+    : model.from(color || { mode: 'oklch', l: 0.65, c: 0.18, h: 0 });
 
-  const hueGradient = useMemo(() => {
+  // OKLCH chroma runs up to the working gamut's peak; the marker shows how
+  // far this lightness/hue can go
+  const channelMax = (channel) =>
+    channel.max === 'gamut' ? Math.round(gamut.maxChroma * 100) : channel.max;
+  const chromaLimit = modelId === 'oklch' ? maxChromaInGamut(values.l, values.h, gamut.id) : null;
+
+  // Each track: this color with one channel swept across its range
+  const gradients = model.channels.map((channel) => {
+    const max = channelMax(channel);
+    const count = channel.hue ? HUE_STOPS : GRADIENT_STOPS;
     const stops = [];
-    for (let i = 0; i <= 12; i++) {
-      const hue = (i / 12) * 360;
-      const col = oklch({ l: l, c: Math.max(c, 0.15), h: hue });
+    for (let i = 0; i <= count; i++) {
+      const display = channel.min + ((max - channel.min) * i) / count;
       try {
-        const hex = formatHex(col) || '#888';
-        stops.push(hex);
+        stops.push(toGamutCss(model.to({ ...values, [channel.key]: display / channel.scale }), gamut.id));
       } catch {
         stops.push('#888');
       }
     }
     return `linear-gradient(to right, ${stops.join(', ')})`;
-  }, [l, c]);
-
-  const handleChange = (property, value) => {
-    if (onChange) {
-      onChange({
-        mode: 'oklch',
-        l: property === 'l' ? value : l,
-        c: property === 'c' ? value : c,
-        h: property === 'h' ? value : h,
-      });
-    }
+  });
+
+  const handleChange = (channel, display) => {
+    if (!Number.isFinite(display)) return;
+    const clamped = Math.max(channel.min, Math.min(channelMax(channel), display));
+    const nextValues = { ...values, [channel.key]: clamped / channel.scale };
+    const next = toOklch(model.to(nextValues));
+    // Keep the model's own hue when the round trip through OKLCH loses it
+    if (next.c < 1e-4 && color) next.h = color.h ?? 0;
+    setEdited({ color: next, modelId, values: nextValues });
+    if (onChange) onChange(next);
   };
 
-  const sliderStyle = (gradient, position) => ({
+  const sliderStyle = (gradient) => ({
     background: gradient,
     WebkitAppearance: 'none',
     appearance: 'none',
@@ -74,91 +74,82 @@ const ColorSliders = ({ color, onChange }) => {
     cursor: 'pointer',
   });
 
+  const warning = gamutWarning(color, model, gamut);
+
   return (
     <div className="space-y-4">
-      {/* Lightness Slider */}
-      <div className="space-y-1.5">
-        <div className="flex items-center justify-between">
-          <label className="text-xs text-[#8888a0] font-medium uppercase tracking-wider">
-            Lightness
-          </label>
-          <input
-            type="number"
-            value={Math.round(l * 100)}
-            onChange={(e) => handleChange('l', Math.max(0, Math.min(100, parseInt(e.target.value) || 0)) / 100)}
-            className="w-14 bg-[#0a0a0f] border border-[#1a1a24] rounded px-2 py-0.5 text-xs text-right font-mono text-[#f0f0f5] focus:outline-none focus:border-[#ff6b4a]/50"
-            min="0"
-            max="100"
-          />
-        </div>
-        <div className="relative">
-          <input
-            type="range"
-            min="0"
-            max="100"
-            value={Math.round(l * 100)}
-            onChange={(e) => handleChange('l', parseInt(e.target.value) / 100)}
-            className="w-full slider-thumb"
-            style={sliderStyle(lightnessGradient)}
-          />
-        </div>
+      {/* Model switch */}
+      <div className="flex flex-wrap gap-1">
+        {COLOR_MODELS.map(({ id, label, hint }) => (
+          <button
+            key={id}
+            onClick={() => setModelId(id)}
+            title={hint}
+            className={`px-2 py-1 rounded-md text-[10px] uppercase tracking-wider font-medium transition-colors ${
+              modelId === id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
       </div>
 
-      {/* Chroma (Saturation) Slider */}
-      <div className="space-y-1.5">
-        <div className="flex items-center justify-between">
-          <label className="text-xs text-[#8888a0] font-medium uppercase tracking-wider">
-            Chroma
-          </label>
-          <input
-            type="number"
-            value={Math.round(c * 100)}
-            onChange={(e) => handleChange('c', Math.max(0, Math.min(40, parseInt(e.target.value) || 0)) / 100)}
-            className="w-14 bg-[#0a0a0f] border border-[#1a1a24] rounded px-2 py-0.5 text-xs text-right font-mono text-[#f0f0f5] focus:outline-none focus:border-[#ff6b4a]/50"
-            min="0"
-            max="40"
-          />
-        </div>
-        <div className="relative">
-          <input
-            type="range"
-            min="0"
-            max="40"
-            value={Math.round(c * 100)}
-            onChange={(e) => handleChange('c', parseInt(e.target.value) / 100)}
-            className="w-full slider-thumb"
-            style={sliderStyle(chromaGradient)}
-          />
-        </div>
-      </div>
+      {model.channels.map((channel, i) => {
+        const max = channelMax(channel);
+        const display = values[channel.key] * channel.scale;
+        const decimals = channel.step < 1 ? 1 : 0;
+        const shown = Number(display.toFixed(decimals));
+        const overLimit = channel.max === 'gamut' && chromaLimit !== null && values.c > chromaLimit + 0.005;
 
-      {/* Hue Slider */}
-      <div className="space-y-1.5">
-        <div className="flex items-center justify-between">
-          <label className="text-xs text-[#8888a0] font-medium uppercase tracking-wider">
-            Hue
-          </label>
-          <input
-            type="number"
-            value={Math.round(h)}
-            onChange={(e) => handleChange('h', Math.max(0, Math.min(360, parseInt(e.target.value) || 0)))}
-            className="w-14 bg-[#0a0a0f] border border-[#1a1a24] rounded px-2 py-0.5 text-xs text-right font-mono text-[#f0f0f5] focus:outline-none focus:border-[#ff6b4a]/50"
-            min="0"
-            max="360"
-          />
-        </div>
-        <div className="relative">
-          <input
-            type="range"
-            min="0"
-            max="360"
-            value={Math.round(h)}
-            onChange={(e) => handleChange('h', parseInt(e.target.value))}
-            className="w-full slider-thumb"
-            style={sliderStyle(hueGradient)}
-          />
-        </div>
-      </div>
+        return (
+          <div key={`${modelId}-${channel.key}`} className="space-y-1.5">
+            <div className="flex items-center justify-between">
+              <label className="text-xs text-[#8888a0] font-medium uppercase tracking-wider">
+                {channel.label}
+              </label>
+              <input
+                type="number"
+                value={shown}
+                step={channel.step}
+                min={channel.min}
+                max={max}
+                onChange={(e) => handleChange(channel, parseFloat(e.target.value))}
+                className={`w-16 bg-[#0a0a0f] border border-[#1a1a24] rounded px-2 py-0.5 text-xs text-right font-mono focus:outline-none focus:border-[#ff6b4a]/50 ${overLimit ? 'text-yellow-400' : 'text-[#f0f0f5]'}`}
+                title={channel.max === 'gamut' && chromaLimit !== null
+                  ? `Max in ${gamut.label} at this lightness and hue: ${Math.floor(chromaLimit * 100)}`
+                  : undefined}
+              />
+            </div>
+            <div className="relative">
+              <input
+                type="range"
+                min={channel.min}
+                max={max}
+                step={channel.step}
+                value={Math.max(channel.min, Math.min(max, display))}
+                onChange={(e) => handleChange(channel, parseFloat(e.target.value))}
+                className="w-full slider-thumb"
+                style={sliderStyle(gradients[i])}
+              />
+              {/* Gamut limit for the current lightness and hue */}
+              {channel.max === 'gamut' && chromaLimit !== null && (
+                <div
+                  className="absolute top-0 h-3 w-0.5 bg-white/70 rounded pointer-events-none"
+                  style={{ left: `${Math.min(100, (chromaLimit * 100 / max) * 100)}%` }}
+                  title={`${gamut.label} limit`}
+                />
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      {warning && (
+        <p className="flex items-start gap-1.5 text-[10px] text-yellow-400/90 leading-snug">
+          <TriangleAlert size={12} className="shrink-0 mt-px" />
+          {warning}
+        </p>
+      )}
 
       {/* Custom slider thumb styles */}
       <style>{`
@@ -197,4 +188,17 @@ const ColorSliders = ({ color, onChange }) => {
   );
 };
 
-export default ColorSliders;
\ No newline at end of file
+export default ColorSliders;
+
+// What the sliders can't show: sRGB-only models read the mapped color, the
+// others can hold the value but the working gamut can't display it
+function gamutWarning(color, model, gamut) {
+  if (!color) return null;
+  if (model.srgbOnly) {
+    const { inGamut, deltaE } = describeGamutMapping(color);
+    return inGamut
+      ? null
+      : `Outside sRGB — ${model.label} shows the nearest displayable color (ΔE ${(deltaE * 100).toFixed(1)}). Editing here brings the color into sRGB.`;
+  }
+  return isInGamut(color, gamut.id) ? null : `Outside ${gamut.label} — displayed gamut-mapped.`;
+}
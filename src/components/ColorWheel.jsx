@@ -1,8 +1,34 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
-import { formatHex, oklch } from 'culori';
+import { DEFAULT_GAMUT_MAPPING, DEFAULT_WORKING_GAMUT, getGamut, toGamutCss, isInGamut, maxChromaInGamut } from '../utils/gamutMapping';
+import { getHarmonyOffsets } from '../utils/colorUtils';
+import { WHEEL_MODELS, getModelHue, setModelHue, wheelColorAt, wheelPositionOf } from '../utils/wheelModels';
 
-const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
+const HANDLE_RADIUS = 7;
+
+/**
+ * Segmented color wheel in one of the wheel models (OKLCH slice, HSL, RYB).
+ * The OKLCH slice sits at the selected color's lightness and draws the gamut
+ * boundary. With a harmony type the wheel also shows the scheme as drag
+ * handles: the base (and any fixed point such as a complement) rotates the
+ * whole scheme, the other companions open or close its spread.
+ */
+const ColorWheel = ({
+  selectedColor,
+  onColorSelect,
+  size = 400,
+  model = 'oklch',
+  onModelChange,
+  harmonyType,
+  harmonySpread,
+  onHarmonyDragStart,
+  onHarmonyRotate,
+  onHarmonySpreadChange,
+  gamutMapping = DEFAULT_GAMUT_MAPPING,
+  workingGamut = DEFAULT_WORKING_GAMUT,
+}) => {
   const canvasRef = useRef(null);
+  const overlayRef = useRef(null);
+  const [dragging, setDragging] = useState(null);
   const [isSpinning, setIsSpinning] = useState(false);
   const [selectedSegment, setSelectedSegment] = useState(null);
   const [isPulsing, setIsPulsing] = useState(false);
@@ -10,13 +36,19 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
 
   const SEGMENTS = 36; // 36 segments = 10° each
   const RINGS = 8; // Saturation rings
+  // The outer ring reaches further out in wider working gamuts
+  const gamut = getGamut(workingGamut);
+  const maxChroma = gamut.wheelChroma;
+  // Only the OKLCH slice depends on the selected lightness
+  const sliceLightness = model === 'oklch' ? (selectedColor?.l ?? 0.65) : null;
 
   // Draw the segmented color wheel
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
 
-    const ctx = canvas.getContext('2d');
+    // Wide-gamut canvases can show P3 colors; browsers without support use sRGB
+    const ctx = canvas.getContext('2d', { colorSpace: gamut.id === 'srgb' ? 'srgb' : 'display-p3' });
     const centerX = size / 2;
     const centerY = size / 2;
     const maxRadius = size / 2 - 20;
@@ -28,20 +60,19 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
     for (let ring = 0; ring < RINGS; ring++) {
       const innerRadius = (ring / RINGS) * maxRadius;
       const outerRadius = ((ring + 1) / RINGS) * maxRadius;
-      const saturation = ((ring + 1) / RINGS) * 0.25; // Max chroma 0.25
+      const radius = (ring + 1) / RINGS;
 
       for (let segment = 0; segment < SEGMENTS; segment++) {
         const hue = (segment / SEGMENTS) * 360;
         const startAngle = (segment / SEGMENTS) * 2 * Math.PI - Math.PI / 2;
         const endAngle = ((segment + 1) / SEGMENTS) * 2 * Math.PI - Math.PI / 2;
 
-        // Create OKLCH color
-        const color = oklch({ l: 0.65, c: saturation, h: hue });
-        let hexColor;
+        const color = wheelColorAt(model, hue, radius, { lightness: sliceLightness, maxChroma });
+        let fill;
         try {
-          hexColor = formatHex(color) || '#888888';
+          fill = toGamutCss(color, gamut.id, gamutMapping);
         } catch {
-          hexColor = '#888888';
+          fill = '#888888';
         }
 
         // Check if this is the selected segment
@@ -55,8 +86,11 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
         ctx.arc(centerX, centerY, outerRadius, endAngle, startAngle, true);
         ctx.closePath();
 
-        ctx.fillStyle = hexColor;
+        ctx.fillStyle = fill;
+        // Slice segments the working gamut can't show are dimmed
+        ctx.globalAlpha = model === 'oklch' && !isInGamut(color, gamut.id) ? 0.3 : 1;
         ctx.fill();
+        ctx.globalAlpha = 1;
 
         // Border
         ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
@@ -72,13 +106,35 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
       }
     }
 
+    // Gamut boundary of the slice: sRGB solid, a wider working gamut dashed
+    if (model === 'oklch') {
+      const boundaries = gamut.id === 'srgb' ? ['srgb'] : ['srgb', gamut.id];
+      boundaries.forEach((id) => {
+        ctx.beginPath();
+        for (let hue = 0; hue <= 360; hue += 5) {
+          const r = Math.min(1, maxChromaInGamut(sliceLightness, hue, id) / maxChroma) * maxRadius;
+          const angle = (hue / 360) * 2 * Math.PI - Math.PI / 2;
+          const x = centerX + Math.cos(angle) * r;
+          const y = centerY + Math.sin(angle) * r;
+          if (hue === 0) ctx.moveTo(x, y);
+          else ctx.lineTo(x, y);
+        }
+        ctx.closePath();
+        ctx.setLineDash(id === 'srgb' ? [] : [4, 3]);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.75)';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+      });
+      ctx.setLineDash([]);
+    }
+
     // Center circle (black)
     ctx.beginPath();
     ctx.arc(centerX, centerY, maxRadius / RINGS, 0, 2 * Math.PI);
     ctx.fillStyle = '#000000';
     ctx.fill();
 
-  }, [size, selectedSegment, isPulsing, SEGMENTS, RINGS]);
+  }, [size, selectedSegment, isPulsing, SEGMENTS, RINGS, gamutMapping, gamut, maxChroma, model, sliceLightness]);
 
   // Handle click on wheel
   const handleClick = useCallback((e) => {
@@ -102,10 +158,7 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
 
     if (ring >= 0 && ring < RINGS && segment >= 0 && segment < SEGMENTS) {
       const hue = (segment / SEGMENTS) * 360;
-      const saturation = ((ring + 1) / RINGS) * 0.25;
-
-      // Create color
-      const color = { mode: 'oklch', l: 0.65, c: saturation, h: hue };
+      const color = wheelColorAt(model, hue, (ring + 1) / RINGS, { lightness: sliceLightness, maxChroma });
 
       // Select segment and trigger animations
       setSelectedSegment({ ring, segment });
@@ -117,7 +170,69 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
       // Notify parent
       if (onColorSelect) onColorSelect(color);
     }
-  }, [size, isSpinning, onColorSelect, SEGMENTS, RINGS]);
+  }, [size, isSpinning, onColorSelect, SEGMENTS, RINGS, maxChroma, model, sliceLightness]);
+
+  // Handles sit on the scheme's model hues at the selected color's radius
+  const baseHue = selectedColor ? getModelHue(selectedColor, model) : 0;
+  const handleRadius = (() => {
+    const maxRadius = size / 2 - 20;
+    const { radius } = selectedColor ? wheelPositionOf(selectedColor, model, { maxChroma }) : { radius: 0 };
+    return Math.max(maxRadius / RINGS * 1.5, radius * maxRadius);
+  })();
+  const handles = onHarmonyRotate && selectedColor
+    ? getHarmonyOffsets(harmonyType, harmonySpread).map(({ offset, fixed, factor }, index) => {
+        const hue = ((baseHue + offset) % 360 + 360) % 360;
+        // Screen angle follows the canvas rotation left by the last spin
+        const angle = ((hue + rotation) * Math.PI) / 180 - Math.PI / 2;
+        return {
+          index,
+          hue,
+          fixed,
+          factor,
+          isBase: fixed === 0 && factor === 0,
+          x: size / 2 + Math.cos(angle) * handleRadius,
+          y: size / 2 + Math.sin(angle) * handleRadius,
+          fill: toGamutCss(setModelHue(selectedColor, hue, model), gamut.id, gamutMapping),
+        };
+      })
+    : [];
+
+  // Hue under the pointer, undoing the canvas rotation
+  const pointerHue = useCallback((e) => {
+    const rect = overlayRef.current.getBoundingClientRect();
+    const x = e.clientX - rect.left - rect.width / 2;
+    const y = e.clientY - rect.top - rect.height / 2;
+    const degrees = (Math.atan2(y, x) * 180) / Math.PI + 90 - rotation;
+    return ((degrees % 360) + 360) % 360;
+  }, [rotation]);
+
+  const handlePointerDown = useCallback((e, handle) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragging(handle);
+    if (onHarmonyDragStart) onHarmonyDragStart(handle.factor === 0 ? 'rotate' : 'spread');
+  }, [onHarmonyDragStart]);
+
+  const handlePointerMove = useCallback((e) => {
+    if (!dragging) return;
+    const hue = pointerHue(e);
+
+    if (dragging.factor === 0) {
+      // Base or a fixed point: rotate the scheme so this handle follows
+      onHarmonyRotate(((hue - dragging.fixed) % 360 + 360) % 360);
+    } else if (onHarmonySpreadChange) {
+      // Companion: its angle from the fixed point, scaled back to a spread
+      const delta = ((hue - baseHue - dragging.fixed + 540) % 360) - 180;
+      onHarmonySpreadChange(Math.round(delta / dragging.factor));
+    }
+  }, [dragging, pointerHue, baseHue, onHarmonyRotate, onHarmonySpreadChange]);
+
+  const handlePointerUp = useCallback((e) => {
+    if (!dragging) return;
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    setDragging(null);
+  }, [dragging]);
 
   // Trigger spin animation
   const spinWheel = useCallback(() => {
@@ -132,8 +247,7 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
       const randomRing = Math.floor(Math.random() * RINGS);
       const randomSegment = Math.floor(Math.random() * SEGMENTS);
       const hue = (randomSegment / SEGMENTS) * 360;
-      const saturation = ((randomRing + 1) / RINGS) * 0.25;
-      const color = { mode: 'oklch', l: 0.65, c: saturation, h: hue };
+      const color = wheelColorAt(model, hue, (randomRing + 1) / RINGS, { lightness: sliceLightness, maxChroma });
       
       setSelectedSegment({ ring: randomRing, segment: randomSegment });
       setIsPulsing(true);
@@ -141,12 +255,15 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
       
       if (onColorSelect) onColorSelect(color);
     }, 3000);
-  }, [isSpinning, onColorSelect, SEGMENTS, RINGS]);
+  }, [isSpinning, onColorSelect, SEGMENTS, RINGS, maxChroma, model, sliceLightness]);
 
   return (
     <div className="flex flex-col items-center gap-4">
       <div className="relative">
+        {/* A canvas keeps the color space of its first getContext call, so a
+            new working gamut needs a new canvas */}
         <canvas
+          key={gamut.id}
           ref={canvasRef}
           width={size}
           height={size}
@@ -160,6 +277,51 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
           }}
         />
         
+        {/* Harmony handles */}
+        {handles.length > 0 && !isSpinning && (
+          <svg
+            ref={overlayRef}
+            width={size}
+            height={size}
+            className="absolute inset-0 pointer-events-none"
+          >
+            {handles.length > 1 && (
+              <polygon
+                points={handles.map(h => `${h.x},${h.y}`).join(' ')}
+                fill="none"
+                stroke="rgba(255, 255, 255, 0.5)"
+                strokeWidth={1.5}
+                strokeDasharray="4 3"
+              />
+            )}
+            {handles.map(handle => (
+              <circle
+                key={handle.index}
+                cx={handle.x}
+                cy={handle.y}
+                r={handle.isBase ? HANDLE_RADIUS + 2 : HANDLE_RADIUS}
+                fill={handle.fill}
+                stroke="white"
+                strokeWidth={dragging?.index === handle.index ? 3 : 2}
+                className="pointer-events-auto cursor-grab active:cursor-grabbing"
+                style={{ touchAction: 'none' }}
+                onPointerDown={(e) => handlePointerDown(e, handle)}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+              >
+                <title>
+                  {handle.isBase
+                    ? 'Base — drag to rotate the scheme'
+                    : handle.factor === 0
+                      ? 'Drag to rotate the scheme'
+                      : 'Drag to change the spread'}
+                </title>
+              </circle>
+            ))}
+          </svg>
+        )}
+
         {/* Center label */}
         <div 
           className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 pointer-events-none"
@@ -174,6 +336,21 @@ const ColorWheel = ({ selectedColor, onColorSelect, size = 400 }) => {
         </div>
       </div>
 
+      {onModelChange && (
+        <div className="flex items-center gap-1 bg-[#0a0a0f] rounded-lg p-1">
+          {WHEEL_MODELS.map(({ id, label, hint }) => (
+            <button
+              key={id}
+              onClick={() => onModelChange(id)}
+              title={hint}
+              className={`px-2.5 py-1 rounded-md text-[10px] uppercase tracking-wider font-medium transition-colors ${model === id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
       <button
         onClick={spinWheel}
         disabled={isSpinning}
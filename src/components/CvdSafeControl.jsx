@@ -0,0 +1,120 @@
+import React from 'react';
+import { ShieldCheck, TriangleAlert, Check } from 'lucide-react';
+import { oklchToHex } from '../utils/colorUtils';
+import { CVD_SAFE_LEVELS, DEFAULT_CVD_SAFE } from '../utils/cvdSafe';
+
+const VIEW_LABELS = {
+  normal: 'normal vision',
+  protan: 'protan',
+  deutan: 'deutan',
+  tritan: 'tritan',
+};
+
+// ΔE change below which a pair counts as untouched
+const UNCHANGED = 0.05;
+
+// Header line: what the constraint actually achieved
+function summarize(report) {
+  const { pairs, minDeltaE } = report;
+  if (pairs.length === 0) return `All pairs already ≥ ΔE ${minDeltaE} apart — nothing adjusted`;
+  const reached = pairs.filter(p => p.after >= minDeltaE).length;
+  const plural = n => (n === 1 ? '' : 's');
+  if (reached === pairs.length) return `Adjusted ${reached} pair${plural(reached)} to reach ΔE ${minDeltaE}`;
+  return `${reached} of ${pairs.length} close pair${plural(pairs.length)} reached ΔE ${minDeltaE}`;
+}
+
+// Why the pairs still under the minimum stayed there
+function ShortfallNote({ report }) {
+  const short = report.pairs.filter(p => p.after < report.minDeltaE);
+  const locked = short.filter(p => p.locked).length;
+  const searched = short.length - locked;
+  if (short.length === 0) return null;
+  return (
+    <div className="space-y-0.5 text-[10px] text-yellow-400">
+      {locked > 0 && (
+        <p>{locked} pair{locked === 1 ? ' is' : 's are'} between locked or base colors, which stay put.</p>
+      )}
+      {searched > 0 && (
+        <p>
+          {searched} pair{searched === 1 ? '' : 's'} couldn&apos;t be pushed further apart: no lightness or
+          chroma nudge helped without crowding another color. Try a looser level or a different base.
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * CVD-safe generation toggle with the minimum-distance preset, plus the
+ * report of which pairs the last generated palette had to adjust.
+ *
+ * @param {Object|null} value - { minDeltaE } or null when off
+ * @param {Object|null} report - From getCvdReport / smartFillPalette
+ * @param {Object[]} colors - The palette the report's indices refer to
+ */
+export default function CvdSafeControl({ value, onChange, report, colors = [] }) {
+  const enabled = !!value;
+
+  return (
+    <div className="bg-[#12121a] rounded-xl border border-[#1a1a24] p-3 space-y-2.5">
+      <div className="flex items-center justify-between gap-3">
+        <button
+          onClick={() => onChange(enabled ? null : DEFAULT_CVD_SAFE)}
+          className={`flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg text-xs font-medium transition-colors ${enabled ? 'bg-[#ff6b4a]/20 text-[#ff6b4a]' : 'bg-[#0a0a0f] text-[#55556a] hover:text-[#8888a0]'}`}
+          title="Keep every pair distinguishable under protan, deutan and tritan simulation"
+        >
+          <ShieldCheck size={13} />
+          CVD-safe
+        </button>
+
+        {enabled && (
+          <div className="flex gap-1 bg-[#0a0a0f] rounded-lg p-1">
+            {CVD_SAFE_LEVELS.map(level => (
+              <button
+                key={level.minDeltaE}
+                onClick={() => onChange({ ...value, minDeltaE: level.minDeltaE })}
+                title={`${level.hint} — ΔE2000 ≥ ${level.minDeltaE}`}
+                className={`px-2 py-1 text-[10px] rounded-md transition-colors ${value.minDeltaE === level.minDeltaE ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'}`}
+              >
+                {level.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {enabled && !report && (
+        <p className="text-[10px] text-[#55556a]">
+          Every pair will stay ≥ ΔE {value.minDeltaE} apart under protan, deutan and tritan simulation — applies to the next palette generated.
+        </p>
+      )}
+
+      {enabled && report && (
+        <div className="space-y-1.5">
+          <p className="text-[10px] text-[#55556a]">{summarize(report)}</p>
+          {report.pairs.map(({ i, j, type, before, after }) => {
+            const ok = after >= report.minDeltaE;
+            const unchanged = Math.abs(after - before) < UNCHANGED;
+            return (
+              <div key={`${i}-${j}`} className="flex items-center gap-2 text-[10px]">
+                <div className="flex shrink-0">
+                  <div className="w-4 h-4 rounded-l" style={{ backgroundColor: oklchToHex(colors[i]) }} />
+                  <div className="w-4 h-4 rounded-r" style={{ backgroundColor: oklchToHex(colors[j]) }} />
+                </div>
+                <span className="text-[#8888a0]">{i + 1} &amp; {j + 1}</span>
+                <span className="text-[#55556a]">{VIEW_LABELS[type] || type}</span>
+                <span className="font-mono text-[#8888a0] ml-auto">
+                  {unchanged ? `ΔE ${after.toFixed(1)}, unchanged` : `ΔE ${before.toFixed(1)} → ${after.toFixed(1)}`}
+                </span>
+                {ok
+                  ? <Check size={11} className="text-green-400 shrink-0" />
+                  : <TriangleAlert size={11} className="text-yellow-400 shrink-0" />}
+              </div>
+            );
+          })}
+          {!report.satisfied && <ShortfallNote report={report} />}
+        </div>
+      )}
+    </div>
+  );
+}
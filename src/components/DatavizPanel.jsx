@@ -0,0 +1,247 @@
+import React, { useState } from 'react';
+import { Copy, Check, Download, ShieldCheck } from 'lucide-react';
+import { oklchToHex } from '../utils/colorUtils';
+import { DATAVIZ_SCHEMES, DATAVIZ_EXPORT_FORMATS, formatDatavizExport } from '../utils/dataviz';
+
+// ─── sample data ──────────────────────────────────────────────────────────────
+
+// Deterministic pseudo-random values so previews don't jump between renders
+function sample(seed) {
+  const x = Math.sin(seed * 12.9898) * 43758.5453;
+  return x - Math.floor(x);
+}
+
+const W = 160;
+const H = 96;
+const GRID = 8;
+
+// ─── chart previews ───────────────────────────────────────────────────────────
+
+function BarPreview({ hexes, ordered }) {
+  const bars = ordered
+    ? hexes.map((hex, i) => ({ hex, value: 0.2 + (0.75 * (i + 1)) / hexes.length }))
+    : hexes.map((hex, i) => ({ hex, value: 0.3 + 0.65 * sample(i + 1) }));
+  const width = W / bars.length;
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+      {bars.map(({ hex, value }, i) => (
+        <rect key={i} x={i * width + 1.5} y={H - value * H} width={width - 3} height={value * H} rx="1.5" fill={hex} />
+      ))}
+    </svg>
+  );
+}
+
+function LinePreview({ hexes }) {
+  const series = hexes.slice(0, 6);
+  const points = 9;
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+      {series.map((hex, s) => {
+        const d = Array.from({ length: points }, (_, i) => {
+          const y = H * (0.15 + 0.7 * (0.5 * sample(s * 31 + i) + 0.5 * ((s + 0.5) / series.length)));
+          return `${i === 0 ? 'M' : 'L'}${(i / (points - 1)) * W} ${H - y}`;
+        }).join(' ');
+        return <path key={s} d={d} fill="none" stroke={hex} strokeWidth="2" strokeLinejoin="round" />;
+      })}
+    </svg>
+  );
+}
+
+function ScatterPreview({ hexes, ordered }) {
+  const dots = Array.from({ length: 48 }, (_, i) => {
+    const x = sample(i + 100);
+    const y = sample(i + 200);
+    const hex = ordered
+      ? hexes[Math.min(hexes.length - 1, Math.floor(((x + y) / 2) * hexes.length))]
+      : hexes[i % hexes.length];
+    return { x: 6 + x * (W - 12), y: 6 + (1 - y) * (H - 12), hex };
+  });
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+      {dots.map((d, i) => <circle key={i} cx={d.x} cy={d.y} r="3.5" fill={d.hex} />)}
+    </svg>
+  );
+}
+
+// Tile-grid map: ordered schemes follow a smooth field, categorical ones
+// assign each region a class
+function ChoroplethPreview({ hexes, ordered, scheme }) {
+  const rows = 5;
+  const size = W / GRID;
+  const cells = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < GRID; c++) {
+      if (sample(r * GRID + c + 300) < 0.12) continue;
+      let t;
+      if (!ordered) t = sample(r * 7 + c * 3 + 400);
+      else if (scheme === 'diverging') t = 0.5 + 0.5 * Math.sin((c / (GRID - 1)) * Math.PI - Math.PI / 2) * (0.6 + 0.4 * sample(r + c));
+      else t = (c / (GRID - 1)) * 0.7 + (r / (rows - 1)) * 0.3;
+      cells.push({ x: c * size, y: r * (H / rows), hex: hexes[Math.min(hexes.length - 1, Math.floor(t * hexes.length))] });
+    }
+  }
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+      {cells.map((cell, i) => (
+        <rect key={i} x={cell.x + 0.75} y={cell.y + 0.75} width={size - 1.5} height={H / rows - 1.5} rx="1.5" fill={cell.hex} />
+      ))}
+    </svg>
+  );
+}
+
+const CHARTS = [
+  { id: 'bar', label: 'Bar', Chart: BarPreview },
+  { id: 'line', label: 'Line', Chart: LinePreview },
+  { id: 'scatter', label: 'Scatter', Chart: ScatterPreview },
+  { id: 'choropleth', label: 'Choropleth', Chart: ChoroplethPreview },
+];
+
+// ─── main component ───────────────────────────────────────────────────────────
+
+/**
+ * Controls, chart previews and code export for the dataviz context.
+ *
+ * @param {Object[]} colors - The generated palette
+ * @param {Object} options - { scheme, count, cvdAware, secondHue }
+ */
+export default function DatavizPanel({ colors = [], options, onOptionsChange }) {
+  const [format, setFormat] = useState('d3');
+  const [copied, setCopied] = useState(false);
+
+  const scheme = DATAVIZ_SCHEMES.find(s => s.id === options.scheme) || DATAVIZ_SCHEMES[0];
+  const ordered = scheme.id !== 'categorical';
+  const hexes = colors.map(c => oklchToHex(c));
+  const fmt = DATAVIZ_EXPORT_FORMATS.find(f => f.id === format);
+  const code = formatDatavizExport(colors, scheme.id, format);
+  const count = Math.min(scheme.max, Math.max(scheme.min, options.count));
+  const set = patch => onOptionsChange({ ...options, ...patch });
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([code], { type: 'text/plain' }));
+    const a = document.createElement('a');
+    a.href = url; a.download = `hexandhue-${scheme.id}.${fmt.ext}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Scheme */}
+      <div className="space-y-2">
+        <div className="flex gap-1 bg-[#0a0a0f] p-1 rounded-lg">
+          {DATAVIZ_SCHEMES.map(s => (
+            <button
+              key={s.id}
+              onClick={() => set({ scheme: s.id })}
+              className={`flex-1 py-2 rounded-lg text-xs font-medium transition-colors ${scheme.id === s.id ? 'bg-[#ff6b4a]/20 text-[#ff6b4a]' : 'text-[#55556a] hover:text-[#8888a0]'}`}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+        <p className="text-[10px] text-[#55556a]">{scheme.description}</p>
+      </div>
+
+      {/* Options */}
+      <div className="bg-[#12121a] rounded-xl border border-[#1a1a24] p-3 space-y-3">
+        <div className="space-y-1.5">
+          <div className="flex items-center justify-between text-xs">
+            <span className="text-[#8888a0]">{ordered ? 'Steps' : 'Classes'}</span>
+            <span className="font-mono text-[#f0f0f5]">{count}</span>
+          </div>
+          <input
+            type="range"
+            min={scheme.min}
+            max={scheme.max}
+            value={count}
+            onChange={(e) => set({ count: Number(e.target.value) })}
+            className="w-full accent-[#ff6b4a]"
+          />
+        </div>
+
+        {scheme.id === 'categorical' && (
+          <button
+            onClick={() => set({ cvdAware: !options.cvdAware })}
+            title="Maximize distance under protan, deutan and tritan simulation as well as normal vision"
+            className={`flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg text-xs font-medium transition-colors ${options.cvdAware ? 'bg-[#ff6b4a]/20 text-[#ff6b4a]' : 'bg-[#0a0a0f] text-[#55556a] hover:text-[#8888a0]'}`}
+          >
+            <ShieldCheck size={13} />
+            CVD-aware
+          </button>
+        )}
+
+        {scheme.id === 'diverging' && (
+          <div className="space-y-1.5">
+            <div className="flex items-center justify-between text-xs">
+              <span className="text-[#8888a0]">Second hue</span>
+              <button
+                onClick={() => set({ secondHue: null })}
+                className={`font-mono ${options.secondHue == null ? 'text-[#55556a]' : 'text-[#f0f0f5] hover:text-[#ff6b4a]'}`}
+                title="Reset to the complement"
+              >
+                {options.secondHue == null ? 'complement' : `${Math.round(options.secondHue)}°`}
+              </button>
+            </div>
+            <input
+              type="range"
+              min="0"
+              max="359"
+              value={Math.round(options.secondHue ?? (((colors[colors.length - 1]?.h ?? 0) + 360) % 360))}
+              onChange={(e) => set({ secondHue: Number(e.target.value) })}
+              className="w-full accent-[#ff6b4a]"
+            />
+          </div>
+        )}
+      </div>
+
+      {/* Previews */}
+      {hexes.length > 0 && (
+        <div className="grid grid-cols-2 gap-2">
+          {CHARTS.map(({ id, label, Chart }) => (
+            <div key={id} className="bg-[#0a0a0f] rounded-xl border border-[#1a1a24] p-2.5 space-y-1.5">
+              <p className="text-[10px] text-[#55556a] uppercase tracking-wider">{label}</p>
+              <Chart hexes={hexes} ordered={ordered} scheme={scheme.id} />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Export */}
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <div className="flex gap-1 bg-[#0a0a0f] rounded-lg p-1">
+            {DATAVIZ_EXPORT_FORMATS.map(f => (
+              <button
+                key={f.id}
+                onClick={() => setFormat(f.id)}
+                className={`px-2.5 py-1 text-[10px] rounded-md transition-colors ${format === f.id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'}`}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-1">
+            <button onClick={copy} className="p-1.5 rounded-lg text-[#55556a] hover:text-[#f0f0f5] hover:bg-[#1a1a24] transition-colors" title="Copy">
+              {copied ? <Check size={13} className="text-green-400" /> : <Copy size={13} />}
+            </button>
+            <button onClick={download} className="p-1.5 rounded-lg text-[#55556a] hover:text-[#f0f0f5] hover:bg-[#1a1a24] transition-colors" title={`Download .${fmt.ext}`}>
+              <Download size={13} />
+            </button>
+          </div>
+        </div>
+        <pre className="bg-[#0a0a0f] rounded-xl border border-[#1a1a24] p-3 text-[10px] font-mono text-[#8888a0] overflow-x-auto whitespace-pre">
+          {code}
+        </pre>
+      </div>
+    </div>
+  );
+}
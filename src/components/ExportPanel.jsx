@@ -1,12 +1,20 @@
 /**
  * ExportPanel.jsx
- * Export palettes as CSS variables, Tailwind config, SCSS, JSON, or paint list.
+ * Export palettes as CSS variables, Tailwind config, SCSS, JSON, design tokens
+ * (W3C DTCG / Style Dictionary), 50–950 tonal scales, or paint list — plus
+ * swatch files for design apps (ASE, GPL, Procreate, Sketch). In a wide
+ * working gamut, CSS/SCSS/JSON also carry color(display-p3 …) values with the
+ * hex as fallback.
  */
 
 import { useState, useMemo } from 'react';
-import { Copy, Download, Check, Code, FileJson, Palette, FlaskConical, Braces } from 'lucide-react';
-import { oklchToHex } from '../utils/colorUtils';
+import { Copy, Download, Check, Code, FileJson, Palette, FlaskConical, Braces, Layers, BarChart3 } from 'lucide-react';
+import { oklchToHex, generateTonalRamp } from '../utils/colorUtils';
 import { generateColorName } from '../utils/colorNames';
+import { generateUsageMap } from '../utils/paletteAnalyzer';
+import { writeASE, writeGPL, writeProcreateSwatches, writeSketchPalette } from '../utils/swatchFiles';
+import { DEFAULT_WORKING_GAMUT, getGamut, toGamutCss, isInGamut } from '../utils/gamutMapping';
+import GamutPreview from './GamutPreview';
 
 // ─── colour format helpers ────────────────────────────────────────────────────
 
@@ -44,6 +52,13 @@ function toOklchStr(c) {
   return `oklch(${(c.l*100).toFixed(1)}% ${(c.c).toFixed(3)} ${(c.h||0).toFixed(1)})`;
 }
 
+// Wide-gamut notations to emit for a working gamut, narrowest first
+function wideGamuts(gamut) {
+  if (gamut.id === 'rec2020') return ['p3', 'rec2020'];
+  if (gamut.id === 'p3') return ['p3'];
+  return [];
+}
+
 function slugify(name) {
   return name.toLowerCase().replace(/[^a-z0-9]+/g,'-').replace(/(^-|-$)/g,'');
 }
@@ -63,7 +78,7 @@ function contrastRatio(hex1, hex2) {
 
 // ─── code generators ──────────────────────────────────────────────────────────
 
-function generateCSS(colors, names) {
+function generateCSS(colors, names, gamut) {
   const vars = colors.map((c,i) => {
     const slug = slugify(names[i] || `color-${i+1}`);
     return `  --color-${slug}: ${toHex(c)};`;
@@ -76,15 +91,33 @@ function generateCSS(colors, names) {
     const b = parseInt(hex.slice(5,7),16);
     return `  --color-${slug}-rgb: ${r}, ${g}, ${b};`;
   });
-  return `:root {\n  /* hex&hue palette export */\n${vars.join('\n')}\n\n  /* RGB channel values for rgba() usage */\n${rgbVars.join('\n')}\n}`;
+  const base = `:root {\n  /* hex&hue palette export */\n${vars.join('\n')}\n\n  /* RGB channel values for rgba() usage */\n${rgbVars.join('\n')}\n}`;
+
+  // Screens that can show more get the wide-gamut value; the hex above stays
+  // the fallback everywhere else
+  const overrides = wideGamuts(gamut).map(id => {
+    const wideVars = colors.map((c,i) => {
+      const slug = slugify(names[i] || `color-${i+1}`);
+      return `    --color-${slug}: ${toGamutCss(c, id)};`;
+    });
+    return `@media (color-gamut: ${id}) {\n  :root {\n${wideVars.join('\n')}\n  }\n}`;
+  });
+  return [base, ...overrides].join('\n\n');
 }
 
-function generateSCSS(colors, names) {
+function generateSCSS(colors, names, gamut) {
   const vars = colors.map((c,i) => {
     const slug = slugify(names[i] || `color-${i+1}`);
     return `$color-${slug}: ${toHex(c)};`;
   });
-  return `// hex&hue palette export\n${vars.join('\n')}`;
+  const wide = wideGamuts(gamut).map(id => {
+    const wideVars = colors.map((c,i) => {
+      const slug = slugify(names[i] || `color-${i+1}`);
+      return `$color-${slug}-${id}: ${toGamutCss(c, id)};`;
+    });
+    return `// ${id === 'p3' ? 'Display-P3' : 'Rec.2020'} — use inside @media (color-gamut: ${id}), keep the hex as fallback\n${wideVars.join('\n')}`;
+  });
+  return [`// hex&hue palette export\n${vars.join('\n')}`, ...wide].join('\n\n');
 }
 
 function generateTailwind(colors, names) {
@@ -95,7 +128,7 @@ function generateTailwind(colors, names) {
   return `// tailwind.config.js — add inside theme.extend.colors\nconst palette = {\n${entries.join('\n')}\n};\n\nmodule.exports = {\n  theme: {\n    extend: {\n      colors: { palette },\n    },\n  },\n};`;
 }
 
-function generateJSON(colors, names) {
+function generateJSON(colors, names, gamut) {
   const obj = {};
   colors.forEach((c,i) => {
     const slug = slugify(names[i] || `color-${i+1}`);
@@ -106,10 +139,128 @@ function generateJSON(colors, names) {
       hsl: toHsl(c),
       oklch: toOklchStr(c),
     };
+    wideGamuts(gamut).forEach(id => { obj[slug][id] = toGamutCss(c, id); });
   });
   return JSON.stringify({ palette: obj, source: 'hex&hue Color Theory Studio', generated: new Date().toISOString() }, null, 2);
 }
 
+// ─── design tokens ────────────────────────────────────────────────────────────
+
+const TOKEN_ROLES = ['primary', 'accent', 'neutral', 'background', 'text'];
+
+function round(v, digits) {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
+
+// DTCG colour value: OKLCH components, with the gamut-mapped sRGB hex as fallback
+function toDtcgColor(c) {
+  return {
+    colorSpace: 'oklch',
+    components: [
+      round(c.l ?? 0, 4),
+      round(c.c ?? 0, 4),
+      Number.isFinite(c.h) ? round(c.h, 2) : 'none',
+    ],
+    alpha: c.alpha ?? 1,
+    hex: toHex(c),
+  };
+}
+
+// Semantic role → palette slug, from paletteAnalyzer's usage map
+function tokenRoles(colors, slugs) {
+  const usage = generateUsageMap(colors);
+  return TOKEN_ROLES
+    .filter(role => usage[role] !== undefined)
+    .map(role => [role, slugs[usage[role]]]);
+}
+
+function generateDTCG(colors, names) {
+  const slugs = colors.map((c,i) => slugify(names[i] || `color-${i+1}`));
+
+  const palette = {};
+  colors.forEach((c,i) => {
+    palette[slugs[i]] = {
+      $value: toDtcgColor(c),
+      $description: names[i],
+    };
+  });
+
+  const role = {};
+  tokenRoles(colors, slugs).forEach(([name, slug]) => {
+    role[name] = { $value: `{color.palette.${slug}}` };
+  });
+
+  return JSON.stringify({
+    $description: 'hex&hue palette export (W3C Design Tokens Community Group format)',
+    color: {
+      $type: 'color',
+      palette,
+      ...(Object.keys(role).length && { role }),
+    },
+  }, null, 2);
+}
+
+function generateStyleDictionary(colors, names) {
+  const slugs = colors.map((c,i) => slugify(names[i] || `color-${i+1}`));
+
+  // Style Dictionary's built-in colour transforms only understand sRGB, so the
+  // hex is the value and the exact OKLCH travels along as an attribute
+  const palette = {};
+  colors.forEach((c,i) => {
+    palette[slugs[i]] = {
+      value: toHex(c),
+      type: 'color',
+      comment: names[i],
+      attributes: { oklch: toOklchStr(c) },
+    };
+  });
+
+  const role = {};
+  tokenRoles(colors, slugs).forEach(([name, slug]) => {
+    role[name] = { value: `{color.palette.${slug}.value}`, type: 'color' };
+  });
+
+  return JSON.stringify({
+    color: {
+      palette,
+      ...(Object.keys(role).length && { role }),
+    },
+  }, null, 2);
+}
+
+// ─── tonal scales (50–950) ────────────────────────────────────────────────────
+
+function tonalScales(colors, names) {
+  return colors.map((c,i) => ({
+    slug: slugify(names[i] || `color-${i+1}`),
+    ramp: generateTonalRamp(c),
+  }));
+}
+
+function generateScaleCSS(colors, names) {
+  const blocks = tonalScales(colors, names).map(({ slug, ramp }) =>
+    ramp.map(({ step, color }) => `  --color-${slug}-${step}: ${toHex(color)};`).join('\n')
+  );
+  return `:root {\n  /* hex&hue tonal scales (50–950) */\n${blocks.join('\n\n')}\n}`;
+}
+
+function generateScaleTailwind3(colors, names) {
+  const blocks = tonalScales(colors, names).map(({ slug, ramp }) => {
+    const steps = ramp.map(({ step, color }) => `          ${step}: '${toHex(color)}',`);
+    return `        '${slug}': {\n${steps.join('\n')}\n        },`;
+  });
+  return `// tailwind.config.js (Tailwind v3)\nmodule.exports = {\n  theme: {\n    extend: {\n      colors: {\n${blocks.join('\n')}\n      },\n    },\n  },\n};`;
+}
+
+// Tailwind v4 ships its own palette in OKLCH, so these scales do too
+function generateScaleTailwind4(colors, names) {
+  const blocks = tonalScales(colors, names).map(({ slug, ramp }) =>
+    ramp.map(({ step, color }) => `  --color-${slug}-${step}: ${toOklchStr(color)};`).join('\n')
+  );
+  return `/* app.css (Tailwind v4) */\n@import "tailwindcss";\n\n@theme {\n${blocks.join('\n\n')}\n}`;
+}
+
 function generatePaintList(colors, names) {
   const lines = [
     '# hex&hue — Paint Mixing Reference',
@@ -153,7 +304,10 @@ function useClipboard() {
 }
 
 function downloadText(text, filename) {
-  const blob = new Blob([text], { type: 'text/plain' });
+  downloadBlob(new Blob([text], { type: 'text/plain' }), filename);
+}
+
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url; a.download = filename;
@@ -199,10 +353,23 @@ const FORMATS = [
   { id: 'scss',     label: 'SCSS',          icon: Braces,      ext: 'scss' },
   { id: 'tailwind', label: 'Tailwind',      icon: Code,        ext: 'js'   },
   { id: 'json',     label: 'JSON',          icon: FileJson,    ext: 'json' },
+  { id: 'dtcg',     label: 'W3C Tokens',    icon: Layers,      ext: 'tokens.json' },
+  { id: 'styledict',label: 'Style Dictionary', icon: Layers,   ext: 'sd.json' },
+  { id: 'scale-css',label: 'CSS Scales',    icon: BarChart3,   ext: 'css'  },
+  { id: 'scale-tw3',label: 'Tailwind v3 Scales', icon: BarChart3, ext: 'js' },
+  { id: 'scale-tw4',label: 'Tailwind v4 @theme', icon: BarChart3, ext: 'css' },
   { id: 'paint',    label: 'Paint List',    icon: FlaskConical,ext: 'md'   },
   { id: 'swatches', label: 'SVG Swatches',  icon: Palette,     ext: 'svg'  },
 ];
 
+// Binary/structured swatch files for design and paint apps
+const SWATCH_FILES = [
+  { id: 'ase',       label: 'Adobe / Affinity', ext: 'ase',           write: writeASE },
+  { id: 'gpl',       label: 'GIMP / Krita',     ext: 'gpl',           write: writeGPL },
+  { id: 'procreate', label: 'Procreate',        ext: 'swatches',      write: writeProcreateSwatches },
+  { id: 'sketch',    label: 'Sketch',           ext: 'sketchpalette', write: writeSketchPalette },
+];
+
 function generateSVGSwatches(colors, names) {
   const W = 80, H = 100, GAP = 8;
   const total = colors.length * (W + GAP) - GAP;
@@ -221,27 +388,41 @@ function generateSVGSwatches(colors, names) {
 
 // ─── main component ──────────────────────────────────────────────────────────
 
-export default function ExportPanel({ colors = [], paletteLabel = 'Palette' }) {
+export default function ExportPanel({ colors = [], paletteLabel = 'Palette', nameSystem, gamutMapping, workingGamut = DEFAULT_WORKING_GAMUT }) {
   const [selectedFormat, setSelectedFormat] = useState('css');
   const { copied, copy } = useClipboard();
-
-  const names = useMemo(
-    () => colors.map(c => generateColorName(c)),
-    [colors]
-  );
-
+  const gamut = getGamut(workingGamut);
+
+  // Near-identical colours can share a dictionary name; number the repeats so
+  // exported tokens never collide (--color-teal, --color-teal-2, …)
+  const names = useMemo(() => {
+    const counts = {};
+    return colors.map(c => {
+      const name = generateColorName(c, nameSystem);
+      counts[name] = (counts[name] || 0) + 1;
+      return counts[name] > 1 ? `${name} ${counts[name]}` : name;
+    });
+  }, [colors, nameSystem]);
+
+  // The generators map with the session method, which App keeps in sync with
+  // `gamutMapping`; it's listed so a method change regenerates the code
   const code = useMemo(() => {
     if (!colors.length) return '';
     switch(selectedFormat) {
-      case 'css':      return generateCSS(colors, names);
-      case 'scss':     return generateSCSS(colors, names);
+      case 'css':      return generateCSS(colors, names, gamut);
+      case 'scss':     return generateSCSS(colors, names, gamut);
       case 'tailwind': return generateTailwind(colors, names);
-      case 'json':     return generateJSON(colors, names);
+      case 'json':     return generateJSON(colors, names, gamut);
+      case 'dtcg':     return generateDTCG(colors, names);
+      case 'styledict':return generateStyleDictionary(colors, names);
+      case 'scale-css':return generateScaleCSS(colors, names);
+      case 'scale-tw3':return generateScaleTailwind3(colors, names);
+      case 'scale-tw4':return generateScaleTailwind4(colors, names);
       case 'paint':    return generatePaintList(colors, names);
       case 'swatches': return generateSVGSwatches(colors, names);
       default:         return '';
     }
-  }, [colors, names, selectedFormat]);
+  }, [colors, names, selectedFormat, gamut, gamutMapping]);
 
   const fmt = FORMATS.find(f => f.id === selectedFormat);
   const filename = `hexandhue-palette.${fmt?.ext}`;
@@ -285,6 +466,9 @@ export default function ExportPanel({ colors = [], paletteLabel = 'Palette' }) {
         ))}
       </div>
 
+      {/* What the hex fallback loses on wide-gamut screens */}
+      <GamutPreview colors={colors} gamutMapping={gamutMapping} />
+
       {/* Format tabs */}
       <div>
         <p className="text-xs text-[#55556a] mb-2 uppercase tracking-wider font-medium">Export format</p>
@@ -322,8 +506,38 @@ export default function ExportPanel({ colors = [], paletteLabel = 'Palette' }) {
         {selectedFormat === 'scss' && '✦ SCSS variables — import into your SCSS entry file. Use $color-name in any stylesheet.'}
         {selectedFormat === 'tailwind' && '✦ Extend your tailwind.config.js colors with this palette. Access with classes like bg-dusty-rose.'}
         {selectedFormat === 'json' && '✦ All formats in one JSON object. Useful for design tokens, Figma plugins, or custom tooling.'}
+        {selectedFormat === 'dtcg' && '✦ W3C Design Tokens (DTCG) — OKLCH values with sRGB hex fallbacks, plus semantic role aliases (primary, accent, neutral, background, text).'}
+        {selectedFormat === 'styledict' && '✦ Style Dictionary source tokens — hex values for its built-in transforms, exact OKLCH in attributes, role aliases by reference.'}
+        {selectedFormat === 'scale-css' && '✦ 11-step tonal scale per colour (--color-name-50 … --color-name-950). Even OKLCH lightness steps; each base colour sits on its nearest step.'}
+        {selectedFormat === 'scale-tw3' && '✦ Tailwind v3 config with a 50–950 scale per colour. Use classes like bg-name-500 or text-name-900.'}
+        {selectedFormat === 'scale-tw4' && '✦ Tailwind v4 @theme block — OKLCH values like Tailwind\'s own palette. Utilities such as bg-name-500 are generated automatically.'}
         {selectedFormat === 'paint' && '✦ Reference list for your paint session. Use the Paint tab to get precise KM mixing recipes per colour.'}
         {selectedFormat === 'swatches' && '✦ Scalable SVG swatch sheet — open in Illustrator, Inkscape, or embed directly in web pages.'}
+        {['css', 'scss', 'json'].includes(selectedFormat) && gamut.id !== 'srgb' && (
+          <p className="mt-1">
+            ✦ {gamut.label} working gamut — wide-gamut values are included alongside the sRGB hex
+            {colors.some(c => !isInGamut(c, 'srgb')) ? ', which is gamut-mapped for colours outside sRGB.' : '.'}
+          </p>
+        )}
+      </div>
+
+      {/* Swatch files */}
+      <div>
+        <p className="text-xs text-[#55556a] mb-2 uppercase tracking-wider font-medium">Swatch files</p>
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-1.5">
+          {SWATCH_FILES.map(({ id, label, ext, write }) => (
+            <button
+              key={id}
+              onClick={() => downloadBlob(write(colors, names, `hex&hue ${paletteLabel}`), `hexandhue-palette.${ext}`)}
+              className="flex flex-col items-start gap-0.5 px-3 py-2 rounded-lg bg-[#12121a] border border-[#1a1a24] hover:border-[#252530] transition-colors group"
+            >
+              <span className="flex items-center gap-1.5 text-xs font-medium text-[#8888a0] group-hover:text-[#f0f0f5]">
+                <Download size={11} /> {label}
+              </span>
+              <span className="text-[10px] font-mono text-[#55556a]">.{ext}</span>
+            </button>
+          ))}
+        </div>
       </div>
     </div>
   );
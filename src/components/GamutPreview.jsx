@@ -0,0 +1,55 @@
+import React, { useMemo } from 'react';
+import { mapToGamut, toGamutCss, deltaEOK } from '../utils/gamutMapping';
+
+// Whether this screen can show Display-P3 at all
+const canShowP3 = () =>
+  typeof window !== 'undefined' && window.matchMedia?.('(color-gamut: p3)').matches;
+
+/**
+ * Side-by-side sRGB vs Display-P3 swatches: the left half is what the hex
+ * fallback shows, the right half what color(display-p3 …) shows.
+ */
+export default function GamutPreview({ colors = [], gamutMapping }) {
+  const rows = useMemo(() => colors.map(color => {
+    const srgb = mapToGamut(color, gamutMapping, 'srgb');
+    const p3 = mapToGamut(color, gamutMapping, 'p3');
+    return {
+      srgb: toGamutCss(color, 'srgb', gamutMapping),
+      p3: toGamutCss(color, 'p3', gamutMapping),
+      deltaE: srgb && p3 ? deltaEOK(srgb, p3) : 0,
+    };
+  }), [colors, gamutMapping]);
+
+  if (!colors.length) return null;
+
+  const gained = rows.filter(r => r.deltaE >= 0.005).length;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <p className="text-xs text-[#55556a] uppercase tracking-wider font-medium">sRGB vs P3</p>
+        <p className="text-[10px] text-[#55556a]">
+          {gained ? `${gained} of ${rows.length} richer in P3` : 'Palette fits sRGB'}
+        </p>
+      </div>
+      <div className="flex gap-1.5">
+        {rows.map((row, i) => (
+          <div key={i} className="flex-1 min-w-0">
+            <div className="h-10 rounded-lg overflow-hidden flex" title={`${row.srgb} · ${row.p3}`}>
+              <div className="flex-1" style={{ backgroundColor: row.srgb }} />
+              <div className="flex-1" style={{ backgroundColor: row.p3 }} />
+            </div>
+            <p className="text-[9px] text-[#55556a] font-mono text-center mt-1">
+              {row.deltaE >= 0.005 ? `ΔE ${(row.deltaE * 100).toFixed(1)}` : '—'}
+            </p>
+          </div>
+        ))}
+      </div>
+      {!canShowP3() && (
+        <p className="text-[10px] text-[#55556a] leading-relaxed">
+          This screen only shows sRGB, so both halves look the same here — the P3 half shows on wide-gamut displays.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -189,20 +189,20 @@ function ColorStopsDisplay({ stops, onColorSelect }) {
 // MAIN COMPONENT
 // ============================================================================
 
-export default function GradientGenerator({ initialColors, baseColor, onColorSelect }) {
+export default function GradientGenerator({ initialColors, baseColor, onColorSelect, settings, onSettingsChange, gamutMapping }) {
   // Mode: 'vibe' (intelligent) or 'custom' (manual)
-  const [mode, setMode] = useState('vibe');
+  const [mode, setMode] = useState(settings?.mode ?? 'vibe');
 
   // Custom mode state (existing functionality)
   const [customColors, setCustomColors] = useState(initialColors || []);
-  const [gradientType, setGradientType] = useState('linear');
-  const [angle, setAngle] = useState(135);
+  const [gradientType, setGradientType] = useState(settings?.gradientType ?? 'linear');
+  const [angle, setAngle] = useState(settings?.angle ?? 135);
   const [copied, setCopied] = useState(false);
 
   // Vibe mode state
-  const [vibeStyle, setVibeStyle] = useState('chromatic-arc');
-  const [huePath, setHuePath] = useState('auto');
-  const [stops, setStops] = useState(3);
+  const [vibeStyle, setVibeStyle] = useState(settings?.vibeStyle ?? 'chromatic-arc');
+  const [huePath, setHuePath] = useState(settings?.huePath ?? 'auto');
+  const [stops, setStops] = useState(settings?.stops ?? 3);
   const [vibeResult, setVibeResult] = useState(null);
   const [regenerateKey, setRegenerateKey] = useState(0);
 
@@ -213,6 +213,11 @@ export default function GradientGenerator({ initialColors, baseColor, onColorSel
     }
   }, [initialColors]);
 
+  // Report settings upward so they survive tab switches and shared links
+  useEffect(() => {
+    onSettingsChange?.({ mode, gradientType, angle, vibeStyle, huePath, stops });
+  }, [mode, gradientType, angle, vibeStyle, huePath, stops, onSettingsChange]);
+
   // Generate vibe gradient when settings change
   useEffect(() => {
     if (mode === 'vibe' && baseColor) {
@@ -250,7 +255,7 @@ export default function GradientGenerator({ initialColors, baseColor, onColorSel
     if (gradientColors.length < 2) return '';
 
     const colorStops = gradientColors.map((c, i) => {
-      const hex = oklchToHex(c);
+      const hex = oklchToHex(c, gamutMapping);
       const percent = (i / (gradientColors.length - 1)) * 100;
       return `${hex} ${percent.toFixed(0)}%`;
     }).join(', ');
@@ -262,7 +267,7 @@ export default function GradientGenerator({ initialColors, baseColor, onColorSel
     } else {
       return `conic-gradient(from ${angle}deg, ${colorStops})`;
     }
-  }, [gradientColors, gradientType, angle]);
+  }, [gradientColors, gradientType, angle, gamutMapping]);
 
   const fullCSS = useMemo(() => {
     if (!gradientCSS || !hexFallbackCSS) return '';
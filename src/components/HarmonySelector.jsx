@@ -15,35 +15,35 @@ const HARMONIES = [
     name: 'Complementary',
     icon: Circle,
     description: 'Opposite colors',
-    generator: (color) => getComplementary(color, { withLightnessSpread: true })
+    generator: (color, model) => getComplementary(color, { withLightnessSpread: true, model })
   },
   {
     id: 'split-complementary',
     name: 'Split Comp.',
     icon: Triangle,
     description: 'Y-shaped spread',
-    generator: (color) => getSplitComplementary(color, { withLightnessSpread: true })
+    generator: (color, model) => getSplitComplementary(color, { withLightnessSpread: true, model })
   },
   {
     id: 'triadic',
     name: 'Triadic',
     icon: Triangle,
     description: 'Three equal parts',
-    generator: (color) => getTriadic(color, { withLightnessSpread: true })
+    generator: (color, model) => getTriadic(color, { withLightnessSpread: true, model })
   },
   {
     id: 'tetradic',
     name: 'Tetradic',
     icon: Square,
     description: 'Four corners',
-    generator: (color) => getTetradic(color, { withLightnessSpread: true })
+    generator: (color, model) => getTetradic(color, { withLightnessSpread: true, model })
   },
   {
     id: 'analogous',
     name: 'Analogous',
     icon: Layers,
     description: 'Adjacent colors',
-    generator: (color) => getAnalogous(color, 5, 25, { withLightnessSpread: true })
+    generator: (color, model) => getAnalogous(color, 5, 25, { withLightnessSpread: true, model })
   },
   {
     id: 'monochromatic',
@@ -54,9 +54,9 @@ const HARMONIES = [
   },
 ];
 
-export default function HarmonySelector({ baseColor, onHarmonySelect, selectedHarmony }) {
+export default function HarmonySelector({ baseColor, onHarmonySelect, selectedHarmony, model }) {
   const handleSelect = (harmony) => {
-    const colors = harmony.generator(baseColor);
+    const colors = harmony.generator(baseColor, model);
     onHarmonySelect(harmony.id, colors);
   };
 
@@ -70,7 +70,7 @@ export default function HarmonySelector({ baseColor, onHarmonySelect, selectedHa
         {HARMONIES.map((harmony) => {
           const Icon = harmony.icon;
           const isSelected = selectedHarmony === harmony.id;
-          const colors = harmony.generator(baseColor);
+          const colors = harmony.generator(baseColor, model);
           
           return (
             <button
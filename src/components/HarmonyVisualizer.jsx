@@ -1,8 +1,9 @@
 import React, { useEffect, useRef } from 'react';
-import { formatHex, oklch } from 'culori';
+import { oklch } from 'culori';
 import { oklchToHex } from '../utils/colorUtils';
+import { DEFAULT_GAMUT_MAPPING } from '../utils/gamutMapping';
 
-export default function HarmonyVisualizer({ colors, harmonyType, size = 160 }) {
+export default function HarmonyVisualizer({ colors, harmonyType, size = 160, gamutMapping = DEFAULT_GAMUT_MAPPING }) {
   const canvasRef = useRef(null);
 
   useEffect(() => {
@@ -26,7 +27,7 @@ export default function HarmonyVisualizer({ colors, harmonyType, size = 160 }) {
       const color = oklch({ l: 0.65, c: 0.18, h: angle });
       let hex;
       try {
-        hex = formatHex(color) || '#888';
+        hex = oklchToHex(color, gamutMapping) || '#888';
       } catch {
         hex = '#888';
       }
@@ -84,7 +85,7 @@ export default function HarmonyVisualizer({ colors, harmonyType, size = 160 }) {
       // Main dot
       ctx.beginPath();
       ctx.arc(x, y, 7, 0, 2 * Math.PI);
-      ctx.fillStyle = oklchToHex(color);
+      ctx.fillStyle = oklchToHex(color, gamutMapping);
       ctx.fill();
       ctx.strokeStyle = 'white';
       ctx.lineWidth = 2;
@@ -99,7 +100,7 @@ export default function HarmonyVisualizer({ colors, harmonyType, size = 160 }) {
     const label = harmonyType ? harmonyType.replace('-', ' ') : 'harmony';
     ctx.fillText(label.toUpperCase(), centerX, centerY);
 
-  }, [colors, harmonyType, size]);
+  }, [colors, harmonyType, size, gamutMapping]);
 
   if (!colors || colors.length === 0) {
     return (
@@ -1,70 +1,93 @@
-import React, { useState, useCallback, useRef } from 'react';
+import React, { useState, useCallback, useRef, useEffect } from 'react';
 import { Upload, Image, X, Loader } from 'lucide-react';
-import { toOklch, oklchToHex } from '../utils/colorUtils';
+import { oklchToHex } from '../utils/colorUtils';
+import { viewingStyle, ViewingNotice } from './ViewingFilter';
 
-export default function ImageExtractor({ onColorsExtracted, onColorSelect }) {
+// Longest side of the sample handed to the quantizer
+const SAMPLE_SIZE = 400;
+
+const METHODS = [
+  { id: 'kmeans', label: 'K-means', hint: 'Perceptual clusters in OKLab' },
+  { id: 'mediancut', label: 'Median cut', hint: 'Recursive splits weighted toward vivid pixels — fast, keeps small accents' },
+  { id: 'wu', label: 'Wu', hint: "Wu's variance-minimizing quantizer" },
+];
+
+const EMPHASES = [
+  { id: 'dominant', label: 'Dominant' },
+  { id: 'vibrant', label: 'Vibrant' },
+  { id: 'muted', label: 'Muted' },
+];
+
+const SIZES = [3, 4, 5, 6, 8, 10, 12];
+
+export default function ImageExtractor({ onColorsExtracted, onColorSelect, viewing, onViewingReset }) {
   const [imageUrl, setImageUrl] = useState(null);
   const [extractedColors, setExtractedColors] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
   const [dragActive, setDragActive] = useState(false);
+  const [method, setMethod] = useState('kmeans');
+  const [size, setSize] = useState(5);
+  const [emphasis, setEmphasis] = useState('dominant');
   const inputRef = useRef(null);
   const canvasRef = useRef(null);
+  const pixelsRef = useRef(null);
+  const workerRef = useRef(null);
+  const requestRef = useRef(0);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  // Quantize the current sample in the worker; stale replies are dropped
+  const runExtraction = useCallback(() => {
+    const pixels = pixelsRef.current;
+    if (!pixels) return;
 
-  const extractColors = useCallback((imageElement) => {
+    if (!workerRef.current) {
+      workerRef.current = new Worker(new URL('../utils/quantizeWorker.js', import.meta.url), { type: 'module' });
+    }
+    const worker = workerRef.current;
+    const id = ++requestRef.current;
+    setIsLoading(true);
+    setError(null);
+
+    worker.onmessage = ({ data }) => {
+      if (data.id !== requestRef.current) return;
+      setIsLoading(false);
+      if (data.error) {
+        setError(`Couldn't extract colors: ${data.error}`);
+        return;
+      }
+      setExtractedColors(data.palette);
+      if (onColorsExtracted) onColorsExtracted(data.palette.map(entry => entry.color));
+    };
+    // The worker script itself failed (didn't load, or threw outside the handler)
+    worker.onerror = (e) => {
+      e.preventDefault();
+      setIsLoading(false);
+      setError(`Couldn't extract colors: ${e.message || 'the extraction worker stopped'}`);
+      worker.terminate();
+      workerRef.current = null;
+    };
+    worker.postMessage({ id, pixels, options: { method, size, emphasis } });
+  }, [method, size, emphasis, onColorsExtracted]);
+
+  // Re-run when the controls change; the image sample is kept
+  useEffect(() => {
+    runExtraction();
+  }, [runExtraction]);
+
+  const sampleImage = useCallback((imageElement) => {
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
-    
-    // Scale image to manageable size for sampling
-    const maxSize = 100;
-    const scale = Math.min(maxSize / imageElement.width, maxSize / imageElement.height);
-    canvas.width = imageElement.width * scale;
-    canvas.height = imageElement.height * scale;
-    
+
+    const scale = Math.min(1, SAMPLE_SIZE / Math.max(imageElement.width, imageElement.height));
+    canvas.width = Math.max(1, Math.round(imageElement.width * scale));
+    canvas.height = Math.max(1, Math.round(imageElement.height * scale));
     ctx.drawImage(imageElement, 0, 0, canvas.width, canvas.height);
-    
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const pixels = imageData.data;
-    
-    // Simple color quantization using color buckets
-    const colorMap = new Map();
-    
-    for (let i = 0; i < pixels.length; i += 4) {
-      const r = Math.round(pixels[i] / 32) * 32;
-      const g = Math.round(pixels[i + 1] / 32) * 32;
-      const b = Math.round(pixels[i + 2] / 32) * 32;
-      const key = `${r},${g},${b}`;
-      
-      colorMap.set(key, (colorMap.get(key) || 0) + 1);
-    }
-    
-    // Sort by frequency and get top colors
-    const sortedColors = [...colorMap.entries()]
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 8)
-      .map(([key]) => {
-        const [r, g, b] = key.split(',').map(Number);
-        return toOklch({ mode: 'rgb', r: r / 255, g: g / 255, b: b / 255 });
-      });
-    
-    // Filter out very similar colors
-    const uniqueColors = [];
-    for (const color of sortedColors) {
-      const isDuplicate = uniqueColors.some(existing => {
-        const hDiff = Math.abs((existing.h || 0) - (color.h || 0));
-        const lDiff = Math.abs(existing.l - color.l);
-        const cDiff = Math.abs(existing.c - color.c);
-        return hDiff < 30 && lDiff < 0.15 && cDiff < 0.08;
-      });
-      
-      if (!isDuplicate) {
-        uniqueColors.push(color);
-        if (uniqueColors.length >= 5) break;
-      }
-    }
-    
-    setExtractedColors(uniqueColors);
-    if (onColorsExtracted) onColorsExtracted(uniqueColors);
-  }, [onColorsExtracted]);
+
+    pixelsRef.current = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    runExtraction();
+  }, [runExtraction]);
 
   const handleFile = useCallback((file) => {
     if (!file || !file.type.startsWith('image/')) return;
@@ -76,15 +99,12 @@ export default function ImageExtractor({ onColorsExtracted, onColorSelect }) {
       setImageUrl(e.target.result);
       
       const img = new window.Image();
-      img.onload = () => {
-        extractColors(img);
-        setIsLoading(false);
-      };
+      img.onload = () => sampleImage(img);
       img.src = e.target.result;
     };
     
     reader.readAsDataURL(file);
-  }, [extractColors]);
+  }, [sampleImage]);
 
   const handleDrop = useCallback((e) => {
     e.preventDefault();
@@ -108,6 +128,8 @@ export default function ImageExtractor({ onColorsExtracted, onColorSelect }) {
   const clearImage = useCallback(() => {
     setImageUrl(null);
     setExtractedColors([]);
+    setError(null);
+    pixelsRef.current = null;
     if (inputRef.current) inputRef.current.value = '';
   }, []);
 
@@ -156,7 +178,11 @@ export default function ImageExtractor({ onColorsExtracted, onColorSelect }) {
               src={imageUrl}
               alt="Uploaded"
               className="w-full h-40 object-cover rounded-xl"
+              style={viewingStyle(viewing)}
             />
+            <div className="absolute bottom-2 left-2">
+              <ViewingNotice viewing={viewing} onReset={onViewingReset} />
+            </div>
             <button
               onClick={clearImage}
               className="absolute top-2 right-2 p-1.5 bg-black/50 rounded-lg opacity-0 group-hover:opacity-100 transition-opacity"
@@ -170,20 +196,77 @@ export default function ImageExtractor({ onColorsExtracted, onColorSelect }) {
             )}
           </div>
 
+          {/* Quantizer controls */}
+          <div className="space-y-2">
+            <div className="flex gap-1">
+              {METHODS.map(({ id, label, hint }) => (
+                <button
+                  key={id}
+                  onClick={() => setMethod(id)}
+                  title={hint}
+                  className={`flex-1 px-2 py-1.5 rounded-lg text-[10px] font-medium transition-colors ${
+                    method === id ? 'bg-[#ff6b4a]/20 text-[#ff6b4a]' : 'bg-[#0a0a0f] text-[#55556a] hover:text-[#8888a0]'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="flex gap-1 flex-1">
+                {EMPHASES.map(({ id, label }) => (
+                  <button
+                    key={id}
+                    onClick={() => setEmphasis(id)}
+                    className={`flex-1 px-2 py-1.5 rounded-lg text-[10px] font-medium transition-colors ${
+                      emphasis === id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'bg-[#0a0a0f] text-[#55556a] hover:text-[#8888a0]'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <select
+                value={size}
+                onChange={(e) => setSize(Number(e.target.value))}
+                className="bg-[#0a0a0f] border border-[#1a1a24] rounded-lg px-2 py-1 text-[10px] text-[#8888a0] focus:outline-none"
+                title="Palette size"
+              >
+                {SIZES.map(n => <option key={n} value={n}>{n} colors</option>)}
+              </select>
+            </div>
+          </div>
+
+          {error && (
+            <p className="text-[10px] text-red-400 bg-[#12121a] border border-[#1a1a24] rounded-lg px-2 py-1.5">
+              {error}
+            </p>
+          )}
+
           {extractedColors.length > 0 && (
             <div className="space-y-2">
               <h4 className="text-[10px] text-[#55556a] uppercase tracking-wider">
                 Extracted Colors
               </h4>
-              <div className="flex gap-2">
-                {extractedColors.map((color, i) => (
-                  <button
-                    key={i}
-                    onClick={() => onColorSelect && onColorSelect(color)}
-                    className="w-12 h-12 rounded-lg shadow-lg transition-transform hover:scale-110"
-                    style={{ backgroundColor: oklchToHex(color) }}
-                    title={oklchToHex(color)}
-                  />
+              <div className="flex flex-wrap gap-2">
+                {extractedColors.map(({ color, coverage }, i) => (
+                  <div key={i} className="text-center">
+                    <button
+                      onClick={() => onColorSelect && onColorSelect(color)}
+                      className="w-12 h-12 rounded-lg shadow-lg transition-transform hover:scale-110"
+                      style={{ backgroundColor: oklchToHex(color) }}
+                      title={`${oklchToHex(color)} · ${(coverage * 100).toFixed(1)}% of image`}
+                    />
+                    <p className="text-[9px] text-[#55556a] font-mono mt-1">
+                      {coverage < 0.01 ? '<1' : Math.round(coverage * 100)}%
+                    </p>
+                  </div>
+                ))}
+              </div>
+              {/* Coverage bar */}
+              <div className="flex h-1.5 rounded-full overflow-hidden">
+                {extractedColors.map(({ color, coverage }, i) => (
+                  <div key={i} style={{ flexGrow: coverage, backgroundColor: oklchToHex(color) }} />
                 ))}
               </div>
             </div>
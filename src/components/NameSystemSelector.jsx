@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { Upload, X } from 'lucide-react';
+import {
+  getNameDictionaries,
+  registerNameDictionary,
+  unregisterNameDictionary,
+  parseNameList,
+} from '../utils/nameDictionaries';
+
+const STORAGE_KEY = 'hexandhue_name_dictionaries';
+
+// Custom hook for user-imported name dictionaries
+export function useNameDictionaries() {
+  const [customDictionaries, setCustomDictionaries] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+
+  // Load from localStorage on mount and register with the name registry
+  useEffect(() => {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      if (stored) {
+        const data = JSON.parse(stored);
+        (data || []).forEach(dict => registerNameDictionary({ ...dict, custom: true }));
+        setCustomDictionaries(data || []);
+      }
+    } catch (err) {
+      console.error('Failed to load name dictionaries:', err);
+    }
+    setLoaded(true);
+  }, []);
+
+  // Save to localStorage whenever custom dictionaries change
+  useEffect(() => {
+    if (!loaded) return;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(customDictionaries));
+    } catch (err) {
+      console.error('Failed to save name dictionaries:', err);
+    }
+  }, [customDictionaries, loaded]);
+
+  const importDictionary = useCallback(async (file) => {
+    const entries = parseNameList(await file.text());
+    const label = file.name.replace(/\.json$/i, '') || 'Custom';
+    const dict = {
+      id: `custom-${label.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+      label,
+      description: `${entries.length} imported names`,
+      entries,
+    };
+
+    registerNameDictionary({ ...dict, custom: true });
+    setCustomDictionaries(prev => [...prev.filter(d => d.id !== dict.id), dict]);
+    return dict.id;
+  }, []);
+
+  const removeDictionary = useCallback((id) => {
+    unregisterNameDictionary(id);
+    setCustomDictionaries(prev => prev.filter(d => d.id !== id));
+  }, []);
+
+  // Built-ins come from the registry; custom ones from state, which is what
+  // registers them, so the list follows it
+  const dictionaries = useMemo(() => [
+    ...getNameDictionaries().filter(d => !d.custom),
+    ...customDictionaries.map(({ id, label, description }) => ({ id, label, description, custom: true })),
+  ], [customDictionaries]);
+
+  return { dictionaries, importDictionary, removeDictionary };
+}
+
+// UI Component
+export default function NameSystemSelector({
+  dictionaries = [],
+  selected,
+  onSelect,
+  onImport,
+  onRemove,
+}) {
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+  const current = dictionaries.find(d => d.id === selected);
+
+  const handleFile = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const id = await onImport(file);
+      setError(null);
+      onSelect(id);
+    } catch (err) {
+      setError(err.message);
+      setTimeout(() => setError(null), 4000);
+    }
+  }, [onImport, onSelect]);
+
+  return (
+    <div className="relative flex items-center gap-1 bg-[#12121a] rounded-lg p-1">
+      <select
+        value={selected}
+        onChange={(e) => onSelect(e.target.value)}
+        title={current?.description || 'Color name system'}
+        className="bg-transparent text-[10px] uppercase tracking-wider font-medium text-[#8888a0] px-1.5 py-1 rounded-md focus:outline-none cursor-pointer"
+      >
+        {dictionaries.map(({ id, label }) => (
+          <option key={id} value={id} className="bg-[#12121a] normal-case">
+            {label}
+          </option>
+        ))}
+      </select>
+
+      {current?.custom && onRemove && (
+        <button
+          onClick={() => { onRemove(current.id); onSelect(dictionaries[0]?.id); }}
+          className="p-1 rounded-md text-[#55556a] hover:text-red-400 transition-colors"
+          title={`Remove ${current.label}`}
+        >
+          <X size={12} />
+        </button>
+      )}
+
+      <button
+        onClick={() => inputRef.current?.click()}
+        className="p-1 rounded-md text-[#55556a] hover:text-[#8888a0] transition-colors"
+        title='Import names (JSON: {"Name": "#hex"} or [{name, hex}])'
+      >
+        <Upload size={12} />
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={handleFile}
+        className="hidden"
+      />
+
+      {error && (
+        <p className="absolute top-full right-0 mt-1 w-64 z-50 text-[10px] text-red-400 bg-[#12121a] border border-[#1a1a24] rounded-lg px-2 py-1.5">
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -15,20 +15,17 @@ import {
   getPaintsByMedium,
 } from '../utils/paintMixer';
 import { oklchToHex } from '../utils/colorUtils';
+import { deltaE, differenceBand } from '../utils/colorDifference';
 
 // ─── helpers ────────────────────────────────────────────────────────────────
-function hexDistance(a, b) {
-  const parse = h => ({ r: parseInt(h.slice(1,3),16), g: parseInt(h.slice(3,5),16), b: parseInt(h.slice(5,7),16) });
-  const pa = parse(a), pb = parse(b);
-  return Math.sqrt((pa.r-pb.r)**2 + (pa.g-pb.g)**2 + (pa.b-pb.b)**2);
-}
-
-function accuracyLabel(dist) {
-  if (dist < 15)  return { text: 'Excellent match', color: '#4ade80' };
-  if (dist < 30)  return { text: 'Good match',      color: '#86efac' };
-  if (dist < 55)  return { text: 'Fair match',       color: '#fbbf24' };
-  if (dist < 80)  return { text: 'Approximate',      color: '#fb923c' };
-  return              { text: 'Rough guide',         color: '#f87171' };
+// ΔE2000 between mix and target, read through the shared difference bands
+function accuracyLabel(dE) {
+  const band = differenceBand(dE, 'de2000').id;
+  if (band === 'same' || band === 'jnd') return { text: 'Excellent match', color: '#4ade80' };
+  if (band === 'noticeable')             return { text: 'Good match',      color: '#86efac' };
+  if (band === 'distinct')               return { text: 'Fair match',      color: '#fbbf24' };
+  if (dE < 25)                           return { text: 'Approximate',     color: '#fb923c' };
+  return                                        { text: 'Rough guide',     color: '#f87171' };
 }
 
 const MEDIUM_LABELS = {
@@ -141,8 +138,8 @@ function PaintSlot({ slot, index, onRemove, onRatioChange, onPaintChange, paintP
 
 // ─── RecipeCard ─────────────────────────────────────────────────────────────
 function RecipeCard({ recipe, targetHex, onLoad }) {
-  const dist = hexDistance(recipe.hex, targetHex);
-  const acc = accuracyLabel(dist);
+  const dE = deltaE(recipe.hex, targetHex, 'de2000');
+  const acc = accuracyLabel(dE);
 
   return (
     <div className="bg-[#12121a] rounded-xl border border-[#1a1a24] overflow-hidden">
@@ -156,6 +153,7 @@ function RecipeCard({ recipe, targetHex, onLoad }) {
         <div className="flex-1 min-w-0">
           <div className="flex items-center gap-2 mb-2">
             <span className="text-[10px] font-medium" style={{ color: acc.color }}>{acc.text}</span>
+            <span className="text-[10px] font-mono text-[#55556a]">ΔE {dE.toFixed(1)}</span>
           </div>
           <div className="space-y-1.5">
             {recipe.paints.map((p, i) => (
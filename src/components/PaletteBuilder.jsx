@@ -4,16 +4,18 @@ import { parse } from 'culori';
 import { toOklch, oklchToHex } from '../utils/colorUtils';
 import { smartFillPalette, regenerateUnlocked, strategyLabel } from '../utils/smartFill';
 import { generateColorName } from '../utils/colorNames';
+import CvdSafeControl from './CvdSafeControl';
 
 const TARGET_SIZES = [3, 4, 5, 6, 7, 8];
 
-export default function PaletteBuilder({ selectedColor, onPaletteGenerate }) {
+export default function PaletteBuilder({ selectedColor, onPaletteGenerate, cvdSafe, onCvdSafeChange }) {
   const [slots, setSlots] = useState([]);         // { color: oklch, locked: bool, isFill: bool, strategy: string|null }
   const [targetSize, setTargetSize] = useState(5);
   const [hexInput, setHexInput] = useState('');
   const [hexError, setHexError] = useState(false);
   const [fillStrategies, setFillStrategies] = useState([]);
   const [showStrategies, setShowStrategies] = useState(false);
+  const [cvdReport, setCvdReport] = useState(null);
 
   // --- Add the currently selected color from the wheel ---
   const addCurrentColor = useCallback(() => {
@@ -80,7 +82,7 @@ export default function PaletteBuilder({ selectedColor, onPaletteGenerate }) {
     if (base.length === 0 && selectedColor) {
       // Nothing pinned yet — seed with current selected color
       const seeded = [{ color: selectedColor, locked: false, isFill: false, strategy: null }];
-      const { fills, strategies } = smartFillPalette([selectedColor], targetSize);
+      const { fills, strategies, cvdReport: report } = smartFillPalette([selectedColor], targetSize, { cvdSafe });
       const fillSlots = fills.map((color, i) => ({
         color,
         locked: false,
@@ -90,13 +92,15 @@ export default function PaletteBuilder({ selectedColor, onPaletteGenerate }) {
       const newSlots = [...seeded, ...fillSlots];
       setSlots(newSlots);
       setFillStrategies(strategies);
+      setCvdReport(report);
       onPaletteGenerate?.(newSlots.map(s => s.color));
       return;
     }
 
-    const { fills, strategies } = smartFillPalette(
+    const { fills, strategies, cvdReport: report } = smartFillPalette(
       existing,
-      targetSize
+      targetSize,
+      { cvdSafe }
     );
 
     const fillSlots = fills.map((color, i) => ({
@@ -109,8 +113,9 @@ export default function PaletteBuilder({ selectedColor, onPaletteGenerate }) {
     const newSlots = [...base, ...fillSlots];
     setSlots(newSlots);
     setFillStrategies(strategies);
+    setCvdReport(report);
     onPaletteGenerate?.(newSlots.map(s => s.color));
-  }, [slots, targetSize, selectedColor, onPaletteGenerate]);
+  }, [slots, targetSize, selectedColor, onPaletteGenerate, cvdSafe]);
 
   // --- Regenerate only unlocked fill slots ---
   const handleRegenerate = useCallback(() => {
@@ -127,9 +132,10 @@ export default function PaletteBuilder({ selectedColor, onPaletteGenerate }) {
       return;
     }
 
-    const { fills, strategies } = smartFillPalette(
+    const { fills, strategies, cvdReport: report } = smartFillPalette(
       lockedColors,
-      slots.length
+      slots.length,
+      { cvdSafe }
     );
 
     let fillIdx = 0;
@@ -141,10 +147,13 @@ export default function PaletteBuilder({ selectedColor, onPaletteGenerate }) {
       return { ...s, color: fill, isFill: true, strategy: strat };
     });
 
+    // Report indices count locked colors first, then fills — map back to slots
+    const unlockedIndices = slots.map((_, i) => i).filter(i => !slots[i].locked);
     setSlots(newSlots);
     setFillStrategies(strategies);
+    setCvdReport(remapReport(report, [...lockedIndices, ...unlockedIndices]));
     onPaletteGenerate?.(newSlots.map(s => s.color));
-  }, [slots, handleSmartFill, onPaletteGenerate]);
+  }, [slots, handleSmartFill, onPaletteGenerate, cvdSafe]);
 
   // --- Send to active palette ---
   const sendToActivePalette = useCallback(() => {
@@ -333,6 +342,15 @@ export default function PaletteBuilder({ selectedColor, onPaletteGenerate }) {
         </div>
       )}
 
+      {onCvdSafeChange && (
+        <CvdSafeControl
+          value={cvdSafe}
+          onChange={onCvdSafeChange}
+          report={cvdReport}
+          colors={slots.map(s => s.color)}
+        />
+      )}
+
       {/* Action buttons */}
       <div className="space-y-2">
         {/* Smart Fill (primary action) */}
@@ -408,3 +426,13 @@ const STRATEGY_DESCRIPTIONS = {
   'muted-anchor':      'A quiet, low-chroma tone to ground an electric palette — the stillness that makes the vibrant sing.',
   'organic-harmonic':  'Golden-angle distribution from the palette\'s hue center — varied enough to feel human, coherent enough to feel designed.',
 };
+
+// Re-index a CVD report whose positions were `positions[k]` in the slot list
+function remapReport(report, positions) {
+  if (!report) return null;
+  return {
+    ...report,
+    pairs: report.pairs.map(p => ({ ...p, i: positions[p.i], j: positions[p.j] })),
+    moved: report.moved.map(k => positions[k]),
+  };
+}
@@ -1,12 +1,14 @@
 import React, { useState } from 'react';
-import { Copy, Check, Lock, Unlock, RefreshCw } from 'lucide-react';
+import { Copy, Check, Lock, Unlock, RefreshCw, TriangleAlert } from 'lucide-react';
 import { oklchToHex } from '../utils/colorUtils';
+import { describeGamutMapping } from '../utils/gamutMapping';
 import { generateColorName } from '../utils/colorNames';
 
 export default function PaletteDisplay({ 
   colors, 
   title, 
   format = 'hex', 
+  nameSystem,
   onColorClick, 
   onRegenerate,
   lockedIndices = [],
@@ -72,7 +74,8 @@ export default function PaletteDisplay({
           const formattedColor = formatColor(color);
           const isLocked = lockedIndices.includes(index);
           const isCopied = copiedIndex === index;
-          const name = generateColorName(color);
+          const name = generateColorName(color, nameSystem);
+          const gamut = describeGamutMapping(color);
 
           return (
             <div 
@@ -80,12 +83,22 @@ export default function PaletteDisplay({
               className="flex items-center gap-3 p-2 rounded-lg hover:bg-[#1a1a24] transition-colors group"
             >
               {/* Color swatch */}
-              <div 
-                className="w-10 h-10 rounded-lg shadow-lg cursor-pointer transition-transform hover:scale-105"
-                style={{ backgroundColor: hex }}
-                onClick={() => onColorClick && onColorClick(color)}
-                title="Click to select"
-              />
+              <div className="relative shrink-0">
+                <div 
+                  className="w-10 h-10 rounded-lg shadow-lg cursor-pointer transition-transform hover:scale-105"
+                  style={{ backgroundColor: hex }}
+                  onClick={() => onColorClick && onColorClick(color)}
+                  title="Click to select"
+                />
+                {!gamut.inGamut && (
+                  <span
+                    className="absolute -top-1 -right-1 p-0.5 rounded-full bg-[#12121a] text-yellow-400"
+                    title={gamutTitle(color, gamut)}
+                  >
+                    <TriangleAlert size={10} />
+                  </span>
+                )}
+              </div>
 
               {/* Color info */}
               <div className="flex-1 min-w-0">
@@ -105,7 +118,14 @@ export default function PaletteDisplay({
                     )}
                   </button>
                 </div>
-                <p className="text-[10px] text-[#55556a] truncate">{name}</p>
+                <p className="text-[10px] text-[#55556a] truncate">
+                  {name}
+                  {!gamut.inGamut && (
+                    <span className="text-yellow-400/80" title={gamutTitle(color, gamut)}>
+                      {' · '}out of sRGB, ΔE {(gamut.deltaE * 100).toFixed(1)}
+                    </span>
+                  )}
+                </p>
               </div>
 
               {/* Lock toggle */}
@@ -128,4 +148,11 @@ export default function PaletteDisplay({
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
+
+// Tooltip for the out-of-gamut badge: what was asked for vs what is shown
+function gamutTitle(color, { deltaE, mapped }) {
+  const requested = (color.c || 0).toFixed(3);
+  const shown = (mapped.c || 0).toFixed(3);
+  return `Outside sRGB — shown as the nearest displayable color (ΔEOK ${deltaE.toFixed(3)}, chroma ${requested} → ${shown})`;
+}
@@ -2,15 +2,17 @@ import { useState, useEffect } from 'react';
 import { AlertCircle, CheckCircle, Sparkles, TrendingUp } from 'lucide-react';
 import { analyzePalette, addNeutralColor, expandLightnessRange, adjustForReadability } from '../utils/paletteAnalyzer';
 import { oklchToHex } from '../utils/colorUtils';
+import { CONTRAST_STANDARDS, DEFAULT_CONTRAST_STANDARD } from '../utils/contrast';
 
 export default function PaletteDoctor({ colors, onApplyFix }) {
   const [analysis, setAnalysis] = useState(null);
+  const [standard, setStandard] = useState(DEFAULT_CONTRAST_STANDARD);
 
   useEffect(() => {
     if (colors && colors.length > 0) {
-      setAnalysis(analyzePalette(colors));
+      setAnalysis(analyzePalette(colors, { standard }));
     }
-  }, [colors]);
+  }, [colors, standard]);
 
   if (!analysis || !colors || colors.length === 0) {
     return (
@@ -206,6 +208,18 @@ export default function PaletteDoctor({ colors, onApplyFix }) {
             <p className="text-text-primary font-medium">
               {analysis.readability.passingPercentage.toFixed(0)}% passing
             </p>
+            <div className="flex gap-1 mt-1.5">
+              {CONTRAST_STANDARDS.map(s => (
+                <button
+                  key={s.id}
+                  onClick={() => setStandard(s.id)}
+                  title={`Score readability with ${s.label}`}
+                  className={`px-1.5 py-0.5 rounded text-[10px] transition-colors ${standard === s.id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'}`}
+                >
+                  {s.label}
+                </button>
+              ))}
+            </div>
           </div>
           
           <div>
@@ -0,0 +1,51 @@
+import React, { useState, useCallback, useRef } from 'react';
+import { FileUp } from 'lucide-react';
+import { importPaletteFile } from '../utils/paletteImport';
+
+const ACCEPTED = '.ase,.aco,.gpl,.sketchpalette,.css,.scss,.js,.cjs,.mjs,.ts,.json,.txt';
+
+export default function PaletteImporter({ onImport }) {
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+
+  const handleFile = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { name, colors } = await importPaletteFile(file);
+      setError(null);
+      onImport(colors.map(entry => entry.color), name);
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+      setTimeout(() => setError(null), 4000);
+    }
+  }, [onImport]);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => inputRef.current?.click()}
+        className="flex items-center gap-1.5 px-3 py-2 rounded-lg text-xs font-medium bg-[#12121a] text-[#55556a] hover:text-[#8888a0] transition-colors"
+        title="Import a palette (ASE, ACO, GPL, Sketch, CSS, Tailwind config, JSON)"
+      >
+        <FileUp size={14} />
+        <span className="hidden sm:inline">Import</span>
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED}
+        onChange={handleFile}
+        className="hidden"
+      />
+
+      {error && (
+        <p className="absolute top-full right-0 mt-1 w-64 z-50 text-[10px] text-red-400 bg-[#12121a] border border-[#1a1a24] rounded-lg px-2 py-1.5">
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,209 @@
+import React, { useState, useMemo } from 'react';
+import { CheckCircle, TriangleAlert, XCircle, Info, X, Copy, Check, Download } from 'lucide-react';
+import { oklchToHex } from '../utils/colorUtils';
+import {
+  SEMANTIC_ROLES,
+  SEMANTIC_VARIANTS,
+  SEMANTIC_EXPORT_FORMATS,
+  generateSemanticColors,
+  formatSemanticExport,
+} from '../utils/semanticColors';
+
+const ROLE_ICONS = {
+  success: CheckCircle,
+  warning: TriangleAlert,
+  danger: XCircle,
+  info: Info,
+};
+
+const PREVIEWS = [
+  { id: 'alerts', label: 'Alerts' },
+  { id: 'badges', label: 'Badges' },
+  { id: 'toasts', label: 'Toasts' },
+];
+
+// ─── sub-components ───────────────────────────────────────────────────────────
+
+function RoleSwatches({ role }) {
+  const Icon = ROLE_ICONS[role.id];
+  const { text, icon, onSolid } = role.checks;
+  return (
+    <div className="bg-[#12121a] rounded-xl border border-[#1a1a24] p-3 space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="flex items-center gap-1.5 text-xs font-medium text-[#f0f0f5]">
+          <Icon size={13} style={{ color: oklchToHex(role.solid) }} />
+          {role.label}
+        </span>
+        <span className="text-[10px] font-mono text-[#55556a]">{Math.round(role.hue)}°</span>
+      </div>
+      <div className="grid grid-cols-6 gap-1">
+        {SEMANTIC_VARIANTS.map(v => {
+          const hex = oklchToHex(role[v.id]);
+          return (
+            <div key={v.id} className="space-y-1" title={`${v.label} ${hex}`}>
+              <div className="h-8 rounded-md border border-[#ffffff10]" style={{ backgroundColor: hex }} />
+              <p className="text-[9px] text-[#55556a] text-center truncate">{v.label}</p>
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex gap-3 text-[10px] font-mono">
+        {[
+          { label: 'text', value: text, min: 4.5 },
+          { label: 'icon', value: icon, min: 3 },
+          { label: 'on solid', value: onSolid, min: 4.5 },
+        ].map(({ label, value, min }) => (
+          <span key={label} className={value >= min ? 'text-green-400' : 'text-yellow-400'}>
+            {label} {value.toFixed(2)}:1
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function AlertPreview({ role, message }) {
+  const Icon = ROLE_ICONS[role.id];
+  return (
+    <div
+      className="flex items-start gap-2.5 rounded-lg border px-3 py-2.5"
+      style={{ backgroundColor: oklchToHex(role.background), borderColor: oklchToHex(role.border) }}
+    >
+      <Icon size={15} className="shrink-0 mt-0.5" style={{ color: oklchToHex(role.icon) }} />
+      <div>
+        <p className="text-xs font-semibold" style={{ color: oklchToHex(role.text) }}>{role.label}</p>
+        <p className="text-[11px]" style={{ color: oklchToHex(role.text) }}>{message}</p>
+      </div>
+    </div>
+  );
+}
+
+function BadgePreview({ role }) {
+  return (
+    <div className="flex items-center gap-2">
+      <span className="px-2 py-0.5 rounded-full text-[10px] font-semibold" style={{ backgroundColor: oklchToHex(role.solid), color: oklchToHex(role.onSolid) }}>
+        {role.label}
+      </span>
+      <span
+        className="px-2 py-0.5 rounded-full text-[10px] font-medium border"
+        style={{ backgroundColor: oklchToHex(role.background), borderColor: oklchToHex(role.border), color: oklchToHex(role.text) }}
+      >
+        {role.label}
+      </span>
+    </div>
+  );
+}
+
+function ToastPreview({ role, message }) {
+  const Icon = ROLE_ICONS[role.id];
+  return (
+    <div className="flex items-center gap-2.5 rounded-lg px-3 py-2.5 shadow-lg" style={{ backgroundColor: oklchToHex(role.solid) }}>
+      <Icon size={15} className="shrink-0" style={{ color: oklchToHex(role.onSolid) }} />
+      <p className="flex-1 text-[11px] font-medium" style={{ color: oklchToHex(role.onSolid) }}>{message}</p>
+      <X size={13} style={{ color: oklchToHex(role.onSolid), opacity: 0.7 }} />
+    </div>
+  );
+}
+
+// ─── main component ───────────────────────────────────────────────────────────
+
+/**
+ * Success / warning / danger / info colors derived from the brand palette,
+ * with their UI variants, component previews and export.
+ */
+export default function SemanticColorsPanel({ colors = [] }) {
+  const [preview, setPreview] = useState('alerts');
+  const [format, setFormat] = useState('css');
+  const [copied, setCopied] = useState(false);
+
+  const set = useMemo(() => generateSemanticColors(colors), [colors]);
+  const roles = SEMANTIC_ROLES.map(r => ({ ...set[r.id], message: r.message }));
+  const fmt = SEMANTIC_EXPORT_FORMATS.find(f => f.id === format);
+  const code = formatSemanticExport(set, format);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([code], { type: 'text/plain' }));
+    const a = document.createElement('a');
+    a.href = url; a.download = `hexandhue-status-colors.${fmt.ext}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-5">
+      <div className="space-y-1">
+        <h3 className="text-xs text-[#8888a0] uppercase tracking-wider font-medium">Status Colors</h3>
+        <p className="text-[10px] text-[#55556a]">
+          Tuned to the palette&apos;s chroma and lightness, kept within each role&apos;s recognizable hue range.
+          Text is held to 4.5:1 and icons to 3:1 on the background; solids are adjusted until the text on them reaches 4.5:1.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+        {roles.map(role => <RoleSwatches key={role.id} role={role} />)}
+      </div>
+
+      {/* Previews */}
+      <div className="space-y-3">
+        <div className="flex gap-1 bg-[#0a0a0f] p-1 rounded-lg">
+          {PREVIEWS.map(p => (
+            <button
+              key={p.id}
+              onClick={() => setPreview(p.id)}
+              className={`flex-1 py-2 rounded-lg text-xs font-medium transition-colors ${preview === p.id ? 'bg-[#ff6b4a]/20 text-[#ff6b4a]' : 'text-[#55556a] hover:text-[#8888a0]'}`}
+            >
+              {p.label}
+            </button>
+          ))}
+        </div>
+        <div className="bg-white rounded-xl p-4 space-y-2">
+          {preview === 'alerts' && roles.map(role => <AlertPreview key={role.id} role={role} message={role.message} />)}
+          {preview === 'badges' && (
+            <div className="grid grid-cols-2 gap-3">
+              {roles.map(role => <BadgePreview key={role.id} role={role} />)}
+            </div>
+          )}
+          {preview === 'toasts' && roles.map(role => <ToastPreview key={role.id} role={role} message={role.message} />)}
+        </div>
+      </div>
+
+      {/* Export */}
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <div className="flex gap-1 bg-[#0a0a0f] rounded-lg p-1">
+            {SEMANTIC_EXPORT_FORMATS.map(f => (
+              <button
+                key={f.id}
+                onClick={() => setFormat(f.id)}
+                className={`px-2.5 py-1 text-[10px] rounded-md transition-colors ${format === f.id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'}`}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-1">
+            <button onClick={copy} className="p-1.5 rounded-lg text-[#55556a] hover:text-[#f0f0f5] hover:bg-[#1a1a24] transition-colors" title="Copy">
+              {copied ? <Check size={13} className="text-green-400" /> : <Copy size={13} />}
+            </button>
+            <button onClick={download} className="p-1.5 rounded-lg text-[#55556a] hover:text-[#f0f0f5] hover:bg-[#1a1a24] transition-colors" title={`Download .${fmt.ext}`}>
+              <Download size={13} />
+            </button>
+          </div>
+        </div>
+        <pre className="bg-[#0a0a0f] rounded-xl border border-[#1a1a24] p-3 text-[10px] font-mono text-[#8888a0] overflow-x-auto whitespace-pre max-h-72">
+          {code}
+        </pre>
+      </div>
+    </div>
+  );
+}
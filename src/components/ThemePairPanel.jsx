@@ -0,0 +1,192 @@
+import React, { useState, useMemo } from 'react';
+import { Sun, Moon, Copy, Check, Download, CheckCircle, XCircle } from 'lucide-react';
+import { oklchToHex } from '../utils/colorUtils';
+import { createThemePair, formatThemeCss, THEME_CSS_MODES } from '../utils/themeTransform';
+
+const SOURCES = [
+  { id: 'auto', label: 'Auto' },
+  { id: 'light', label: 'Light' },
+  { id: 'dark', label: 'Dark' },
+];
+
+// ─── sub-components ───────────────────────────────────────────────────────────
+
+function ThemePreview({ theme, roles, label, icon: Icon }) {
+  const bg = oklchToHex(theme.background);
+  const text = oklchToHex(theme.text);
+  const primary = roles.primary !== undefined ? oklchToHex(theme.colors[roles.primary]) : text;
+  const accent = roles.accent !== undefined ? oklchToHex(theme.colors[roles.accent]) : primary;
+  const neutral = roles.neutral !== undefined && roles.neutral !== roles.background
+    ? oklchToHex(theme.colors[roles.neutral])
+    : `${text}33`;
+
+  return (
+    <div className="space-y-2">
+      <p className="flex items-center gap-1.5 text-xs text-[#55556a] uppercase tracking-wider font-medium">
+        <Icon size={12} /> {label}
+      </p>
+      <div className="rounded-xl overflow-hidden border border-[#1a1a24] p-4 space-y-3" style={{ backgroundColor: bg }}>
+        <p className="text-sm font-semibold" style={{ color: text }}>Quarterly overview</p>
+        <p className="text-[11px] leading-relaxed" style={{ color: text, opacity: 0.8 }}>
+          Revenue grew 12% with the new plan. <span style={{ color: accent }} className="underline">See details</span>
+        </p>
+        <div className="flex items-center gap-2">
+          <span className="px-3 py-1.5 rounded-lg text-[11px] font-medium" style={{ backgroundColor: primary, color: bg }}>Upgrade</span>
+          <span className="px-3 py-1.5 rounded-lg text-[11px] border" style={{ borderColor: neutral, color: text }}>Later</span>
+        </div>
+      </div>
+      <div className="h-6 rounded-lg overflow-hidden flex">
+        {theme.colors.map((c, i) => (
+          <div key={i} className="flex-1" style={{ backgroundColor: oklchToHex(c) }} title={oklchToHex(c)} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function RatioCell({ result }) {
+  return (
+    <span className={`flex items-center justify-end gap-1 font-mono ${result.passes ? 'text-green-400' : 'text-red-400'}`}>
+      {result.ratio.toFixed(2)}
+      {result.passes ? <CheckCircle size={10} /> : <XCircle size={10} />}
+    </span>
+  );
+}
+
+// ─── main component ───────────────────────────────────────────────────────────
+
+/**
+ * Light ↔ dark counterpart for the active palette: previews of both themes,
+ * the contrast re-check per role, and combined CSS export.
+ */
+export default function ThemePairPanel({ colors = [], onApplyPalette }) {
+  const [source, setSource] = useState('auto');
+  const [cssMode, setCssMode] = useState('light-dark');
+  const [copied, setCopied] = useState(false);
+
+  const pair = useMemo(() => (colors.length
+    ? createThemePair(colors, { source: source === 'auto' ? undefined : source })
+    : null), [colors, source]);
+
+  if (!pair) {
+    return (
+      <div className="p-4 border border-dashed border-[#1a1a24] text-[#55556a] rounded-lg text-center text-xs">
+        Generate a palette to build its dark-mode counterpart
+      </div>
+    );
+  }
+
+  const target = pair.source === 'light' ? 'dark' : 'light';
+  const css = formatThemeCss(pair, cssMode);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(css);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([css], { type: 'text/css' }));
+    const a = document.createElement('a');
+    a.href = url; a.download = 'hexandhue-themes.css';
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-5">
+      <div className="flex items-center justify-between">
+        <h3 className="text-xs text-[#8888a0] uppercase tracking-wider font-medium">Light &amp; Dark Themes</h3>
+        <div className="flex items-center gap-2">
+          <span className="text-[10px] text-[#55556a]">Palette is</span>
+          <div className="flex gap-1 bg-[#0a0a0f] rounded-lg p-1">
+            {SOURCES.map(s => (
+              <button
+                key={s.id}
+                onClick={() => setSource(s.id)}
+                className={`px-2.5 py-1 text-[10px] rounded-md transition-colors ${source === s.id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'}`}
+              >
+                {s.id === 'auto' ? `Auto (${pair.source})` : s.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <ThemePreview theme={pair.light} roles={pair.roles} label={pair.source === 'light' ? 'Light (original)' : 'Light (generated)'} icon={Sun} />
+        <ThemePreview theme={pair.dark} roles={pair.roles} label={pair.source === 'dark' ? 'Dark (original)' : 'Dark (generated)'} icon={Moon} />
+      </div>
+
+      {/* Contrast re-check */}
+      {pair.checks.length > 0 && (
+        <div className="bg-[#12121a] rounded-xl border border-[#1a1a24] p-3 space-y-1.5">
+          <div className="grid grid-cols-4 gap-2 text-[10px] text-[#55556a] uppercase tracking-wider">
+            <span>Role on background</span>
+            <span className="text-right">Minimum</span>
+            <span className="text-right">Light</span>
+            <span className="text-right">Dark</span>
+          </div>
+          {pair.checks.map(check => (
+            <div key={check.role} className="grid grid-cols-4 gap-2 text-xs items-center">
+              <span className="flex items-center gap-1.5 text-[#8888a0] capitalize">
+                <span className="w-3 h-3 rounded" style={{ backgroundColor: oklchToHex(pair[target].colors[check.index]) }} />
+                {check.role}
+                {check.adjusted && <span className="text-[9px] normal-case text-[#ff6b4a]">adjusted</span>}
+              </span>
+              <span className="text-right font-mono text-[#55556a]">{check.minimum}:1</span>
+              <RatioCell result={check.light} />
+              <RatioCell result={check.dark} />
+            </div>
+          ))}
+          <p className="text-[10px] text-[#55556a] pt-1">
+            Text is held to AA (4.5:1); primary and accent to the 3:1 non-text minimum in the generated theme.
+          </p>
+        </div>
+      )}
+
+      {onApplyPalette && (
+        <button
+          onClick={() => onApplyPalette(pair[target].colors, `${target} theme`)}
+          className="w-full flex items-center justify-center gap-2 px-4 py-2.5 bg-[#12121a] hover:bg-[#1a1a24] border border-[#1a1a24] rounded-xl text-xs text-[#8888a0] hover:text-[#f0f0f5] transition-colors"
+        >
+          {target === 'dark' ? <Moon size={13} /> : <Sun size={13} />}
+          Use the {target} palette
+        </button>
+      )}
+
+      {/* CSS export */}
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <div className="flex gap-1 bg-[#0a0a0f] rounded-lg p-1">
+            {THEME_CSS_MODES.map(m => (
+              <button
+                key={m.id}
+                onClick={() => setCssMode(m.id)}
+                title={m.description}
+                className={`px-2.5 py-1 text-[10px] rounded-md transition-colors ${cssMode === m.id ? 'bg-[#1a1a24] text-[#f0f0f5]' : 'text-[#55556a] hover:text-[#8888a0]'}`}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-1">
+            <button onClick={copy} className="p-1.5 rounded-lg text-[#55556a] hover:text-[#f0f0f5] hover:bg-[#1a1a24] transition-colors" title="Copy">
+              {copied ? <Check size={13} className="text-green-400" /> : <Copy size={13} />}
+            </button>
+            <button onClick={download} className="p-1.5 rounded-lg text-[#55556a] hover:text-[#f0f0f5] hover:bg-[#1a1a24] transition-colors" title="Download .css">
+              <Download size={13} />
+            </button>
+          </div>
+        </div>
+        <pre className="bg-[#0a0a0f] rounded-xl border border-[#1a1a24] p-3 text-[10px] font-mono text-[#8888a0] overflow-x-auto whitespace-pre max-h-72">
+          {css}
+        </pre>
+      </div>
+    </div>
+  );
+}
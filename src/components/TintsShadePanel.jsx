@@ -1,7 +1,9 @@
-import React from 'react';
-import { oklchToHex } from '../utils/colorUtils';
+import React, { useState } from 'react';
+import { oklchToHex, generateTonalRamp } from '../utils/colorUtils';
 
 export default function TintsShadePanel({ baseColor, onColorSelect }) {
+  const [view, setView] = useState('tints'); // 'tints' | 'scale'
+
   if (!baseColor) {
     return (
       <div className="p-4 border border-dashed border-[#1a1a24] text-[#55556a] rounded-lg text-center text-xs">
@@ -54,11 +56,29 @@ export default function TintsShadePanel({ baseColor, onColorSelect }) {
     </div>
   );
 
+  // Same 50–950 ramp the Export tab writes out
+  const ramp = view === 'scale' ? generateTonalRamp(baseColor) : [];
+
   return (
     <div className="space-y-4">
-      <h3 className="text-xs text-[#8888a0] uppercase tracking-wider font-medium">
-        Tints & Shades
-      </h3>
+      <div className="flex items-center justify-between">
+        <h3 className="text-xs text-[#8888a0] uppercase tracking-wider font-medium">
+          Tints & Shades
+        </h3>
+        <div className="flex gap-1">
+          {[['tints', 'Tints'], ['scale', '50–950']].map(([id, label]) => (
+            <button
+              key={id}
+              onClick={() => setView(id)}
+              className={`px-2 py-1 rounded text-[10px] ${
+                view === id ? 'bg-[#ff6b4a]/20 text-[#ff6b4a]' : 'text-[#55556a] hover:text-[#8888a0]'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
 
       {/* Base color indicator */}
       <div className="flex items-center gap-2">
@@ -72,9 +92,33 @@ export default function TintsShadePanel({ baseColor, onColorSelect }) {
         </div>
       </div>
 
-      <ColorRow colors={tints} label="Tints (lighter)" />
-      <ColorRow colors={shades} label="Shades (darker)" />
-      <ColorRow colors={tones} label="Tones (desaturated)" />
+      {view === 'tints' ? (
+        <>
+          <ColorRow colors={tints} label="Tints (lighter)" />
+          <ColorRow colors={shades} label="Shades (darker)" />
+          <ColorRow colors={tones} label="Tones (desaturated)" />
+        </>
+      ) : (
+        <div className="space-y-1.5">
+          <h4 className="text-[10px] text-[#55556a] uppercase tracking-wider">Tonal scale</h4>
+          <div className="flex gap-1">
+            {ramp.map(({ step, color }) => {
+              const hex = oklchToHex(color);
+              return (
+                <div key={step} className="flex-1 min-w-0">
+                  <div
+                    className="h-10 rounded cursor-pointer transition-transform hover:scale-105 hover:z-10"
+                    style={{ backgroundColor: hex }}
+                    onClick={() => onColorSelect && onColorSelect(color)}
+                    title={`${step} · ${hex}`}
+                  />
+                  <p className="text-[9px] text-[#55556a] font-mono text-center mt-1">{step}</p>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -1,7 +1,8 @@
 import React from 'react';
 import { oklchToHex } from '../utils/colorUtils';
+import { viewingStyle, ViewingNotice } from './ViewingFilter';
 
-export default function UIPreviewPanel({ colors }) {
+export default function UIPreviewPanel({ colors, viewing, onViewingReset }) {
   if (!colors || colors.length < 3) {
     return (
       <div className="p-4 border border-dashed border-[#1a1a24] text-[#55556a] rounded-lg text-center text-xs">
@@ -18,14 +19,17 @@ export default function UIPreviewPanel({ colors }) {
 
   return (
     <div className="space-y-4">
-      <h3 className="text-xs text-[#8888a0] uppercase tracking-wider font-medium">
-        UI Preview
-      </h3>
+      <div className="flex items-center justify-between">
+        <h3 className="text-xs text-[#8888a0] uppercase tracking-wider font-medium">
+          UI Preview
+        </h3>
+        <ViewingNotice viewing={viewing} onReset={onViewingReset} />
+      </div>
 
       {/* Mock UI */}
       <div 
         className="rounded-xl overflow-hidden border border-[#1a1a24]"
-        style={{ backgroundColor: bg }}
+        style={{ backgroundColor: bg, ...viewingStyle(viewing) }}
       >
         {/* Header */}
         <div 
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Undo2, Redo2, GitCommitVertical } from 'lucide-react';
+import { oklchToHex } from '../utils/colorUtils';
+
+const MAX_STEPS = 100;
+// Edits sharing a coalesce key this close together make one undo step
+const COALESCE_MS = 800;
+
+let nextEntryId = 1;
+
+// Custom hook for session undo/redo of palette edits.
+// `snapshot` is the current palette state; `onRestore` receives a snapshot to
+// put back. Past entries hold the state *before* their edit, future entries
+// the state *after* it, so stepping just swaps the current snapshot across.
+export function useUndoHistory(snapshot, onRestore) {
+  const [stacks, setStacks] = useState({ past: [], future: [] });
+  const currentRef = useRef(snapshot);
+  const lastEditRef = useRef(null);
+
+  useEffect(() => {
+    currentRef.current = snapshot;
+  }, [snapshot]);
+
+  // Call from a handler just before it mutates the palette. Pass
+  // { coalesce: key } for continuous input (drags, slider scrubs): a run of
+  // calls with the same key, each within COALESCE_MS of the last, records
+  // only the state before the first.
+  const recordEdit = useCallback((label, options = {}) => {
+    const now = Date.now();
+    const last = lastEditRef.current;
+    lastEditRef.current = options.coalesce ? { key: options.coalesce, at: now } : null;
+    if (options.coalesce && last?.key === options.coalesce && now - last.at < COALESCE_MS) return;
+
+    const entry = {
+      id: nextEntryId++,
+      label,
+      timestamp: new Date().toISOString(),
+      state: currentRef.current,
+    };
+    setStacks(prev => ({
+      past: [...prev.past, entry].slice(-MAX_STEPS),
+      future: [],
+    }));
+  }, []);
+
+  // Negative steps undo, positive steps redo
+  const travel = useCallback((steps) => {
+    let { past, future } = stacks;
+    let current = currentRef.current;
+
+    for (let i = 0; i < Math.abs(steps); i++) {
+      if (steps < 0 && past.length > 0) {
+        const entry = past[past.length - 1];
+        past = past.slice(0, -1);
+        future = [{ ...entry, state: current }, ...future];
+        current = entry.state;
+      } else if (steps > 0 && future.length > 0) {
+        const entry = future[0];
+        future = future.slice(1);
+        past = [...past, { ...entry, state: current }];
+        current = entry.state;
+      }
+    }
+
+    if (current === currentRef.current) return;
+    currentRef.current = current;
+    lastEditRef.current = null;
+    setStacks({ past, future });
+    onRestore(current);
+  }, [stacks, onRestore]);
+
+  const undo = useCallback(() => travel(-1), [travel]);
+  const redo = useCallback(() => travel(1), [travel]);
+
+  // Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl+Y. Text fields keep their own undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  return {
+    past: stacks.past,
+    future: stacks.future,
+    canUndo: stacks.past.length > 0,
+    canRedo: stacks.future.length > 0,
+    recordEdit,
+    undo,
+    redo,
+    travel,
+  };
+}
+
+// UI Component
+export default function UndoTimeline({
+  past = [],
+  future = [],
+  current,
+  onUndo,
+  onRedo,
+  onTravel,
+}) {
+  // The palette shown for each step is the state right after it was applied
+  const applied = past.map((entry, i) => ({
+    ...entry,
+    colors: (past[i + 1]?.state ?? current)?.activePalette || [],
+    offset: i - past.length + 1,
+  }));
+  const undone = future.map((entry, i) => ({
+    ...entry,
+    colors: entry.state?.activePalette || [],
+    offset: i + 1,
+  }));
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-xs text-[#8888a0] uppercase tracking-wider font-medium flex items-center gap-2">
+          <GitCommitVertical size={14} />
+          Edits
+        </h3>
+        <div className="flex gap-1">
+          <button
+            onClick={onUndo}
+            disabled={past.length === 0}
+            className="p-1.5 rounded text-[#55556a] hover:text-[#8888a0] disabled:opacity-30 disabled:hover:text-[#55556a]"
+            title="Undo (Ctrl+Z)"
+          >
+            <Undo2 size={14} />
+          </button>
+          <button
+            onClick={onRedo}
+            disabled={future.length === 0}
+            className="p-1.5 rounded text-[#55556a] hover:text-[#8888a0] disabled:opacity-30 disabled:hover:text-[#55556a]"
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            <Redo2 size={14} />
+          </button>
+        </div>
+      </div>
+
+      <div className="max-h-64 overflow-y-auto pr-1">
+        <button
+          onClick={() => onTravel && onTravel(-past.length)}
+          className={`w-full text-left px-2 py-1 text-[10px] border-l-2 transition-colors ${
+            past.length === 0 ? 'border-[#ff6b4a] text-[#f0f0f5]' : 'border-[#1a1a24] text-[#55556a] hover:text-[#8888a0]'
+          }`}
+        >
+          Start of session
+        </button>
+
+        {[...applied, ...undone].map((entry) => {
+          const isCurrent = entry.offset === 0;
+          const isUndone = entry.offset > 0;
+
+          return (
+            <button
+              key={entry.id}
+              onClick={() => onTravel && onTravel(entry.offset)}
+              className={`w-full flex items-center gap-2 px-2 py-1.5 border-l-2 transition-colors ${
+                isCurrent
+                  ? 'border-[#ff6b4a] bg-[#1a1a24]'
+                  : 'border-[#1a1a24] hover:bg-[#1a1a24]/60'
+              } ${isUndone ? 'opacity-40' : ''}`}
+            >
+              <div className="flex h-3 w-12 shrink-0 rounded-sm overflow-hidden">
+                {entry.colors.slice(0, 6).map((color, i) => (
+                  <div key={i} className="flex-1" style={{ backgroundColor: oklchToHex(color) }} />
+                ))}
+              </div>
+              <span className={`text-[10px] truncate capitalize ${isCurrent ? 'text-[#f0f0f5]' : 'text-[#8888a0]'}`}>
+                {entry.label}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
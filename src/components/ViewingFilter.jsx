@@ -0,0 +1,56 @@
+import React from 'react';
+import { Sun, X } from 'lucide-react';
+import { VIEWING_CONDITIONS, viewingFilterValues } from '../utils/viewingConditions';
+
+// id the palette strip, UI preview and uploaded images reference
+export const VIEWING_FILTER_ID = 'viewing-condition-filter';
+
+/**
+ * Style that shows an element under the current viewing condition, or
+ * undefined when viewing normally.
+ */
+export function viewingStyle(viewing) {
+  return viewing && viewing.type !== 'normal'
+    ? { filter: `url(#${VIEWING_FILTER_ID})` }
+    : undefined;
+}
+
+/**
+ * Says which viewing condition an element is shown under, with a reset. The
+ * condition is set in the Access tab but applies wherever viewingStyle does,
+ * so every such place carries one of these.
+ */
+export function ViewingNotice({ viewing, onReset }) {
+  if (!viewing || viewing.type === 'normal') return null;
+  const condition = VIEWING_CONDITIONS.find(c => c.id === viewing.type);
+
+  return (
+    <span className="inline-flex items-center gap-1.5 px-2 py-0.5 rounded-md bg-[#ff6b4a]/20 text-[10px] text-[#ff6b4a]">
+      <Sun size={10} />
+      Viewing: {condition?.label ?? viewing.type} {Math.round(viewing.intensity * 100)}%
+      {onReset && (
+        <button onClick={onReset} className="hover:text-[#f0f0f5] transition-colors" title="Back to normal viewing">
+          <X size={10} />
+        </button>
+      )}
+    </span>
+  );
+}
+
+/**
+ * Hidden SVG filter for the low-vision / environmental simulation set in
+ * AccessibilityChecker. Blur first (lens scatter, reduced acuity), then the
+ * linear-RGB color transform.
+ */
+export default function ViewingFilter({ viewing }) {
+  const { values, blur } = viewingFilterValues(viewing.type, viewing.intensity);
+
+  return (
+    <svg width="0" height="0" className="absolute" aria-hidden="true">
+      <filter id={VIEWING_FILTER_ID} colorInterpolationFilters="linearRGB">
+        <feGaussianBlur stdDeviation={blur} />
+        <feColorMatrix type="matrix" values={values} />
+      </filter>
+    </svg>
+  );
+}
@@ -0,0 +1,55 @@
+import React from 'react';
+import { Eye } from 'lucide-react';
+import { CVD_TYPES, cvdFilterValues, describeVision } from '../utils/colorVision';
+
+// id the app's content references with `filter: url(#…)`
+export const VISION_FILTER_ID = 'view-as-filter';
+
+/**
+ * "View as" control for the header. Also renders the SVG filter that the
+ * main content applies, so gradients, previews, canvases and uploaded images
+ * are all simulated — not just swatches. SVG filters work in linear RGB by
+ * default, which is the space the simulation matrices expect.
+ */
+export default function VisionFilter({ vision, onChange }) {
+  const type = CVD_TYPES.find(t => t.id === vision.type) || CVD_TYPES[0];
+  const active = vision.type !== 'normal';
+
+  return (
+    <div
+      className={`flex items-center gap-1 rounded-lg p-1 ${active ? 'bg-[#ff6b4a]/20' : 'bg-[#12121a]'}`}
+      title={active ? `Viewing as: ${describeVision(vision)}` : 'Simulate color vision deficiencies across the app'}
+    >
+      <Eye size={12} className={`ml-1 ${active ? 'text-[#ff6b4a]' : 'text-[#55556a]'}`} />
+      <select
+        value={vision.type}
+        onChange={(e) => onChange({ ...vision, type: e.target.value })}
+        className={`bg-transparent text-[10px] uppercase tracking-wider font-medium px-1.5 py-1 rounded-md focus:outline-none cursor-pointer ${active ? 'text-[#ff6b4a]' : 'text-[#8888a0]'}`}
+      >
+        {CVD_TYPES.map(({ id, label }) => (
+          <option key={id} value={id} className="bg-[#12121a] normal-case">
+            {id === 'normal' ? 'View as' : label}
+          </option>
+        ))}
+      </select>
+
+      {active && type.severity && (
+        <input
+          type="range"
+          min="0"
+          max="100"
+          value={Math.round(vision.severity * 100)}
+          onChange={(e) => onChange({ ...vision, severity: Number(e.target.value) / 100 })}
+          title={describeVision(vision)}
+          className="w-16 accent-[#ff6b4a]"
+        />
+      )}
+
+      <svg width="0" height="0" className="absolute" aria-hidden="true">
+        <filter id={VISION_FILTER_ID} colorInterpolationFilters="linearRGB">
+          <feColorMatrix type="matrix" values={cvdFilterValues(vision.type, vision.severity)} />
+        </filter>
+      </svg>
+    </div>
+  );
+}
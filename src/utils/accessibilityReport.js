@@ -0,0 +1,379 @@
+// accessibilityReport.js - Exportable accessibility audit for a palette
+// The same WCAG results AccessibilityChecker shows, gathered into one
+// document for sign-off and compliance tickets:
+//   - the full N×N contrast matrix (text × background) with AA / AAA for
+//     normal and large text, plus the 3:1 non-text (UI component) check
+//   - every color simulated under each color-vision deficiency
+//   - recommended text/background pairings, best first
+//   - a 0–100 summary score
+// buildAccessibilityReport() returns plain data, serialized by
+// writeReportJSON() and rendered by writeReportHTML() as a self-contained
+// page (inline styles, no external assets).
+
+import { oklchToHex, wcagContrast } from './colorUtils';
+import { apcaContrast } from './contrast';
+import { CVD_TYPES, simulateCvd, describeVision } from './colorVision';
+import { findCvdConflicts } from './cvdSafe';
+
+// ============================================================================
+// WCAG RESULTS
+// ============================================================================
+
+/**
+ * WCAG 2.1 thresholds: 1.4.3 / 1.4.6 for text, 1.4.11 for non-text.
+ */
+export const WCAG_THRESHOLDS = {
+  AA_normal: 4.5,
+  AA_large: 3.0,
+  AAA_normal: 7.0,
+  AAA_large: 4.5,
+  nonText: 3.0,
+};
+
+/**
+ * Pass/fail per WCAG criterion for a contrast ratio.
+ *
+ * @param {number} ratio
+ * @returns {{ AA_normal: boolean, AA_large: boolean, AAA_normal: boolean,
+ *   AAA_large: boolean, nonText: boolean }}
+ */
+export function getWcagResult(ratio) {
+  return {
+    AA_normal: ratio >= WCAG_THRESHOLDS.AA_normal,
+    AA_large: ratio >= WCAG_THRESHOLDS.AA_large,
+    AAA_normal: ratio >= WCAG_THRESHOLDS.AAA_normal,
+    AAA_large: ratio >= WCAG_THRESHOLDS.AAA_large,
+    nonText: ratio >= WCAG_THRESHOLDS.nonText,
+  };
+}
+
+/**
+ * Highest level a result reaches, for labels: 'AAA', 'AA', 'AA Large',
+ * 'Non-text' or 'Fail'.
+ */
+export function wcagLevel(result) {
+  if (result.AAA_normal) return 'AAA';
+  if (result.AA_normal) return 'AA';
+  if (result.AA_large) return 'AA Large';
+  if (result.nonText) return 'Non-text';
+  return 'Fail';
+}
+
+// Backgrounds every color is also checked against, as on screen
+export const REFERENCE_BACKGROUNDS = [
+  { hex: '#ffffff', label: 'White' },
+  { hex: '#0a0a0f', label: 'Dark' },
+];
+
+const MAX_RECOMMENDATIONS = 12;
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * @param {Object[]} colors - OKLCH palette
+ * @param {Object} [options]
+ * @param {string[]} [options.names] - Display names, defaults to "Color N"
+ * @param {number} [options.severity=1] - CVD simulation severity
+ * @param {string} [options.title]
+ * @returns {Object} Plain, JSON-serializable report
+ */
+export function buildAccessibilityReport(colors, options = {}) {
+  const { names = [], severity = 1, title = 'Palette accessibility audit' } = options;
+  const swatches = colors.map((c, i) => ({
+    index: i,
+    name: names[i] || `Color ${i + 1}`,
+    hex: oklchToHex(c),
+    oklch: { l: round(c.l ?? 0, 4), c: round(c.c ?? 0, 4), h: round(c.h ?? 0, 2) },
+  }));
+
+  // Rows are text, columns background; the diagonal is left empty
+  const matrix = swatches.map(fg => swatches.map(bg => (
+    fg.index === bg.index ? null : measurePair(fg.hex, bg.hex)
+  )));
+  const onReference = swatches.map(fg => REFERENCE_BACKGROUNDS.map(bg => ({
+    background: bg.label,
+    ...measurePair(fg.hex, bg.hex),
+  })));
+
+  const cvd = CVD_TYPES.filter(t => t.id !== 'normal').map(type => ({
+    type: type.id,
+    label: describeVision({ type: type.id, severity }),
+    severity: type.severity ? severity : 1,
+    swatches: swatches.map(s => simulateCvd(s.hex, type.id, severity)),
+  }));
+  const cvdConflicts = findCvdConflicts(colors, { severity }).map(({ i, j, type, deltaE }) => ({
+    i, j, type, deltaE: round(deltaE, 1),
+  }));
+
+  const recommendations = recommendPairs(swatches, matrix, onReference);
+  const summary = summarize(swatches, matrix, onReference, cvdConflicts);
+
+  return {
+    title,
+    generator: 'hex&hue Color Theory Studio',
+    generated: new Date().toISOString(),
+    thresholds: WCAG_THRESHOLDS,
+    colors: swatches,
+    matrix,
+    referenceBackgrounds: REFERENCE_BACKGROUNDS,
+    onReference,
+    cvd,
+    cvdConflicts,
+    recommendations,
+    summary,
+  };
+}
+
+/**
+ * Report as a pretty-printed JSON file.
+ */
+export function writeReportJSON(report) {
+  return new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+}
+
+/**
+ * Report as a single self-contained HTML page.
+ */
+export function writeReportHTML(report) {
+  return new Blob([renderHTML(report)], { type: 'text/html' });
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function measurePair(fg, bg) {
+  const ratio = wcagContrast(fg, bg);
+  return {
+    fg,
+    bg,
+    ratio: round(ratio, 2),
+    lc: round(apcaContrast(fg, bg), 1),
+    wcag: getWcagResult(ratio),
+  };
+}
+
+function round(value, digits) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+// Palette pairs (either way round) and palette-on-reference pairs that pass
+// at least AA Large, strongest first. A palette pair appears once, in the
+// polarity APCA rates higher.
+function recommendPairs(swatches, matrix, onReference) {
+  const pairs = [];
+  swatches.forEach((fg, i) => {
+    swatches.forEach((bg, j) => {
+      if (j <= i) return;
+      const a = matrix[i][j];
+      const b = matrix[j][i];
+      const [best, text, background] = Math.abs(a.lc) >= Math.abs(b.lc) ? [a, fg, bg] : [b, bg, fg];
+      pairs.push({ ...best, text: text.name, background: background.name });
+    });
+    onReference[i].forEach(result => {
+      pairs.push({ ...result, text: fg.name, background: result.background });
+    });
+  });
+
+  return pairs
+    .filter(p => p.wcag.AA_large)
+    .sort((a, b) => b.ratio - a.ratio)
+    .slice(0, MAX_RECOMMENDATIONS)
+    .map(p => ({
+      text: p.text,
+      background: p.background,
+      fg: p.fg,
+      bg: p.bg,
+      ratio: p.ratio,
+      lc: p.lc,
+      level: wcagLevel(p.wcag),
+      use: p.wcag.AA_normal ? 'Body text' : 'Large text & UI',
+    }));
+}
+
+// Score out of 100:
+//   50 — share of colors usable as body text on some palette or reference
+//        background (AA normal)
+//   30 — share of palette pairs that meet the 3:1 non-text minimum, so
+//        adjacent fills and borders read as distinct
+//   20 — share of palette pairs still distinguishable under CVD simulation
+function summarize(swatches, matrix, onReference, cvdConflicts) {
+  const n = swatches.length;
+  const pairs = matrix.flat().filter(Boolean);
+  const count = key => pairs.filter(p => p.wcag[key]).length;
+  const unordered = (n * (n - 1)) / 2;
+
+  const readable = swatches.filter((s, i) =>
+    matrix[i].some(p => p && p.wcag.AA_normal) || onReference[i].some(p => p.wcag.AA_normal)
+  ).length;
+  const distinct = unordered - cvdConflicts.length;
+
+  const share = (x, total) => (total > 0 ? x / total : 1);
+  const score = Math.round(
+    50 * share(readable, n) +
+    30 * share(count('nonText'), pairs.length) +
+    20 * share(distinct, unordered)
+  );
+
+  return {
+    score,
+    grade: score >= 90 ? 'A' : score >= 80 ? 'B' : score >= 65 ? 'C' : score >= 50 ? 'D' : 'F',
+    colors: n,
+    pairs: pairs.length,
+    AA_normal: count('AA_normal'),
+    AA_large: count('AA_large'),
+    AAA_normal: count('AAA_normal'),
+    AAA_large: count('AAA_large'),
+    nonText: count('nonText'),
+    readableColors: readable,
+    cvdConflicts: cvdConflicts.length,
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const CHECKS = [
+  ['AA_normal', 'AA'],
+  ['AA_large', 'AA L'],
+  ['AAA_normal', 'AAA'],
+  ['AAA_large', 'AAA L'],
+  ['nonText', '3:1'],
+];
+
+function renderChecks(wcag) {
+  return CHECKS.map(([key, label]) =>
+    `<span class="chk ${wcag[key] ? 'pass' : 'fail'}">${label}</span>`
+  ).join('');
+}
+
+function renderHTML(report) {
+  const { colors, matrix, summary } = report;
+  const e = escapeHtml;
+
+  const swatchRow = colors.map(c => `
+      <div class="sw"><div class="chip" style="background:${c.hex}"></div>
+        <b>${e(c.name)}</b><code>${c.hex}</code></div>`).join('');
+
+  const header = colors.map(c =>
+    `<th><div class="dot" style="background:${c.hex}"></div>${e(c.name)}</th>`
+  ).join('');
+  const rows = matrix.map((row, i) => `
+      <tr><th><div class="dot" style="background:${colors[i].hex}"></div>${e(colors[i].name)}</th>${row.map(cell => (cell
+        ? `<td><div class="sample" style="color:${cell.fg};background:${cell.bg}">Aa</div>
+          <div class="ratio">${cell.ratio.toFixed(2)}:1 · Lc ${cell.lc.toFixed(0)}</div>${renderChecks(cell.wcag)}</td>`
+        : '<td class="na">—</td>'
+      )).join('')}</tr>`).join('');
+
+  const reference = colors.map((c, i) => `
+      <tr><th><div class="dot" style="background:${c.hex}"></div>${e(c.name)}</th>${report.onReference[i].map(cell =>
+        `<td><div class="sample" style="color:${cell.fg};background:${cell.bg}">Aa</div>
+          <div class="ratio">${cell.ratio.toFixed(2)}:1 · Lc ${cell.lc.toFixed(0)}</div>${renderChecks(cell.wcag)}</td>`
+      ).join('')}</tr>`).join('');
+
+  const strips = [{ label: 'Normal vision', swatches: colors.map(c => c.hex) }, ...report.cvd].map(v => `
+      <div class="strip"><span>${e(v.label)}</span><div>${v.swatches.map(hex =>
+        `<i style="background:${hex}" title="${hex}"></i>`).join('')}</div></div>`).join('');
+
+  const conflicts = report.cvdConflicts.length
+    ? `<p class="note">Hard to tell apart: ${report.cvdConflicts.map(c =>
+      `${e(colors[c.i].name)} &amp; ${e(colors[c.j].name)} (${e(c.type)}, ΔE ${c.deltaE})`).join('; ')}</p>`
+    : '<p class="note">Every pair stays distinguishable (ΔE2000 ≥ 10) under protan, deutan and tritan simulation.</p>';
+
+  const recommendations = report.recommendations.length
+    ? report.recommendations.map(r => `
+      <tr><td><div class="sample wide" style="color:${r.fg};background:${r.bg}">${e(r.text)} on ${e(r.background)}</div></td>
+        <td>${r.ratio.toFixed(2)}:1</td><td>Lc ${r.lc.toFixed(0)}</td><td>${e(r.level)}</td><td>${e(r.use)}</td></tr>`).join('')
+    : '<tr><td colspan="5" class="na">No pairing reaches AA Large.</td></tr>';
+
+  const stat = (value, label) => `<div class="stat"><b>${value}</b><span>${label}</span></div>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${e(report.title)}</title>
+<style>
+  body { font: 14px/1.5 system-ui, -apple-system, sans-serif; color: #1a1a24; background: #fff; margin: 0; padding: 32px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 32px 0 12px; text-transform: uppercase; letter-spacing: .05em; color: #55556a; }
+  .meta, .note { color: #55556a; font-size: 12px; }
+  .swatches, .stats { display: flex; flex-wrap: wrap; gap: 12px; }
+  .sw { width: 110px; font-size: 12px; }
+  .sw b, .sw code { display: block; }
+  .chip { height: 56px; border-radius: 8px; border: 1px solid #0001; margin-bottom: 6px; }
+  .stat { border: 1px solid #e4e4ea; border-radius: 10px; padding: 10px 14px; min-width: 90px; text-align: center; }
+  .stat b { display: block; font-size: 22px; }
+  .stat span { font-size: 11px; color: #55556a; }
+  .score b { color: ${summary.score >= 80 ? '#16a34a' : summary.score >= 50 ? '#d97706' : '#dc2626'}; }
+  table { border-collapse: collapse; font-size: 12px; }
+  th, td { border: 1px solid #e4e4ea; padding: 6px; text-align: left; vertical-align: top; }
+  th { background: #f6f6f9; font-weight: 600; white-space: nowrap; }
+  .dot { display: inline-block; width: 10px; height: 10px; border-radius: 3px; margin-right: 6px; vertical-align: middle; border: 1px solid #0002; }
+  .sample { border-radius: 6px; padding: 6px 10px; font-weight: 700; font-size: 16px; text-align: center; }
+  .sample.wide { font-size: 13px; text-align: left; }
+  .ratio { font-family: ui-monospace, monospace; font-size: 11px; margin: 4px 0; white-space: nowrap; }
+  .chk { display: inline-block; font-size: 9px; padding: 1px 4px; border-radius: 4px; margin: 1px; }
+  .pass { background: #dcfce7; color: #166534; }
+  .fail { background: #fee2e2; color: #991b1b; }
+  .na { color: #b0b0c0; text-align: center; vertical-align: middle; }
+  .strip { display: flex; align-items: center; gap: 12px; margin-bottom: 6px; }
+  .strip span { width: 200px; font-size: 12px; color: #55556a; }
+  .strip div { display: flex; }
+  .strip i { width: 48px; height: 28px; }
+  .strip i:first-child { border-radius: 6px 0 0 6px; }
+  .strip i:last-child { border-radius: 0 6px 6px 0; }
+  .scroll { overflow-x: auto; }
+</style>
+</head>
+<body>
+  <h1>${e(report.title)}</h1>
+  <p class="meta">${e(report.generator)} · ${e(new Date(report.generated).toLocaleString())} · WCAG 2.1 (APCA Lc for reference)</p>
+
+  <h2>Palette</h2>
+  <div class="swatches">${swatchRow}
+  </div>
+
+  <h2>Summary</h2>
+  <div class="stats">
+    <div class="stat score"><b>${summary.score}</b><span>Score · grade ${summary.grade}</span></div>
+    ${stat(`${summary.readableColors}/${summary.colors}`, 'Usable as body text')}
+    ${stat(`${summary.AA_normal}/${summary.pairs}`, 'Pairs AA')}
+    ${stat(`${summary.AAA_normal}/${summary.pairs}`, 'Pairs AAA')}
+    ${stat(`${summary.nonText}/${summary.pairs}`, 'Pairs 3:1 non-text')}
+    ${stat(summary.cvdConflicts, 'CVD conflicts')}
+  </div>
+  <p class="note">Score: 50 for colors usable as body text somewhere, 30 for palette pairs meeting 3:1 non-text contrast, 20 for pairs distinguishable under color-vision simulation.</p>
+
+  <h2>Contrast matrix</h2>
+  <p class="note">Rows are text (or foreground UI), columns background. AA 4.5:1, AA Large 3:1, AAA 7:1, AAA Large 4.5:1, non-text (WCAG 1.4.11) 3:1.</p>
+  <div class="scroll"><table>
+    <tr><th>Text \\ Background</th>${header}</tr>${rows}
+  </table></div>
+
+  <h2>On reference backgrounds</h2>
+  <div class="scroll"><table>
+    <tr><th>Text</th>${report.referenceBackgrounds.map(b => `<th><div class="dot" style="background:${b.hex}"></div>${e(b.label)} ${b.hex}</th>`).join('')}</tr>${reference}
+  </table></div>
+
+  <h2>Color vision</h2>
+  ${strips}
+  ${conflicts}
+
+  <h2>Recommended pairings</h2>
+  <table>
+    <tr><th>Pairing</th><th>WCAG 2</th><th>APCA</th><th>Level</th><th>Use for</th></tr>${recommendations}
+  </table>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,216 @@
+// colorDifference.js - Perceptual color difference
+// One place for "how different are these two colors?":
+//   ΔE76   — Euclidean CIELAB; simple, overstates differences in saturated colors
+//   ΔE94   — CIELAB with chroma/hue weighting (graphic arts)
+//   ΔE2000 — the CIE's current recommendation; the default here
+//   ΔEOK   — Euclidean OKLab, what CSS Color 4 gamut mapping uses
+//   CAM16-UCS — distance in the CAM16 uniform color space (average surround)
+// Each metric has its own scale, so results also come as plain-language bands
+// measured in just-noticeable differences (JNDs) of that metric.
+
+import {
+  converter,
+  differenceCie76,
+  differenceCie94,
+  differenceCiede2000,
+} from 'culori';
+import { deltaEOK } from './gamutMapping';
+
+const toXyz65 = converter('xyz65');
+
+// ============================================================================
+// METRICS
+// ============================================================================
+
+/**
+ * `jnd` is the just-noticeable difference on the metric's own scale,
+ * `digits` how many decimals to show.
+ */
+export const DELTA_E_METRICS = [
+  { id: 'de2000', label: 'ΔE2000', jnd: 1, digits: 2, description: 'CIEDE2000 — the industry standard' },
+  { id: 'de94', label: 'ΔE94', jnd: 1, digits: 2, description: 'CIE94 — graphic arts weighting' },
+  { id: 'de76', label: 'ΔE76', jnd: 2.3, digits: 2, description: 'CIE76 — plain Lab distance' },
+  { id: 'deok', label: 'ΔEOK', jnd: 0.02, digits: 3, description: 'OKLab distance, as used by CSS Color 4' },
+  { id: 'cam16', label: 'CAM16-UCS', jnd: 1, digits: 2, description: 'CAM16 uniform color space, average viewing conditions' },
+];
+
+export const DEFAULT_DELTA_E = 'de2000';
+
+const METRIC_FUNCTIONS = {
+  de2000: differenceCiede2000(),
+  de94: differenceCie94(),
+  de76: differenceCie76(),
+  deok: deltaEOK,
+  cam16: (a, b) => cam16UcsDistance(a, b),
+};
+
+/**
+ * Difference between two colors.
+ *
+ * @param {Object|string} a - Any culori color or CSS string
+ * @param {Object|string} b
+ * @param {string} [metric='de2000'] - DELTA_E_METRICS id
+ * @returns {number}
+ */
+export function deltaE(a, b, metric = DEFAULT_DELTA_E) {
+  const fn = METRIC_FUNCTIONS[metric] || METRIC_FUNCTIONS[DEFAULT_DELTA_E];
+  const value = fn(a, b);
+  return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Every metric at once, keyed by metric id.
+ */
+export function compareColors(a, b) {
+  const result = {};
+  DELTA_E_METRICS.forEach(({ id }) => { result[id] = deltaE(a, b, id); });
+  return result;
+}
+
+/**
+ * Pairwise differences for a palette (symmetric, zero diagonal).
+ *
+ * @returns {number[][]}
+ */
+export function differenceMatrix(colors, metric = DEFAULT_DELTA_E) {
+  const matrix = colors.map(() => new Array(colors.length).fill(0));
+  for (let i = 0; i < colors.length; i++) {
+    for (let j = i + 1; j < colors.length; j++) {
+      matrix[i][j] = matrix[j][i] = deltaE(colors[i], colors[j], metric);
+    }
+  }
+  return matrix;
+}
+
+// ============================================================================
+// BANDS
+// ============================================================================
+
+/**
+ * Plain-language bands. `below` is the upper bound in JNDs of the metric.
+ */
+export const DIFFERENCE_BANDS = [
+  { id: 'same', label: 'Indistinguishable', below: 1, color: '#f87171', description: 'Reads as the same color' },
+  { id: 'jnd', label: 'Just noticeable', below: 2.5, color: '#fb923c', description: 'Only visible side by side, on close inspection' },
+  { id: 'noticeable', label: 'Noticeable', below: 5, color: '#fbbf24', description: 'Visible at a glance when adjacent' },
+  { id: 'distinct', label: 'Clearly different', below: 12, color: '#86efac', description: 'Easy to tell apart, even apart on the page' },
+  { id: 'far', label: 'Very different', below: Infinity, color: '#4ade80', description: 'Different colors altogether' },
+];
+
+/**
+ * Band a difference falls in.
+ *
+ * @param {number} value - Difference on the metric's scale
+ * @param {string} [metric='de2000']
+ */
+export function differenceBand(value, metric = DEFAULT_DELTA_E) {
+  const jnds = value / getMetric(metric).jnd;
+  return DIFFERENCE_BANDS.find(band => jnds < band.below);
+}
+
+/**
+ * Smallest difference that lands in a band — e.g. the threshold for "these
+ * two are visibly different" in a given metric.
+ */
+export function bandThreshold(bandId, metric = DEFAULT_DELTA_E) {
+  const index = DIFFERENCE_BANDS.findIndex(b => b.id === bandId);
+  const lower = index > 0 ? DIFFERENCE_BANDS[index - 1].below : 0;
+  return lower * getMetric(metric).jnd;
+}
+
+export function getMetric(id) {
+  return DELTA_E_METRICS.find(m => m.id === id) || DELTA_E_METRICS[0];
+}
+
+/**
+ * ΔEOK between two OKLab triples [l, a, b] — for hot loops that already
+ * hold OKLab arrays (the quantizers).
+ */
+export function deltaEOKLab(p, q) {
+  return Math.hypot(p[0] - q[0], p[1] - q[1], p[2] - q[2]);
+}
+
+// ============================================================================
+// CAM16-UCS
+// ============================================================================
+
+/**
+ * CAM16-UCS coordinates (J', a', b') under average viewing conditions:
+ * D65 white, adapting luminance 64/π·0.2 cd/m², background Y = 20.
+ */
+export function toCam16Ucs(color) {
+  const xyz = toXyz65(color);
+  if (!xyz) return null;
+
+  const { J, M, h } = cam16([xyz.x * 100, xyz.y * 100, xyz.z * 100]);
+  const Jp = (1.7 * J) / (1 + 0.007 * J);
+  const Mp = Math.log(1 + 0.0228 * M) / 0.0228;
+  const hr = (h * Math.PI) / 180;
+  return { J: Jp, a: Mp * Math.cos(hr), b: Mp * Math.sin(hr) };
+}
+
+function cam16UcsDistance(a, b) {
+  const p = toCam16Ucs(a);
+  const q = toCam16Ucs(b);
+  if (!p || !q) return 0;
+  return Math.hypot(p.J - q.J, p.a - q.a, p.b - q.b);
+}
+
+const M16 = [
+  [0.401288, 0.650173, -0.051461],
+  [-0.250268, 1.204414, 0.045854],
+  [-0.002079, 0.048952, 0.953127],
+];
+
+const VIEWING = (() => {
+  const white = [95.047, 100, 108.883];
+  const LA = (64 / Math.PI) * 0.2;
+  const Yb = 20;
+  const F = 1;
+  const c = 0.69;
+  const Nc = 1;
+
+  const k = 1 / (5 * LA + 1);
+  const k4 = k ** 4;
+  const FL = 0.2 * k4 * (5 * LA) + 0.1 * (1 - k4) ** 2 * Math.cbrt(5 * LA);
+  const n = Yb / white[1];
+  const z = 1.48 + Math.sqrt(n);
+  const Nbb = 0.725 * (1 / n) ** 0.2;
+  const D = Math.min(1, Math.max(0, F * (1 - (1 / 3.6) * Math.exp((-LA - 42) / 92))));
+
+  const rgbW = multiply(M16, white);
+  const DRGB = rgbW.map(v => (D * white[1]) / v + 1 - D);
+  const adaptedW = rgbW.map((v, i) => adapt(v * DRGB[i], FL));
+  const Aw = (2 * adaptedW[0] + adaptedW[1] + 0.05 * adaptedW[2] - 0.305) * Nbb;
+
+  return { FL, n, z, Nbb, Ncb: Nbb, Nc, c, DRGB, Aw };
+})();
+
+function cam16(xyz) {
+  const { FL, n, z, Nbb, Ncb, Nc, c, DRGB, Aw } = VIEWING;
+  const [Ra, Ga, Ba] = multiply(M16, xyz).map((v, i) => adapt(v * DRGB[i], FL));
+
+  const a = Ra - (12 * Ga) / 11 + Ba / 11;
+  const b = (Ra + Ga - 2 * Ba) / 9;
+  const h = ((Math.atan2(b, a) * 180) / Math.PI + 360) % 360;
+
+  const et = 0.25 * (Math.cos((h * Math.PI) / 180 + 2) + 3.8);
+  const A = Math.max(0, (2 * Ra + Ga + 0.05 * Ba - 0.305) * Nbb);
+  const J = 100 * (A / Aw) ** (c * z);
+
+  const t = ((50000 / 13) * Nc * Ncb * et * Math.hypot(a, b)) / (Ra + Ga + (21 / 20) * Ba);
+  const C = t ** 0.9 * Math.sqrt(J / 100) * (1.64 - 0.29 ** n) ** 0.73;
+  const M = C * FL ** 0.25;
+
+  return { J, M, h };
+}
+
+// Post-adaptation nonlinear compression (CAM16 / CIECAM02)
+function adapt(v, FL) {
+  const p = (FL * Math.abs(v) / 100) ** 0.42;
+  return (Math.sign(v) * 400 * p) / (p + 27.13) + 0.1;
+}
+
+function multiply(m, v) {
+  return m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+}
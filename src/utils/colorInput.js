@@ -0,0 +1,146 @@
+// colorInput.js - Paste-anything color parsing
+// Turns whatever a user types or pastes into OKLCH: hex (3/4/6/8 digits, with
+// or without #), any CSS Color 4 function culori understands (rgb, hsl, hwb,
+// lab, lch, oklab, oklch, color(display-p3 …)), bare "r, g, b" triples,
+// CMYK percentages, and names from the name dictionaries. Text holding several
+// colors — a CSS block, a list of hexes — becomes a palette.
+
+import { parse } from 'culori';
+import { toOklch } from './colorUtils';
+import { findColorByName, DEFAULT_NAME_DICTIONARY } from './nameDictionaries';
+
+const HEX = /^#?([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const NUMBER = '(-?\\d*\\.?\\d+)(%?)';
+const SEPARATOR = '\\s*[,\\s/]\\s*';
+const TRIPLE = new RegExp(`^\\(?\\s*${NUMBER}${SEPARATOR}${NUMBER}${SEPARATOR}${NUMBER}\\s*\\)?$`);
+const CMYK = new RegExp(`^(?:cmyk\\s*)?\\(?\\s*${NUMBER}${SEPARATOR}${NUMBER}${SEPARATOR}${NUMBER}${SEPARATOR}${NUMBER}\\s*\\)?$`, 'i');
+
+// Color-looking tokens inside larger text (CSS blocks, mixed lists)
+const COLOR_TOKEN = /#[0-9a-f]{3,8}\b|\b(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([^()]*\)/gi;
+
+const MAX_PASTED_COLORS = 64;
+
+/**
+ * Parse free-form color input.
+ *
+ * @param {string} text
+ * @param {string} [dictionaryId] - Name dictionary searched first for names
+ * @returns {{ colors: Object[], error: string|null }} OKLCH colors — one for a
+ *   single color, several for a pasted palette, none (with an error) otherwise
+ */
+export function parseColorInput(text, dictionaryId = DEFAULT_NAME_DICTIONARY) {
+  const input = (text || '').trim();
+  if (!input) return { colors: [], error: null };
+
+  const single = parseSingleColor(input, dictionaryId);
+  if (single.color) return { colors: [single.color], error: null };
+
+  // A lone color inside other text ("color: #fff;") counts too
+  const many = parseColorList(input, dictionaryId);
+  if (many.unreadable.length > 0) return { colors: [], error: unreadableParts(many.unreadable) };
+  if (many.colors.length > 0) return { colors: many.colors, error: null };
+
+  return { colors: [], error: single.error || unrecognized(input) };
+}
+
+/**
+ * Parse exactly one color.
+ *
+ * @returns {{ color: Object|null, error: string|null }}
+ */
+export function parseSingleColor(text, dictionaryId = DEFAULT_NAME_DICTIONARY) {
+  const input = text.trim();
+
+  const hex = input.match(HEX);
+  if (hex) return ok(parse(`#${hex[1]}`));
+
+  const cmyk = input.match(CMYK);
+  if (cmyk) {
+    const values = [1, 3, 5, 7].map(i => Number(cmyk[i]));
+    // Four numbers with one above 100 is more likely RGBA than CMYK
+    if (values.some(v => v > 100)) {
+      const [r, g, b, alpha] = values;
+      if ([r, g, b].some(v => v > 255)) return fail('RGB values must be between 0 and 255');
+      return ok({ mode: 'rgb', r: r / 255, g: g / 255, b: b / 255, alpha: Math.min(1, alpha) });
+    }
+    const hasPercent = [2, 4, 6, 8].some(i => cmyk[i]);
+    const scale = !hasPercent && values.every(v => v <= 1) ? 1 : 100;
+    if (values.some(v => v < 0)) return fail('CMYK values must be between 0 and 100%');
+    const [c, m, y, k] = values.map(v => v / scale);
+    return ok({ mode: 'rgb', r: (1 - c) * (1 - k), g: (1 - m) * (1 - k), b: (1 - y) * (1 - k) });
+  }
+
+  const triple = input.match(TRIPLE);
+  if (triple) {
+    const values = [1, 3, 5].map(i => Number(triple[i]));
+    const percents = [2, 4, 6].map(i => Boolean(triple[i]));
+    // 0–1 floats ("0.2, 0.5, 1") vs 0–255 bytes vs percentages
+    const unit = values.every(v => v <= 1) && values.some(v => !Number.isInteger(v));
+    const channels = values.map((v, i) => (percents[i] ? v / 100 : unit ? v : v / 255));
+    if (channels.some(v => v < 0 || v > 1)) return fail('RGB values must be between 0 and 255');
+    return ok({ mode: 'rgb', r: channels[0], g: channels[1], b: channels[2] });
+  }
+
+  let parsed = null;
+  try {
+    parsed = parse(input);
+  } catch {
+    parsed = null;
+  }
+  if (parsed) return ok(parsed);
+
+  // Looks like CSS but culori rejected it — say so rather than trying names
+  if (/^[a-z-]+\(.*\)$/i.test(input)) {
+    return fail(`Couldn't read ${input.slice(0, input.indexOf('('))}() — check the values and separators`);
+  }
+
+  const named = findColorByName(input, dictionaryId);
+  if (named) return ok(parse(named.hex));
+
+  return fail(null);
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Multi-color text: CSS tokens first, otherwise one color per line/comma/semicolon.
+// `unreadable` holds the parts of a list that mixes colors with text that
+// isn't one ("#fff, nope") — a typo to report, not something to drop.
+function parseColorList(input, dictionaryId) {
+  const tokens = input.match(COLOR_TOKEN) || [];
+  let colors = tokens.map(t => parseSingleColor(t, dictionaryId).color).filter(Boolean);
+  let unreadable = [];
+
+  if (colors.length < 2) {
+    const parts = input.split(/[\n;,]+/).map(p => p.trim()).filter(Boolean);
+    if (parts.length > 1) {
+      const parsed = parts.map(p => parseSingleColor(p, dictionaryId).color);
+      if (parsed.every(Boolean)) colors = parsed;
+      // Some parts read on their own: it's a list with typos. None: CSS-ish
+      // text, where the tokens found above stand.
+      else if (parsed.some(Boolean)) unreadable = parts.filter((p, i) => !parsed[i]);
+    }
+  }
+
+  return { colors: colors.slice(0, MAX_PASTED_COLORS), unreadable };
+}
+
+function ok(color) {
+  return color ? { color: toOklch(color), error: null } : fail(null);
+}
+
+function fail(error) {
+  return { color: null, error };
+}
+
+function unreadableParts(parts) {
+  const shown = parts.slice(0, 3).map(p => `"${p.length > 16 ? `${p.slice(0, 16)}…` : p}"`).join(', ');
+  const more = parts.length > 3 ? ` and ${parts.length - 3} more` : '';
+  return `Couldn't read ${shown}${more} — fix or remove ${parts.length > 1 ? 'them' : 'it'} to use the list`;
+}
+
+function unrecognized(input) {
+  const shown = input.length > 24 ? `${input.slice(0, 24)}…` : input;
+  return `"${shown}" isn't a color we recognize — try #hex, rgb(), oklch(), a color name or C M Y K %`;
+}
@@ -0,0 +1,155 @@
+// colorModels.js - Channel definitions for the slider sets
+// Each model describes its channels (range and display scale) and how to get
+// between its native values and a culori color. RGB, HSL, HSB and CMYK only
+// cover sRGB, so they read the gamut-mapped color; the Lab-family models can
+// hold any OKLCH value as-is.
+
+import { converter } from 'culori';
+import { mapToGamut } from './gamutMapping';
+
+const toRgb = converter('rgb');
+const toHsl = converter('hsl');
+const toHsv = converter('hsv');
+const toLab = converter('lab');
+const toLch = converter('lch');
+const toOklab = converter('oklab');
+const toOklchRaw = converter('oklch');
+
+/**
+ * Channel fields: `key` is the native channel, `scale` converts native to
+ * displayed units, `min`/`max`/`step` are in displayed units. A `max` of
+ * 'gamut' means "the working gamut's peak chroma".
+ */
+export const COLOR_MODELS = [
+  {
+    id: 'oklch',
+    label: 'OKLCH',
+    channels: [
+      { key: 'l', label: 'Lightness', min: 0, max: 100, step: 0.1, scale: 100 },
+      { key: 'c', label: 'Chroma', min: 0, max: 'gamut', step: 0.1, scale: 100 },
+      { key: 'h', label: 'Hue', min: 0, max: 360, step: 1, scale: 1, hue: true },
+    ],
+    from: color => withDefaults(toOklchRaw(color), ['l', 'c', 'h']),
+    to: v => ({ mode: 'oklch', ...v }),
+  },
+  {
+    id: 'rgb',
+    label: 'RGB',
+    srgbOnly: true,
+    channels: [
+      { key: 'r', label: 'Red', min: 0, max: 255, step: 1, scale: 255 },
+      { key: 'g', label: 'Green', min: 0, max: 255, step: 1, scale: 255 },
+      { key: 'b', label: 'Blue', min: 0, max: 255, step: 1, scale: 255 },
+    ],
+    from: color => withDefaults(toRgb(toSrgb(color)), ['r', 'g', 'b']),
+    to: v => ({ mode: 'rgb', ...v }),
+  },
+  {
+    id: 'hsl',
+    label: 'HSL',
+    srgbOnly: true,
+    channels: [
+      { key: 'h', label: 'Hue', min: 0, max: 360, step: 1, scale: 1, hue: true },
+      { key: 's', label: 'Saturation', min: 0, max: 100, step: 1, scale: 100 },
+      { key: 'l', label: 'Lightness', min: 0, max: 100, step: 1, scale: 100 },
+    ],
+    from: color => withDefaults(toHsl(toSrgb(color)), ['h', 's', 'l']),
+    to: v => ({ mode: 'hsl', ...v }),
+  },
+  {
+    id: 'hsv',
+    label: 'HSB',
+    srgbOnly: true,
+    channels: [
+      { key: 'h', label: 'Hue', min: 0, max: 360, step: 1, scale: 1, hue: true },
+      { key: 's', label: 'Saturation', min: 0, max: 100, step: 1, scale: 100 },
+      { key: 'v', label: 'Brightness', min: 0, max: 100, step: 1, scale: 100 },
+    ],
+    from: color => withDefaults(toHsv(toSrgb(color)), ['h', 's', 'v']),
+    to: v => ({ mode: 'hsv', ...v }),
+  },
+  {
+    id: 'lab',
+    label: 'Lab',
+    channels: [
+      { key: 'l', label: 'Lightness', min: 0, max: 100, step: 0.1, scale: 1 },
+      { key: 'a', label: 'a (green–red)', min: -128, max: 127, step: 0.1, scale: 1 },
+      { key: 'b', label: 'b (blue–yellow)', min: -128, max: 127, step: 0.1, scale: 1 },
+    ],
+    from: color => withDefaults(toLab(color), ['l', 'a', 'b']),
+    to: v => ({ mode: 'lab', ...v }),
+  },
+  {
+    id: 'lch',
+    label: 'LCh',
+    channels: [
+      { key: 'l', label: 'Lightness', min: 0, max: 100, step: 0.1, scale: 1 },
+      { key: 'c', label: 'Chroma', min: 0, max: 150, step: 0.1, scale: 1 },
+      { key: 'h', label: 'Hue', min: 0, max: 360, step: 1, scale: 1, hue: true },
+    ],
+    from: color => withDefaults(toLch(color), ['l', 'c', 'h']),
+    to: v => ({ mode: 'lch', ...v }),
+  },
+  {
+    id: 'oklab',
+    label: 'OKLab',
+    channels: [
+      { key: 'l', label: 'Lightness', min: 0, max: 100, step: 0.1, scale: 100 },
+      { key: 'a', label: 'a (green–red)', min: -40, max: 40, step: 0.1, scale: 100 },
+      { key: 'b', label: 'b (blue–yellow)', min: -40, max: 40, step: 0.1, scale: 100 },
+    ],
+    from: color => withDefaults(toOklab(color), ['l', 'a', 'b']),
+    to: v => ({ mode: 'oklab', ...v }),
+  },
+  {
+    id: 'cmyk',
+    label: 'CMYK',
+    srgbOnly: true,
+    hint: 'Naive device CMYK — no ICC profile, so treat as a starting point for print',
+    channels: [
+      { key: 'c', label: 'Cyan', min: 0, max: 100, step: 1, scale: 100 },
+      { key: 'm', label: 'Magenta', min: 0, max: 100, step: 1, scale: 100 },
+      { key: 'y', label: 'Yellow', min: 0, max: 100, step: 1, scale: 100 },
+      { key: 'k', label: 'Black', min: 0, max: 100, step: 1, scale: 100 },
+    ],
+    from: color => rgbToCmyk(toRgb(toSrgb(color))),
+    to: cmykToRgb,
+  },
+];
+
+export function getColorModel(id) {
+  return COLOR_MODELS.find(m => m.id === id) || COLOR_MODELS[0];
+}
+
+/**
+ * CMYK (0–1) from an sRGB color, with black pulled out first.
+ */
+export function rgbToCmyk({ r = 0, g = 0, b = 0 }) {
+  const k = 1 - Math.max(r, g, b);
+  if (k >= 1) return { c: 0, m: 0, y: 0, k: 1 };
+  return {
+    c: (1 - r - k) / (1 - k),
+    m: (1 - g - k) / (1 - k),
+    y: (1 - b - k) / (1 - k),
+    k,
+  };
+}
+
+export function cmykToRgb({ c, m, y, k }) {
+  return { mode: 'rgb', r: (1 - c) * (1 - k), g: (1 - m) * (1 - k), b: (1 - y) * (1 - k) };
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function toSrgb(color) {
+  return mapToGamut(color, 'css4', 'srgb');
+}
+
+// Achromatic colors come back without a hue; sliders need a number
+function withDefaults(color, keys) {
+  const values = {};
+  keys.forEach(key => { values[key] = Number.isFinite(color?.[key]) ? color[key] : 0; });
+  return values;
+}
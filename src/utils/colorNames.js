@@ -1,9 +1,138 @@
+// colorNames.js - Human-readable names for colors
+// Names come from the selected vocabulary in nameDictionaries.js (hex&hue's
+// descriptive set by default). When no dictionary entry is close enough the
+// name falls back to a description such as "Dusty Deep Teal".
 
-// Simple implementation of color name generation
-// In a real app, this would use a nearest-color lookup library or a large list
+import { converter } from 'culori';
+import { gamutMappedHex } from './gamutMapping';
+import {
+  DEFAULT_NAME_DICTIONARY,
+  getNameDictionary,
+  findNearestInDictionary,
+} from './nameDictionaries';
 
-export const generateColorName = (color) => {
-  // Placeholder - returns the Hex value or a generic name
-  // To implement properly, we'd need a list of named colors
-  return "Custom Color"; 
+const toOklch = converter('oklch');
+
+const nameCache = new Map();
+
+/**
+ * Find the closest named color in a dictionary.
+ *
+ * @param {Object|string} color - Any culori-parsable color (OKLCH objects included)
+ * @param {string} [dictionaryId] - Name dictionary id (see nameDictionaries.js)
+ * @returns {{ name: string, hex: string, source: string, distance: number } | null}
+ */
+export function findNearestColorName(color, dictionaryId = DEFAULT_NAME_DICTIONARY) {
+  return findNearestInDictionary(color, dictionaryId);
+}
+
+/**
+ * Describe a color from its OKLCH coordinates: "[chroma] [lightness] hue".
+ * Used when no dictionary name is close enough to be honest.
+ */
+export function describeColor(color) {
+  const c = toOklch(color);
+  if (!c) return 'Unknown';
+
+  const l = c.l ?? 0;
+  const chroma = c.c ?? 0;
+  const h = ((c.h ?? 0) % 360 + 360) % 360;
+
+  // Neutrals: white / black / tinted greys
+  if (chroma < 0.03) {
+    if (l >= 0.96) return 'White';
+    if (l <= 0.12) return 'Black';
+    const temp = chroma < 0.01 ? '' : h >= 20 && h < 110 ? 'warm' : h >= 180 && h < 300 ? 'cool' : '';
+    return toTitleCase([lightnessWord(l), temp, 'grey']);
+  }
+
+  const chromaWord =
+    chroma < 0.06 ? 'greyish' :
+    chroma < 0.10 ? 'dusty' :
+    chroma > 0.22 ? 'vivid' : '';
+
+  // Dark, moderately saturated oranges and ambers read as brown
+  const isBrown = h >= 35 && h < 95 && l < 0.55 && chroma < 0.14;
+  const hue = isBrown ? 'brown' : hueFamily(h);
+
+  return toTitleCase([chromaWord, lightnessWord(l), hue]);
+}
+
+/**
+ * Best human-readable name for a color in the chosen vocabulary — the nearest
+ * dictionary name when it is within the dictionary's maxDistance (ΔE2000),
+ * a computed notation for systems like NCS, otherwise a descriptive fallback.
+ */
+export const generateColorName = (color, dictionaryId = DEFAULT_NAME_DICTIONARY) => {
+  if (!color) return 'Unknown';
+
+  let hex;
+  try {
+    hex = gamutMappedHex(color);
+  } catch {
+    return 'Unknown';
+  }
+  if (!hex) return 'Unknown';
+
+  const dictionary = getNameDictionary(dictionaryId);
+  const cacheKey = `${dictionary.id}:${dictionary.revision}:${hex}`;
+  const cached = nameCache.get(cacheKey);
+  if (cached) return cached;
+
+  let name;
+  if (dictionary.notation) {
+    name = dictionary.notation(hex);
+  } else {
+    const nearest = findNearestInDictionary(hex, dictionary.id);
+    name = nearest && nearest.distance <= dictionary.maxDistance
+      ? capitalize(nearest.name)
+      : describeColor(hex);
+  }
+
+  nameCache.set(cacheKey, name);
+  return name;
 };
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const HUE_FAMILIES = [
+  [15, 'rose'],
+  [35, 'red'],
+  [75, 'orange'],
+  [95, 'amber'],
+  [115, 'yellow'],
+  [135, 'chartreuse'],
+  [160, 'green'],
+  [180, 'jade'],
+  [210, 'teal'],
+  [240, 'azure'],
+  [275, 'blue'],
+  [305, 'violet'],
+  [340, 'purple'],
+  [360, 'rose'],
+];
+
+function hueFamily(h) {
+  return HUE_FAMILIES.find(([max]) => h < max)?.[1] ?? 'rose';
+}
+
+function lightnessWord(l) {
+  if (l < 0.30) return 'dark';
+  if (l < 0.45) return 'deep';
+  if (l > 0.88) return 'pale';
+  if (l > 0.75) return 'light';
+  return '';
+}
+
+function capitalize(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function toTitleCase(words) {
+  return words
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\b([a-z])/g, (m) => m.toUpperCase());
+}
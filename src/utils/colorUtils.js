@@ -1,11 +1,13 @@
 import { 
   converter, 
-  formatHex, 
-  wcagContrast, 
+  wcagContrast as culoriContrast, 
   differenceEuclidean, 
   random, 
-  displayable 
+  displayable
 } from 'culori';
+import { gamutMappedHex, mapToGamut, fitToWorkingGamut } from './gamutMapping';
+import { rotateInModel } from './wheelModels';
+import { makeCvdSafe } from './cvdSafe';
 
 const oklch = converter('oklch');
 
@@ -21,15 +23,19 @@ export const toOklch = (color) => {
   };
 };
 
-export const oklchToHex = (color) => {
+// Out-of-gamut colors are gamut-mapped (see gamutMapping.js), not clipped.
+// `method` overrides the session default — pass it where the result is
+// memoized or drawn in an effect, so the method is a tracked dependency.
+export const oklchToHex = (color, method) => {
   try {
-    return formatHex(color);
+    return gamutMappedHex(color, method) || '#000000';
   } catch (e) {
     return '#000000';
   }
 };
 
-export const generateMoodPalette = (mood, baseColor) => {
+// options.cvdSafe ({ minDeltaE }) nudges the result until it is CVD-safe
+export const generateMoodPalette = (mood, baseColor, options = {}) => {
   const base = toOklch(baseColor);
 
   // Each mood defines: [{ hueOffset, lightnessAdjust, chromaMultiplier }, ...]
@@ -95,12 +101,14 @@ export const generateMoodPalette = (mood, baseColor) => {
 
   const config = moodConfigs[mood] || moodConfigs.happy;
 
-  return config.map(({ h, l, c }) => ({
+  // Boosted chroma is clamped to the working gamut, not left to display mapping
+  const palette = config.map(({ h, l, c }) => fitToWorkingGamut({
     mode: 'oklch',
     l: Math.max(0.15, Math.min(0.95, base.l + l)),
     c: Math.max(0.02, Math.min(0.35, base.c * c)),
     h: ((base.h + h) % 360 + 360) % 360
   }));
+  return options.cvdSafe ? makeCvdSafe(palette, options.cvdSafe) : palette;
 };
 
 export const generateRandomHarmony = ({ count = 5 }) => {
@@ -108,14 +116,66 @@ export const generateRandomHarmony = ({ count = 5 }) => {
   return getAnalogous(base, count, 30);
 };
 
+// ============================================================================
+// HARMONY GEOMETRY
+// ============================================================================
+
+/**
+ * Hue layout of each geometric harmony. Every color sits at
+ * `fixed + factor * spread` degrees from the base hue, so a scheme can be
+ * rotated (move the base) or opened up (change the spread) — the wheel's
+ * drag handles use this. Offsets are in the wheel model the harmony is
+ * computed in (see wheelModels.js). Color order matches the functions below.
+ */
+export const HARMONY_GEOMETRY = {
+  complementary: { offsets: [[0, 0], [180, 0]] },
+  'split-complementary': { offsets: [[0, 0], [180, -1], [180, 1]], spread: 30, min: 5, max: 85 },
+  triadic: { offsets: [[0, 0], [0, 1], [0, -1]], spread: 120, min: 30, max: 170 },
+  tetradic: { offsets: [[0, 0], [0, 1], [180, 0], [180, 1]], spread: 90, min: 20, max: 160 },
+  analogous: { spread: 25, min: 10, max: 150 },
+  monochromatic: { offsets: [[0, 0]] },
+};
+
+/**
+ * Hue offsets (degrees from the base) for a harmony.
+ *
+ * @param {string} type - HARMONY_GEOMETRY key
+ * @param {number} [spread] - Angular spread; defaults to the harmony's own
+ * @param {number} [count=5] - Color count, for analogous schemes
+ * @returns {Array<{ offset: number, fixed: number, factor: number }>} or an
+ *   empty array for harmonies without a fixed geometry (e.g. smart)
+ */
+export const getHarmonyOffsets = (type, spread, count = 5) => {
+  const geometry = HARMONY_GEOMETRY[type];
+  if (!geometry) return [];
+
+  const s = clampHarmonySpread(type, spread);
+  // Analogous colors spread evenly across the slice, base in the middle
+  const offsets = geometry.offsets ||
+    Array.from({ length: count }, (_, i) => [0, count === 1 ? 0 : i / (count - 1) - 0.5]);
+
+  return offsets.map(([fixed, factor]) => ({ offset: fixed + factor * s, fixed, factor }));
+};
+
+/**
+ * Keep a spread within the harmony's range (0 for harmonies without one).
+ * A missing spread gives the harmony's default.
+ */
+export const clampHarmonySpread = (type, spread) => {
+  const geometry = HARMONY_GEOMETRY[type];
+  if (!geometry?.spread) return 0;
+  if (!Number.isFinite(spread)) return geometry.spread;
+  return Math.max(geometry.min, Math.min(geometry.max, spread));
+};
+
 export const getComplementary = (color, options = {}) => {
-  const { withLightnessSpread = false } = options;
+  const { withLightnessSpread = false, model } = options;
   const c = toOklch(color);
 
   if (!withLightnessSpread) {
     return [
       c,
-      { ...c, h: (c.h + 180) % 360 }
+      rotateInModel(c, 180, model)
     ];
   }
 
@@ -131,19 +191,20 @@ export const getComplementary = (color, options = {}) => {
 
   return [
     c,
-    { ...c, h: (c.h + 180) % 360, l: companionL, c: companionC }
+    { ...rotateInModel(c, 180, model), l: companionL, c: companionC }
   ];
 };
 
 export const getSplitComplementary = (color, options = {}) => {
-  const { withLightnessSpread = false } = options;
+  const { withLightnessSpread = false, spread, model } = options;
   const c = toOklch(color);
+  const [, left, right] = getHarmonyOffsets('split-complementary', spread);
 
   if (!withLightnessSpread) {
     return [
       c,
-      { ...c, h: (c.h + 150) % 360 },
-      { ...c, h: (c.h + 210) % 360 }
+      rotateInModel(c, left.offset, model),
+      rotateInModel(c, right.offset, model)
     ];
   }
 
@@ -154,20 +215,21 @@ export const getSplitComplementary = (color, options = {}) => {
 
   return [
     c,
-    { ...c, h: (c.h + 150) % 360, l: l0, c: adjC(l0) },
-    { ...c, h: (c.h + 210) % 360, l: l1, c: adjC(l1) }
+    { ...rotateInModel(c, left.offset, model), l: l0, c: adjC(l0) },
+    { ...rotateInModel(c, right.offset, model), l: l1, c: adjC(l1) }
   ];
 };
 
 export const getTriadic = (color, options = {}) => {
-  const { withLightnessSpread = false } = options;
+  const { withLightnessSpread = false, spread, model } = options;
   const c = toOklch(color);
+  const [, first, second] = getHarmonyOffsets('triadic', spread);
 
   if (!withLightnessSpread) {
     return [
       c,
-      { ...c, h: (c.h + 120) % 360 },
-      { ...c, h: (c.h + 240) % 360 }
+      rotateInModel(c, first.offset, model),
+      rotateInModel(c, second.offset, model)
     ];
   }
 
@@ -178,21 +240,22 @@ export const getTriadic = (color, options = {}) => {
 
   return [
     c,
-    { ...c, h: (c.h + 120) % 360, l: l0, c: adjC(l0) },
-    { ...c, h: (c.h + 240) % 360, l: l1, c: adjC(l1) }
+    { ...rotateInModel(c, first.offset, model), l: l0, c: adjC(l0) },
+    { ...rotateInModel(c, second.offset, model), l: l1, c: adjC(l1) }
   ];
 };
 
 export const getTetradic = (color, options = {}) => {
-  const { withLightnessSpread = false } = options;
+  const { withLightnessSpread = false, spread, model } = options;
   const c = toOklch(color);
+  const [, first, opposite, second] = getHarmonyOffsets('tetradic', spread);
 
   if (!withLightnessSpread) {
     return [
       c,
-      { ...c, h: (c.h + 90) % 360 },
-      { ...c, h: (c.h + 180) % 360 },
-      { ...c, h: (c.h + 270) % 360 }
+      rotateInModel(c, first.offset, model),
+      rotateInModel(c, opposite.offset, model),
+      rotateInModel(c, second.offset, model)
     ];
   }
 
@@ -204,14 +267,14 @@ export const getTetradic = (color, options = {}) => {
 
   return [
     c,
-    { ...c, h: (c.h + 90) % 360, l: l0, c: adjC(l0) },
-    { ...c, h: (c.h + 180) % 360, l: l1, c: adjC(l1) },
-    { ...c, h: (c.h + 270) % 360, l: l2, c: adjC(l2) }
+    { ...rotateInModel(c, first.offset, model), l: l0, c: adjC(l0) },
+    { ...rotateInModel(c, opposite.offset, model), l: l1, c: adjC(l1) },
+    { ...rotateInModel(c, second.offset, model), l: l2, c: adjC(l2) }
   ];
 };
 
 export const getAnalogous = (color, count = 5, slice = 30, options = {}) => {
-  const { withLightnessSpread = false } = options;
+  const { withLightnessSpread = false, model } = options;
   const c = toOklch(color);
 
   // Generate base colors with hue offsets (same as before)
@@ -219,10 +282,7 @@ export const getAnalogous = (color, count = 5, slice = 30, options = {}) => {
     // Distribute colors evenly across the full slice range
     // For count=5, slice=30: positions are -15, -7.5, 0, 7.5, 15
     const offset = count === 1 ? 0 : (i / (count - 1) - 0.5) * slice;
-    return {
-      ...c,
-      h: ((c.h + offset) % 360 + 360) % 360
-    };
+    return rotateInModel(c, offset, model);
   });
 
   if (!withLightnessSpread) return base;
@@ -276,4 +336,48 @@ export const getMonochromatic = (color, count = 5, options = {}) => {
   return colors;
 };
 
-export { wcagContrast };
+// Design-system scale steps (Tailwind naming)
+export const TONAL_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+// OKLCH lightness at the light (50) and dark (950) ends of a ramp
+const RAMP_LIGHTEST = 0.97;
+const RAMP_DARKEST = 0.25;
+
+/**
+ * Build an 11-step tonal ramp (50–950) for one hue.
+ * Lightness falls in even OKLCH steps, chroma tapers toward both ends (very
+ * light and very dark colors can't hold much chroma), and every step is
+ * clamped into the working gamut by reducing chroma, so hue and lightness
+ * stay put.
+ *
+ * @param {Object} color - Base color (any culori color)
+ * @param {Object} [options]
+ * @param {boolean} [options.anchor=true] - Put the exact base color on the
+ *   step whose lightness is closest to it
+ * @returns {Array<{ step: number, color: Object }>}
+ */
+export const generateTonalRamp = (color, options = {}) => {
+  const { anchor = true } = options;
+  const base = toOklch(color);
+
+  const ramp = TONAL_STEPS.map((step) => {
+    const t = (step - 50) / 900;
+    const l = RAMP_LIGHTEST - (RAMP_LIGHTEST - RAMP_DARKEST) * t;
+    // Full chroma mid-ramp, ~30% at the ends
+    const taper = 1 - 0.7 * Math.pow(Math.abs(t - 0.5) * 2, 2);
+    return { step, color: fitToWorkingGamut({ mode: 'oklch', l, c: base.c * taper, h: base.h }) };
+  });
+
+  if (anchor) {
+    const nearest = ramp.reduce((best, entry) =>
+      Math.abs(entry.color.l - base.l) < Math.abs(best.color.l - base.l) ? entry : best
+    );
+    nearest.color = fitToWorkingGamut(base);
+  }
+
+  // Fully desaturated steps keep the family's hue
+  return ramp.map(({ step, color: c }) => ({ step, color: { ...c, h: base.h } }));
+};
+
+// Contrast of the colors as displayed, i.e. after gamut mapping
+export const wcagContrast = (a, b) => culoriContrast(mapToGamut(a), mapToGamut(b));
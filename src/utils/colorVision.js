@@ -0,0 +1,175 @@
+// colorVision.js - Color-vision-deficiency simulation
+// Anomalous trichromacy (a shifted L, M or S cone) is far more common than
+// full dichromacy, so protan/deutan/tritan types take a 0–1 severity:
+// Machado, Oliveira & Fernandes (2009) precompute linear-RGB matrices at
+// 0.1 steps, from a mild anomaly up to the dichromat at 1.0, and we
+// interpolate between them.
+//
+// Achromatopsia (rod monochromacy) keeps only luminance. Blue-cone
+// monochromacy keeps only the S-cone (plus rod) response, so blues stay
+// light and reds go dark; both are monochrome, and severity blends them
+// with normal vision.
+//
+// Every simulation is a 3×3 matrix on linear RGB, so the same matrix drives
+// per-color simulation and the SVG feColorMatrix filter that shows the whole
+// app "as" a given viewer.
+
+import { converter, formatHex } from 'culori';
+import { mapToGamut } from './gamutMapping';
+
+const toLrgb = converter('lrgb');
+
+export const CVD_TYPES = [
+  { id: 'normal', label: 'Normal', description: 'Trichromatic vision', severity: false },
+  { id: 'protan', label: 'Protan', description: 'Red-weak (protanomaly ~1% men) to red-blind', severity: true },
+  { id: 'deutan', label: 'Deutan', description: 'Green-weak (deuteranomaly ~5% men) to green-blind', severity: true },
+  { id: 'tritan', label: 'Tritan', description: 'Blue-weak to blue-blind (~0.01%)', severity: true },
+  { id: 'achromatopsia', label: 'Achromatopsia', description: 'No cone vision (~0.003%)', severity: true },
+  { id: 'bluecone', label: 'Blue-cone monochromacy', description: 'S cones only (~0.001%)', severity: true },
+];
+
+export const DEFAULT_VISION = { type: 'normal', severity: 1 };
+
+/**
+ * Name for a type at a severity, e.g. "Deuteranomaly (60%)" or "Protanopia".
+ */
+export function describeVision({ type, severity = 1 }) {
+  const names = {
+    protan: ['Protanomaly', 'Protanopia'],
+    deutan: ['Deuteranomaly', 'Deuteranopia'],
+    tritan: ['Tritanomaly', 'Tritanopia'],
+  };
+  if (names[type]) {
+    return severity >= 1 ? names[type][1] : `${names[type][0]} (${Math.round(severity * 100)}%)`;
+  }
+  const info = CVD_TYPES.find(t => t.id === type) || CVD_TYPES[0];
+  return severity >= 1 || type === 'normal' ? info.label : `${info.label} (${Math.round(severity * 100)}%)`;
+}
+
+// ============================================================================
+// MATRICES
+// ============================================================================
+
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+// Machado et al. 2009, severities 0.1 … 1.0 (row-major 3×3, linear RGB)
+const MACHADO = {
+  protan: [
+    [0.856167, 0.182038, -0.038205, 0.029342, 0.955115, 0.015544, -0.00288, -0.001563, 1.004443],
+    [0.734766, 0.334872, -0.069637, 0.05184, 0.919198, 0.028963, -0.004928, -0.004209, 1.009137],
+    [0.630323, 0.465641, -0.095964, 0.069181, 0.890046, 0.040773, -0.006308, -0.007724, 1.014032],
+    [0.539009, 0.579343, -0.118352, 0.082546, 0.866121, 0.051332, -0.007136, -0.011959, 1.019095],
+    [0.458064, 0.679578, -0.137642, 0.092785, 0.846313, 0.060902, -0.007494, -0.016807, 1.024301],
+    [0.38545, 0.769005, -0.154455, 0.100526, 0.829802, 0.069673, -0.007442, -0.02219, 1.029632],
+    [0.319627, 0.849633, -0.169261, 0.106241, 0.815969, 0.07779, -0.007025, -0.028051, 1.035076],
+    [0.259411, 0.923008, -0.18242, 0.110296, 0.80434, 0.085364, -0.006276, -0.034346, 1.040622],
+    [0.203876, 0.990338, -0.194214, 0.112975, 0.794542, 0.092483, -0.005222, -0.041043, 1.046265],
+    [0.152286, 1.052583, -0.204868, 0.114503, 0.786281, 0.099216, -0.003882, -0.048116, 1.051998],
+  ],
+  deutan: [
+    [0.866435, 0.177704, -0.044139, 0.049567, 0.939063, 0.01137, -0.003453, 0.007233, 0.99622],
+    [0.760729, 0.319078, -0.079807, 0.090568, 0.889315, 0.020117, -0.006027, 0.013325, 0.992702],
+    [0.675425, 0.43385, -0.109275, 0.125303, 0.847755, 0.026942, -0.00795, 0.018572, 0.989378],
+    [0.605511, 0.52856, -0.134071, 0.155318, 0.812366, 0.032316, -0.009376, 0.023176, 0.9862],
+    [0.547494, 0.607765, -0.155259, 0.181692, 0.781742, 0.036566, -0.01041, 0.027275, 0.983136],
+    [0.498864, 0.674741, -0.173604, 0.205199, 0.754872, 0.039929, -0.011131, 0.030969, 0.980162],
+    [0.457771, 0.731899, -0.18967, 0.226409, 0.731012, 0.042579, -0.011595, 0.034333, 0.977261],
+    [0.422823, 0.781057, -0.203881, 0.245752, 0.709602, 0.044646, -0.011843, 0.037423, 0.974421],
+    [0.392952, 0.82361, -0.216562, 0.263559, 0.69021, 0.046232, -0.01191, 0.040281, 0.97163],
+    [0.367322, 0.860646, -0.227968, 0.280085, 0.672501, 0.047413, -0.01182, 0.04294, 0.968881],
+  ],
+  tritan: [
+    [0.92667, 0.092514, -0.019184, 0.021191, 0.964503, 0.014306, 0.008437, 0.054813, 0.93675],
+    [0.89572, 0.13333, -0.02905, 0.029997, 0.9454, 0.024603, 0.013027, 0.104707, 0.882266],
+    [0.905871, 0.127791, -0.033662, 0.026856, 0.941251, 0.031893, 0.01341, 0.148296, 0.838294],
+    [0.948035, 0.08949, -0.037526, 0.014364, 0.946792, 0.038844, 0.010853, 0.193991, 0.795156],
+    [1.017277, 0.027029, -0.044306, -0.006113, 0.958479, 0.047634, 0.006379, 0.248708, 0.744913],
+    [1.104996, -0.046633, -0.058363, -0.032137, 0.971635, 0.060503, 0.001336, 0.317922, 0.680742],
+    [1.193214, -0.109812, -0.083402, -0.058496, 0.97941, 0.079086, -0.002346, 0.403492, 0.598854],
+    [1.257728, -0.139648, -0.118081, -0.078003, 0.975409, 0.102594, -0.003316, 0.501214, 0.502102],
+    [1.278864, -0.125333, -0.153531, -0.084748, 0.957674, 0.127074, -0.000989, 0.601151, 0.399838],
+    [1.255528, -0.076749, -0.178779, -0.078411, 0.930809, 0.147602, 0.004733, 0.691367, 0.3039],
+  ],
+};
+
+// Monochromats: every output channel is the same weighted sum
+const MONOCHROME_WEIGHTS = {
+  // Relative luminance (Rec. 709 / sRGB)
+  achromatopsia: [0.2126, 0.7152, 0.0722],
+  // S-cone fundamental in linear sRGB, normalized to white = 1
+  bluecone: [0.01775, 0.10945, 0.87262],
+};
+
+/**
+ * Linear-RGB matrix (row-major, 9 numbers) for a vision type and severity.
+ *
+ * @param {string} type - CVD_TYPES id
+ * @param {number} [severity=1] - 0 (normal) … 1 (full deficiency)
+ * @returns {number[]}
+ */
+export function getCvdMatrix(type, severity = 1) {
+  const s = Math.min(1, Math.max(0, severity));
+  if (s === 0) return IDENTITY;
+
+  if (MACHADO[type]) {
+    // Steps are 0.1 apart; step -1 is the identity (severity 0)
+    const table = MACHADO[type];
+    const pos = s * 10 - 1;
+    const lo = Math.floor(pos);
+    const t = pos - lo;
+    const from = lo < 0 ? IDENTITY : table[lo];
+    const to = table[Math.min(table.length - 1, lo + 1)];
+    return from.map((v, i) => v + (to[i] - v) * t);
+  }
+
+  const weights = MONOCHROME_WEIGHTS[type];
+  if (weights) {
+    const full = [...weights, ...weights, ...weights];
+    return IDENTITY.map((v, i) => v + (full[i] - v) * s);
+  }
+  return IDENTITY;
+}
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+/**
+ * How a color looks to someone with a given vision type.
+ *
+ * @param {Object|string} color - Any culori color or CSS string
+ * @param {string} type - CVD_TYPES id
+ * @param {number} [severity=1]
+ * @returns {string} hex
+ */
+export function simulateCvd(color, type, severity = 1) {
+  const rgb = toLrgb(mapToGamut(color, undefined, 'srgb'));
+  if (!rgb) return '#000000';
+  if (type === 'normal') return formatHex({ ...rgb, mode: 'lrgb' });
+
+  const m = getCvdMatrix(type, severity);
+  const { r = 0, g = 0, b = 0 } = rgb;
+  return formatHex({
+    mode: 'lrgb',
+    r: clamp(m[0] * r + m[1] * g + m[2] * b),
+    g: clamp(m[3] * r + m[4] * g + m[5] * b),
+    b: clamp(m[6] * r + m[7] * g + m[8] * b),
+  });
+}
+
+/**
+ * `values` for an SVG <feColorMatrix type="matrix"> (4×5, linear RGB).
+ */
+export function cvdFilterValues(type, severity = 1) {
+  const m = getCvdMatrix(type, severity);
+  const row = i => `${m[i].toFixed(6)} ${m[i + 1].toFixed(6)} ${m[i + 2].toFixed(6)} 0 0`;
+  return `${row(0)} ${row(3)} ${row(6)} 0 0 0 1 0`;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function clamp(v) {
+  return Math.min(1, Math.max(0, v));
+}
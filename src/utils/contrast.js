@@ -0,0 +1,181 @@
+// contrast.js - Text contrast under WCAG 2.x and APCA
+// WCAG 2.x scores a pair by the ratio of relative luminances: symmetric,
+// 1–21:1. It is known to overrate dark pairs (white on mid-orange "fails",
+// light grey on black "passes").
+//
+// APCA (the Accessible Perceptual Contrast Algorithm, candidate for WCAG 3)
+// reports lightness contrast Lc, roughly -108…106. The sign is the polarity:
+// positive for dark text on a light background, negative for light text on
+// dark — so which color is the text matters. Whether a pair is readable then
+// depends on font size and weight, per the APCA lookup table below.
+
+import { converter } from 'culori';
+import { wcagContrast } from './colorUtils';
+import { mapToGamut } from './gamutMapping';
+
+const toRgb = converter('rgb');
+
+// ============================================================================
+// STANDARDS
+// ============================================================================
+
+/**
+ * `thresholds` are the AA / AA-large / AAA equivalents on each standard's
+ * own scale (ratio for WCAG 2, |Lc| for APCA: 60 for body text, 45 for
+ * large text and headlines, 75 for fluent reading).
+ */
+export const CONTRAST_STANDARDS = [
+  { id: 'wcag2', label: 'WCAG 2', unit: ':1', thresholds: { AA: 4.5, AALarge: 3, AAA: 7 } },
+  { id: 'apca', label: 'APCA', unit: 'Lc', thresholds: { AA: 60, AALarge: 45, AAA: 75 } },
+];
+
+export const DEFAULT_CONTRAST_STANDARD = 'wcag2';
+
+export function getContrastStandard(id) {
+  return CONTRAST_STANDARDS.find(s => s.id === id) || CONTRAST_STANDARDS[0];
+}
+
+/**
+ * Contrast of two palette colors when either may be the text: the WCAG 2
+ * ratio, or for APCA the |Lc| of the better polarity.
+ *
+ * @returns {number}
+ */
+export function pairContrast(a, b, standard = DEFAULT_CONTRAST_STANDARD) {
+  if (standard === 'apca') {
+    return Math.max(Math.abs(apcaContrast(a, b)), Math.abs(apcaContrast(b, a)));
+  }
+  return wcagContrast(a, b);
+}
+
+/**
+ * Contrast value formatted for its standard ("4.52:1", "Lc 67").
+ */
+export function formatContrast(value, standard = DEFAULT_CONTRAST_STANDARD) {
+  return standard === 'apca' ? `Lc ${Math.round(value)}` : `${value.toFixed(2)}:1`;
+}
+
+// ============================================================================
+// APCA
+// ============================================================================
+
+// APCA 0.0.98G-4g constants
+const APCA = {
+  mainTRC: 2.4,
+  coefficients: [0.2126729, 0.7151522, 0.072175],
+  normBG: 0.56,
+  normTXT: 0.57,
+  revTXT: 0.62,
+  revBG: 0.65,
+  blkThrs: 0.022,
+  blkClmp: 1.414,
+  scale: 1.14,
+  loOffset: 0.027,
+  loClip: 0.1,
+  deltaYmin: 0.0005,
+};
+
+/**
+ * APCA lightness contrast of text on a background.
+ *
+ * @param {Object|string} text - Any culori color or CSS string
+ * @param {Object|string} background
+ * @returns {number} Lc — positive for dark-on-light, negative for light-on-dark
+ */
+export function apcaContrast(text, background) {
+  const txtY = apcaLuminance(text);
+  const bgY = apcaLuminance(background);
+  if (Math.abs(bgY - txtY) < APCA.deltaYmin) return 0;
+
+  let sapc;
+  if (bgY > txtY) {
+    sapc = (bgY ** APCA.normBG - txtY ** APCA.normTXT) * APCA.scale;
+    return sapc < APCA.loClip ? 0 : (sapc - APCA.loOffset) * 100;
+  }
+  sapc = (bgY ** APCA.revBG - txtY ** APCA.revTXT) * APCA.scale;
+  return sapc > -APCA.loClip ? 0 : (sapc + APCA.loOffset) * 100;
+}
+
+/**
+ * Plain-language reading of an Lc value (either polarity).
+ */
+export function apcaLevel(lc) {
+  const abs = Math.abs(lc);
+  return APCA_LEVELS.find(level => abs >= level.min);
+}
+
+export const APCA_LEVELS = [
+  { min: 90, label: 'Preferred body text', color: '#4ade80' },
+  { min: 75, label: 'Body text', color: '#4ade80' },
+  { min: 60, label: 'Content text', color: '#86efac' },
+  { min: 45, label: 'Headlines & large text', color: '#fbbf24' },
+  { min: 30, label: 'Spot text & non-text', color: '#fb923c' },
+  { min: 15, label: 'Non-text only', color: '#f87171' },
+  { min: 0, label: 'Invisible', color: '#f87171' },
+];
+
+export const APCA_FONT_WEIGHTS = [100, 200, 300, 400, 500, 600, 700, 800, 900];
+
+// Minimum font size (px) per weight 100…900 at each Lc step, from the APCA
+// font lookup table (apca-w3 0.1.9). NON_TEXT: spot elements only, no text.
+const NON_TEXT = -1;
+const APCA_FONT_LOOKUP = [
+  [15, [NON_TEXT, NON_TEXT, NON_TEXT, NON_TEXT, NON_TEXT, NON_TEXT, NON_TEXT, NON_TEXT, NON_TEXT]],
+  [20, [NON_TEXT, NON_TEXT, NON_TEXT, NON_TEXT, NON_TEXT, NON_TEXT, NON_TEXT, NON_TEXT, NON_TEXT]],
+  [25, [NON_TEXT, NON_TEXT, NON_TEXT, 120, 120, 108, 96, 96, 96]],
+  [30, [NON_TEXT, NON_TEXT, 120, 108, 108, 96, 72, 72, 72]],
+  [35, [NON_TEXT, 120, 108, 96, 72, 60, 48, 48, 48]],
+  [40, [120, 108, 96, 60, 48, 42, 32, 32, 32]],
+  [45, [108, 96, 72, 42, 32, 28, 24, 24, 24]],
+  [50, [96, 72, 60, 32, 28, 24, 21, 21, 21]],
+  [55, [80, 60, 48, 28, 24, 21, 18, 18, 18]],
+  [60, [72, 48, 42, 24, 21, 18, 16, 16, 18]],
+  [65, [68, 46, 32, 21.75, 19, 17, 15, 16, 18]],
+  [70, [64, 44, 28, 19.5, 18, 16, 14.5, 16, 18]],
+  [75, [60, 42, 24, 18, 16, 15, 14, 16, 18]],
+  [80, [56, 38.25, 23, 17.25, 15.81, 14.81, 14, 16, 18]],
+  [85, [52, 34.5, 22, 16.5, 15.625, 14.625, 14, 16, 18]],
+  [90, [48, 32, 21, 16, 15.5, 14.5, 14, 16, 18]],
+  [95, [45, 28, 19.5, 15.5, 15, 14, 13.5, 16, 18]],
+  [100, [42, 26.5, 18.5, 15, 14.5, 13.5, 13, 16, 18]],
+  [105, [39, 25, 18, 14, 14, 13, 12, 16, 18]],
+];
+
+/**
+ * Which text an Lc value supports: the smallest font size per weight.
+ *
+ * @returns {{ weight: number, minSize: number|null, nonText: boolean }[]}
+ *   minSize is null when the weight can't be used for text at this contrast
+ */
+export function apcaFontSizes(lc) {
+  const abs = Math.abs(lc);
+  let row = null;
+  for (const [min, sizes] of APCA_FONT_LOOKUP) {
+    if (abs >= min) row = sizes;
+  }
+  return APCA_FONT_WEIGHTS.map((weight, i) => {
+    const size = row ? row[i] : null;
+    return {
+      weight,
+      minSize: size > 0 ? size : null,
+      nonText: size === NON_TEXT,
+    };
+  });
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// APCA's screen luminance: a plain 2.4 power curve (not the piecewise sRGB
+// transfer), with a soft clamp that lifts near-black
+function apcaLuminance(color) {
+  const rgb = toRgb(mapToGamut(color, undefined, 'srgb')) || { r: 0, g: 0, b: 0 };
+  const [kr, kg, kb] = APCA.coefficients;
+  const y = kr * channel(rgb.r) + kg * channel(rgb.g) + kb * channel(rgb.b);
+  return y > APCA.blkThrs ? y : y + (APCA.blkThrs - y) ** APCA.blkClmp;
+}
+
+function channel(v) {
+  return Math.min(1, Math.max(0, v || 0)) ** APCA.mainTRC;
+}
@@ -0,0 +1,158 @@
+// contrastFix.js - Nearest accessible replacement for a failing pair
+// Given text and background colors that miss a contrast target, search OKLCH
+// at the hue of the side being replaced for replacements that reach it:
+//   nearest    — the smallest ΔE2000 change, trading chroma for lightness
+//   lighten    — lightness only, upwards
+//   darken     — lightness only, downwards
+//   desaturate — most of the chroma removed, then the smallest lightness move
+// Contrast rises monotonically as lightness moves away from the background,
+// so each direction is a binary search for the first lightness that passes.
+
+import { wcagContrast, oklchToHex } from './colorUtils';
+import { apcaContrast } from './contrast';
+import { deltaE } from './colorDifference';
+import { fitToSrgb } from './gamutMapping';
+
+/**
+ * Targets per standard: WCAG 2 ratios and APCA |Lc| equivalents.
+ */
+export const CONTRAST_TARGETS = {
+  wcag2: {
+    AA: { normal: 4.5, large: 3 },
+    AAA: { normal: 7, large: 4.5 },
+  },
+  apca: {
+    AA: { normal: 60, large: 45 },
+    AAA: { normal: 75, large: 60 },
+  },
+};
+
+// Chroma kept by the nearest-color search, from untouched to grey
+const CHROMA_STEPS = [1, 0.85, 0.7, 0.55, 0.4, 0.25, 0.1, 0];
+const DESATURATED = 0.3;
+const SEARCH_STEPS = 18;
+
+/**
+ * @param {string} [standard='wcag2']
+ * @param {'AA'|'AAA'} [level='AA']
+ * @param {'normal'|'large'} [size='normal']
+ * @returns {number}
+ */
+export function getContrastTarget(standard = 'wcag2', level = 'AA', size = 'normal') {
+  const table = CONTRAST_TARGETS[standard] || CONTRAST_TARGETS.wcag2;
+  return (table[level] || table.AA)[size] ?? table.AA.normal;
+}
+
+/**
+ * Replacement suggestions for one color of a text/background pair.
+ *
+ * @param {Object|string} color - Color to replace (any culori color)
+ * @param {Object|string} other - The other side of the pair; stays as is
+ * @param {Object} [options]
+ * @param {'text'|'background'} [options.replace='text'] - Which side `color`
+ *   is; matters for APCA, which is polarity-sensitive
+ * @param {'AA'|'AAA'} [options.level='AA']
+ * @param {'normal'|'large'} [options.size='normal']
+ * @param {'wcag2'|'apca'} [options.standard='wcag2']
+ * @returns {{ target: number, contrast: number, passes: boolean,
+ *   suggestions: { id: string, ids: string[], label: string, color: Object,
+ *   hex: string, contrast: number, deltaE: number }[] }}
+ *   suggestions are ordered nearest first; variants that can't reach the
+ *   target are left out, and a variant that lands on an earlier suggestion's
+ *   color is merged into it (`ids` lists every variant it stands for)
+ */
+export function suggestContrastFixes(color, other, options = {}) {
+  const { level = 'AA', size = 'normal', standard = 'wcag2', replace = 'text' } = options;
+  const target = getContrastTarget(standard, level, size);
+  // Measured on the hex the palette will show, so rounding can't drop a
+  // suggestion back under the target
+  const measure = candidate => (replace === 'background'
+    ? measureContrast(other, oklchToHex(candidate), standard)
+    : measureContrast(oklchToHex(candidate), other, standard));
+  const original = fitToSrgb(color);
+  const contrast = measure(original);
+
+  const variants = [
+    { id: 'lighten', label: 'Lighten', color: searchLightness(original, 1, target, measure) },
+    { id: 'darken', label: 'Darken', color: searchLightness(original, -1, target, measure) },
+    {
+      id: 'desaturate',
+      label: 'Desaturate',
+      color: nearestOf(original, [1, -1].map(dir =>
+        searchLightness({ ...original, c: original.c * DESATURATED }, dir, target, measure)
+      )),
+    },
+  ];
+
+  const candidates = [];
+  CHROMA_STEPS.forEach(keep => {
+    [1, -1].forEach(dir => {
+      candidates.push(searchLightness({ ...original, c: original.c * keep }, dir, target, measure));
+    });
+  });
+  const nearest = { id: 'nearest', label: 'Nearest', color: nearestOf(original, candidates) };
+
+  // Variants that land on the same color share one entry, labelled with
+  // every direction it satisfies ("Nearest · darken"), so none silently drops
+  const suggestions = [];
+  [nearest, ...variants].filter(s => s.color).forEach(s => {
+    const hex = oklchToHex(s.color);
+    const same = suggestions.find(existing => existing.hex === hex);
+    if (same) {
+      same.ids.push(s.id);
+      same.label = `${same.label} · ${s.label.toLowerCase()}`;
+      return;
+    }
+    suggestions.push({
+      ...s,
+      ids: [s.id],
+      hex,
+      contrast: measure(s.color),
+      deltaE: deltaE(original, s.color, 'de2000'),
+    });
+  });
+
+  return { target, contrast, passes: contrast >= target, suggestions };
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function measureContrast(text, background, standard) {
+  return standard === 'apca'
+    ? Math.abs(apcaContrast(text, background))
+    : wcagContrast(text, background);
+}
+
+// First lightness in a direction (1 = lighter, -1 = darker) that reaches the
+// target, at the color's hue and chroma (clamped to sRGB as lightness moves)
+function searchLightness(color, direction, target, measure) {
+  const at = l => fitToSrgb({ mode: 'oklch', l, c: color.c, h: color.h });
+  const end = direction > 0 ? 1 : 0;
+  if (measure(at(end)) < target) return null;
+  if (measure(at(color.l)) >= target) return at(color.l);
+
+  let near = color.l;
+  let far = end;
+  for (let i = 0; i < SEARCH_STEPS; i++) {
+    const mid = (near + far) / 2;
+    if (measure(at(mid)) >= target) far = mid;
+    else near = mid;
+  }
+  return at(far);
+}
+
+function nearestOf(original, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach(candidate => {
+    if (!candidate) return;
+    const d = deltaE(original, candidate, 'de2000');
+    if (d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  });
+  return best;
+}
@@ -0,0 +1,211 @@
+// cvdSafe.js - Color-vision-safe palette constraint
+// "Every pair stays at least X ΔE2000 apart under protan, deutan and tritan
+// simulation." Generators opt in with a `cvdSafe` option; the palette they
+// would have produced is then nudged — lightness first, since it survives
+// every deficiency, then chroma — until the constraint holds or nothing
+// more can be gained.
+//
+// Generators keep returning plain arrays, so the report of which pairs were
+// adjusted is kept alongside the array and read back with getCvdReport().
+
+import { simulateCvd } from './colorVision';
+import { deltaE } from './colorDifference';
+import { fitToWorkingGamut } from './gamutMapping';
+
+export const CVD_SAFE_TYPES = ['protan', 'deutan', 'tritan'];
+
+/**
+ * Minimum-distance presets (ΔE2000 under simulation).
+ */
+export const CVD_SAFE_LEVELS = [
+  { minDeltaE: 5, label: 'Loose', hint: 'Distinguishable side by side' },
+  { minDeltaE: 10, label: 'Standard', hint: 'Distinguishable in charts and legends' },
+  { minDeltaE: 15, label: 'Strict', hint: 'Distinguishable at a glance, even apart' },
+];
+
+export const DEFAULT_CVD_SAFE = { minDeltaE: 10 };
+
+// Nudges tried per step: [Δlightness, Δchroma]
+const NUDGES = [
+  [0.04, 0], [-0.04, 0],
+  [0.08, 0], [-0.08, 0],
+  [0, 0.03], [0, -0.03],
+  [0.04, -0.03], [-0.04, -0.03],
+];
+const MAX_STEPS = 80;
+
+const reports = new WeakMap();
+
+// ============================================================================
+// CHECKING
+// ============================================================================
+
+/**
+ * Pairs that fall below the minimum distance under any simulated deficiency
+ * (or under normal vision).
+ *
+ * @param {Object[]} colors - OKLCH colors
+ * @param {Object} [options]
+ * @param {number} [options.minDeltaE=10]
+ * @param {string[]} [options.types] - colorVision CVD_TYPES ids
+ * @param {number} [options.severity=1]
+ * @returns {{ i: number, j: number, type: string, deltaE: number }[]}
+ *   type is the view in which the pair is closest
+ */
+export function findCvdConflicts(colors, options = {}) {
+  const { minDeltaE, types, severity } = withDefaults(options);
+  const views = colors.map(c => simulateViews(c, types, severity));
+  const conflicts = [];
+
+  for (let i = 0; i < colors.length; i++) {
+    for (let j = i + 1; j < colors.length; j++) {
+      const closest = closestView(views[i], views[j]);
+      if (closest.deltaE < minDeltaE) conflicts.push({ i, j, ...closest });
+    }
+  }
+  return conflicts;
+}
+
+// ============================================================================
+// ENFORCING
+// ============================================================================
+
+/**
+ * Nudge a palette until every pair meets the minimum distance.
+ *
+ * @param {Object[]} colors - OKLCH colors
+ * @param {Object} [options] - As findCvdConflicts, plus:
+ * @param {number[]} [options.locked] - Indices that must not move
+ * @returns {{ colors: Object[], report: Object }} report: { minDeltaE,
+ *   pairs: [{ i, j, type, before, after, locked }], moved: number[],
+ *   satisfied } — pairs are the ones that started too close; `locked` marks
+ *   a pair neither of whose colors was allowed to move
+ */
+export function enforceCvdSafety(colors, options = {}) {
+  const settings = withDefaults(options);
+  const { minDeltaE, types, severity, locked = [] } = settings;
+  const result = colors.map(c => ({ ...c }));
+  const initial = findCvdConflicts(result, settings);
+  const moved = new Set();
+  const givenUp = new Set();
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    const conflict = findCvdConflicts(result, settings)
+      .filter(c => !givenUp.has(`${c.i}-${c.j}`))
+      .sort((a, b) => a.deltaE - b.deltaE)[0];
+    if (!conflict) break;
+
+    // Move the later color first — earlier slots are usually the base/primary
+    const movable = [conflict.j, conflict.i].filter(i => !locked.includes(i));
+    const improved = movable.some(index => {
+      const partner = index === conflict.i ? conflict.j : conflict.i;
+      const nudged = bestNudge(result, index, partner, settings);
+      if (!nudged) return false;
+      result[index] = nudged;
+      moved.add(index);
+      return true;
+    });
+    if (!improved) givenUp.add(`${conflict.i}-${conflict.j}`);
+  }
+
+  const views = result.map(c => simulateViews(c, types, severity));
+  const pairs = initial.map(({ i, j, type, deltaE: before }) => ({
+    i,
+    j,
+    type,
+    before,
+    after: closestView(views[i], views[j]).deltaE,
+    locked: locked.includes(i) && locked.includes(j),
+  }));
+
+  return {
+    colors: result,
+    report: {
+      minDeltaE,
+      pairs,
+      moved: [...moved].sort((a, b) => a - b),
+      satisfied: findCvdConflicts(result, settings).length === 0,
+    },
+  };
+}
+
+/**
+ * enforceCvdSafety for generators: returns the adjusted palette and keeps
+ * the report for getCvdReport().
+ */
+export function makeCvdSafe(colors, options = {}) {
+  const { colors: safe, report } = enforceCvdSafety(colors, options);
+  reports.set(safe, report);
+  return safe;
+}
+
+/**
+ * Report for a palette a CVD-safe generator returned, or null.
+ */
+export function getCvdReport(colors) {
+  return (colors && reports.get(colors)) || null;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function withDefaults(options) {
+  return {
+    minDeltaE: DEFAULT_CVD_SAFE.minDeltaE,
+    types: CVD_SAFE_TYPES,
+    severity: 1,
+    ...options,
+  };
+}
+
+// A color's hex under normal vision and each simulated type
+function simulateViews(color, types, severity) {
+  const views = { normal: simulateCvd(color, 'normal') };
+  types.forEach(type => { views[type] = simulateCvd(color, type, severity); });
+  return views;
+}
+
+// The view in which two colors are closest, and how close
+function closestView(a, b) {
+  let closest = { type: 'normal', deltaE: Infinity };
+  Object.keys(a).forEach(type => {
+    const d = deltaE(a[type], b[type], 'de2000');
+    if (d < closest.deltaE) closest = { type, deltaE: d };
+  });
+  return closest;
+}
+
+// Distance from one color's views to every palette color's views
+function distancesFrom(own, views, index) {
+  return views.map((other, k) => (k === index ? Infinity : closestView(own, other).deltaE));
+}
+
+// The nudge that most separates a color from its partner without pulling it
+// below the minimum (or below where it already was) against anyone else.
+// Returns null if no nudge helps.
+function bestNudge(colors, index, partner, { minDeltaE, types, severity }) {
+  const views = colors.map(c => simulateViews(c, types, severity));
+  const current = distancesFrom(views[index], views, index);
+  const color = colors[index];
+  let best = null;
+  let bestScore = current[partner] + 0.1;
+
+  NUDGES.forEach(([dl, dc]) => {
+    const candidate = fitToWorkingGamut({
+      mode: 'oklch',
+      l: Math.min(0.97, Math.max(0.05, (color.l ?? 0) + dl)),
+      c: Math.max(0, (color.c ?? 0) + dc),
+      h: color.h ?? 0,
+    });
+    const distances = distancesFrom(simulateViews(candidate, types, severity), views, index);
+    const keepsOthers = distances.every((d, k) =>
+      k === partner || d >= Math.min(minDeltaE, current[k])
+    );
+    if (keepsOthers && distances[partner] > bestScore) {
+      best = candidate;
+      bestScore = distances[partner];
+    }
+  });
+  return best;
+}
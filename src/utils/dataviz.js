@@ -0,0 +1,264 @@
+// dataviz.js - Chart palettes
+// Three kinds of scheme, each with its own job:
+//   categorical — unordered classes; colors chosen greedily from an OKLCH
+//                 candidate grid to maximize the minimum pairwise ΔE2000,
+//                 optionally measured under protan/deutan/tritan simulation
+//                 too, so legends still work for color-blind readers
+//   sequential  — ordered magnitudes; lightness falls monotonically from
+//                 light to dark at one hue, and steps are re-spaced so each
+//                 is the same ΔE2000 from the next
+//   diverging   — above/below a midpoint; two hues rising out of a shared
+//                 near-neutral center, with matching lightness on each arm
+// All output is fitted to sRGB since charts ship as hex.
+
+import { oklchToHex } from './colorUtils';
+import { fitToSrgb, maxChromaInGamut } from './gamutMapping';
+import { deltaE } from './colorDifference';
+import { simulateCvd } from './colorVision';
+import { CVD_SAFE_TYPES } from './cvdSafe';
+
+export const DATAVIZ_SCHEMES = [
+  { id: 'categorical', label: 'Categorical', description: 'Distinct colors for unordered classes', min: 2, max: 12 },
+  { id: 'sequential', label: 'Sequential', description: 'Light to dark for ordered values', min: 3, max: 12 },
+  { id: 'diverging', label: 'Diverging', description: 'Two hues through a neutral midpoint', min: 3, max: 11 },
+];
+
+export const DEFAULT_DATAVIZ = { scheme: 'categorical', count: 8, cvdAware: true, secondHue: null };
+
+/**
+ * Generate a chart palette.
+ *
+ * @param {Object} base - OKLCH base color (its hue seeds every scheme)
+ * @param {Object} [options]
+ * @param {'categorical'|'sequential'|'diverging'} [options.scheme='categorical']
+ * @param {number} [options.count] - Clamped to the scheme's min/max
+ * @param {boolean} [options.cvdAware=true] - Categorical: also separate
+ *   colors under CVD simulation
+ * @param {number|null} [options.secondHue] - Diverging: hue of the second
+ *   arm, defaults to the base's complement
+ * @returns {Object[]} OKLCH colors; categorical most-distinct first,
+ *   sequential light → dark, diverging first arm → midpoint → second arm
+ */
+export function generateDatavizPalette(base, options = {}) {
+  const { scheme, count, cvdAware, secondHue } = { ...DEFAULT_DATAVIZ, ...options };
+  const info = DATAVIZ_SCHEMES.find(s => s.id === scheme) || DATAVIZ_SCHEMES[0];
+  const n = Math.round(Math.min(info.max, Math.max(info.min, count)));
+
+  switch (info.id) {
+    case 'sequential': return generateSequential(base, n);
+    case 'diverging': return generateDiverging(base, n, secondHue);
+    default: return generateCategorical(base, n, { cvdAware });
+  }
+}
+
+// ============================================================================
+// CATEGORICAL
+// ============================================================================
+
+// Candidate grid: mid lightnesses read well as fills and lines on both
+// light and dark backgrounds
+const CATEGORICAL_HUE_STEP = 10;
+const CATEGORICAL_LIGHTNESS = [0.5, 0.62, 0.74, 0.85];
+const CATEGORICAL_CHROMA = 0.16;
+
+/**
+ * @param {Object} base
+ * @param {number} count
+ * @param {Object} [options]
+ * @param {boolean} [options.cvdAware=true]
+ */
+export function generateCategorical(base, count, { cvdAware = true } = {}) {
+  const views = cvdAware ? ['normal', ...CVD_SAFE_TYPES] : ['normal'];
+  const simulate = color => views.map(type => simulateCvd(color, type));
+
+  const first = fitToSrgb({
+    mode: 'oklch',
+    l: clamp(base.l ?? 0.6, 0.5, 0.75),
+    c: Math.max(base.c ?? 0, 0.1),
+    h: base.h ?? 0,
+  });
+
+  const candidates = [];
+  for (let h = 0; h < 360; h += CATEGORICAL_HUE_STEP) {
+    CATEGORICAL_LIGHTNESS.forEach(l => {
+      const color = fitToSrgb({ mode: 'oklch', l, c: CATEGORICAL_CHROMA, h: normalizeHue(h + (base.h ?? 0)) });
+      candidates.push({ color, views: simulate(color), nearest: Infinity });
+    });
+  }
+
+  // Farthest-point selection: each pick is the candidate whose closest
+  // already-chosen color (in any view) is farthest away
+  const chosen = [first];
+  const update = pickedViews => {
+    candidates.forEach(c => {
+      const d = Math.min(...views.map((_, k) => deltaE(c.views[k], pickedViews[k], 'de2000')));
+      if (d < c.nearest) c.nearest = d;
+    });
+  };
+  update(simulate(first));
+
+  while (chosen.length < count && candidates.length) {
+    let bestIndex = 0;
+    candidates.forEach((c, i) => {
+      if (c.nearest > candidates[bestIndex].nearest) bestIndex = i;
+    });
+    const [pick] = candidates.splice(bestIndex, 1);
+    chosen.push(pick.color);
+    update(pick.views);
+  }
+  return chosen;
+}
+
+// ============================================================================
+// SEQUENTIAL
+// ============================================================================
+
+const SEQUENTIAL_LIGHT = 0.96;
+const SEQUENTIAL_DARK = 0.3;
+const RAMP_SAMPLES = 64;
+const SEQUENTIAL_MIN_PEAK = 0.12;
+// Below this base chroma the hue is noise (a grey's h is arbitrary or 0), so
+// the ramp stays as neutral as the base instead of turning pink
+const ACHROMATIC = 0.02;
+
+/**
+ * Light → dark ramp at the base hue with evenly spaced steps. A grey base
+ * gives a grey ramp.
+ */
+export function generateSequential(base, count) {
+  const hue = base.h ?? 0;
+  const chroma = base.c ?? 0;
+  const peak = chroma < ACHROMATIC ? chroma : Math.max(chroma, SEQUENTIAL_MIN_PEAK);
+  const at = t => fitToSrgb({
+    mode: 'oklch',
+    l: SEQUENTIAL_LIGHT + (SEQUENTIAL_DARK - SEQUENTIAL_LIGHT) * t,
+    // Chroma peaks mid-ramp, where the gamut is widest
+    c: peak * Math.sin(Math.PI * (0.1 + 0.8 * t)),
+    h: hue,
+  });
+
+  // Re-space by cumulative ΔE along the curve so every step looks equal
+  const samples = Array.from({ length: RAMP_SAMPLES + 1 }, (_, i) => at(i / RAMP_SAMPLES));
+  const distance = [0];
+  for (let i = 1; i < samples.length; i++) {
+    distance.push(distance[i - 1] + deltaE(samples[i - 1], samples[i], 'de2000'));
+  }
+  const total = distance[distance.length - 1];
+
+  return Array.from({ length: count }, (_, i) => {
+    const target = (total * i) / (count - 1);
+    let k = 1;
+    while (k < distance.length - 1 && distance[k] < target) k++;
+    const span = distance[k] - distance[k - 1] || 1;
+    const t = (k - 1 + (target - distance[k - 1]) / span) / RAMP_SAMPLES;
+    return at(Math.min(1, t));
+  });
+}
+
+// ============================================================================
+// DIVERGING
+// ============================================================================
+
+const DIVERGING_MID = 0.96;
+const DIVERGING_END = 0.42;
+const DIVERGING_MID_CHROMA = 0.012;
+
+/**
+ * Two arms from a near-neutral midpoint; odd counts include the midpoint.
+ * Both arms share the same lightness at each step so neither side looks
+ * more extreme than the other.
+ */
+export function generateDiverging(base, count, secondHue = null) {
+  const hueA = base.h ?? 0;
+  const hueB = secondHue ?? normalizeHue(hueA + 180);
+  const perArm = Math.floor(count / 2);
+  const hasMid = count % 2 === 1;
+
+  // Shared chroma: the most both hues can carry at each lightness
+  const arm = hue => Array.from({ length: perArm }, (_, i) => {
+    // Even counts start half a step out from the midpoint
+    const t = hasMid ? (i + 1) / perArm : (i + 0.5) / (perArm - 0.5);
+    const l = DIVERGING_MID + (DIVERGING_END - DIVERGING_MID) * t;
+    const c = Math.min(maxChromaInGamut(l, hueA, 'srgb'), maxChromaInGamut(l, hueB, 'srgb'), 0.2) *
+      Math.sin((Math.PI / 2) * t);
+    return fitToSrgb({ mode: 'oklch', l, c: Math.max(c, DIVERGING_MID_CHROMA), h: hue });
+  });
+
+  const mid = { mode: 'oklch', l: DIVERGING_MID, c: DIVERGING_MID_CHROMA, h: hueA };
+  return [...arm(hueA).reverse(), ...(hasMid ? [mid] : []), ...arm(hueB)];
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export const DATAVIZ_EXPORT_FORMATS = [
+  { id: 'd3', label: 'D3', ext: 'js' },
+  { id: 'vega', label: 'Vega', ext: 'json' },
+  { id: 'matplotlib', label: 'matplotlib', ext: 'py' },
+];
+
+/**
+ * Palette as code for a charting library.
+ *
+ * @param {Object[]} colors
+ * @param {string} scheme - DATAVIZ_SCHEMES id
+ * @param {'d3'|'vega'|'matplotlib'} format
+ * @returns {string}
+ */
+export function formatDatavizExport(colors, scheme, format) {
+  const hexes = colors.map(c => oklchToHex(c));
+  const list = hexes.map(h => `'${h}'`).join(', ');
+  const name = `hexandhue_${scheme}`;
+
+  if (format === 'vega') {
+    const scale = scheme === 'categorical'
+      ? { type: 'ordinal', range: hexes }
+      : scheme === 'diverging'
+        ? { type: 'linear', range: hexes, domainMid: 0, interpolate: 'lab' }
+        : { type: 'linear', range: hexes, interpolate: 'lab' };
+    return JSON.stringify({ $comment: `hex&hue ${scheme} scheme (Vega / Vega-Lite color scale)`, scale }, null, 2);
+  }
+
+  if (format === 'matplotlib') {
+    return scheme === 'categorical'
+      ? [
+        `# hex&hue ${scheme} scheme`,
+        'from matplotlib.colors import ListedColormap',
+        '',
+        `colors = [${list}]`,
+        `cmap = ListedColormap(colors, name='${name}')`,
+        '# plt.rcParams["axes.prop_cycle"] = plt.cycler(color=colors)',
+      ].join('\n')
+      : [
+        `# hex&hue ${scheme} scheme`,
+        'from matplotlib.colors import LinearSegmentedColormap',
+        '',
+        `colors = [${list}]`,
+        `cmap = LinearSegmentedColormap.from_list('${name}', colors)`,
+      ].join('\n');
+  }
+
+  const scale = {
+    categorical: 'd3.scaleOrdinal(scheme)',
+    sequential: 'd3.scaleSequential(d3.interpolateRgbBasis(scheme)).domain([0, 1])',
+    diverging: 'd3.scaleDiverging(d3.interpolateRgbBasis(scheme)).domain([-1, 0, 1])',
+  }[scheme] || 'd3.scaleOrdinal(scheme)';
+  return [
+    `// hex&hue ${scheme} scheme`,
+    `const scheme = [${list}];`,
+    `const color = ${scale};`,
+  ].join('\n');
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function normalizeHue(hue) {
+  return ((hue % 360) + 360) % 360;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
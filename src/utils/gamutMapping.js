@@ -0,0 +1,241 @@
+// gamutMapping.js - Bringing OKLCH colors into sRGB for display and export
+// Palettes are built in OKLCH, where it is easy to ask for more chroma than a
+// screen can show. Clipping each RGB channel on its own (what formatHex does)
+// keeps the result bright but can visibly shift the hue. The CSS Color 4
+// algorithm instead lowers chroma at constant lightness and hue until the
+// clipped color is within a just-noticeable ΔEOK of the candidate.
+//
+// The method is a session-wide setting so every swatch, preview and export
+// agrees on what a given OKLCH value looks like. App owns it as state and
+// mirrors it here as the default for calls that don't pass one; components
+// that memoize or draw in effects take it as a prop and pass it explicitly,
+// so React sees it change.
+//
+// The working gamut (sRGB, Display-P3 or Rec.2020) is the other setting: it
+// sets how much chroma generators, the wheel and the sliders may use. It is
+// held the same way — App state, mirrored here for the generators, passed as
+// a prop to the components that draw with it. Hex is sRGB by definition, so
+// wide-gamut colors also get color() notation, with the mapped hex kept as
+// the fallback.
+
+import {
+  toGamut,
+  clampRgb,
+  clampGamut,
+  clampChroma,
+  inGamut,
+  displayable,
+  differenceEuclidean,
+  formatHex,
+  converter,
+} from 'culori';
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+export const GAMUT_MAPPING_METHODS = [
+  { id: 'css4', label: 'Map', hint: 'CSS Color 4 — lower chroma, keep lightness and hue' },
+  { id: 'clip', label: 'Clip', hint: 'Clamp each RGB channel — brighter, but hue may shift' },
+];
+
+// Just-noticeable difference used by CSS Color 4 (ΔEOK, 0–1 scale)
+const JND = 0.02;
+
+// Moves smaller than this are float noise, not real gamut misses
+const NOTICEABLE_SHIFT = 0.0005;
+
+const MAX_CACHE_SIZE = 4096;
+
+/**
+ * Working gamuts. `mode` is the culori mode, `css` the color() space name,
+ * `maxChroma` the highest OKLCH chroma any color in the gamut reaches, and
+ * `wheelChroma` the chroma of the color wheel's outer ring.
+ */
+export const WORKING_GAMUTS = [
+  { id: 'srgb', label: 'sRGB', mode: 'rgb', css: 'srgb', maxChroma: 0.33, wheelChroma: 0.25 },
+  { id: 'p3', label: 'P3', mode: 'p3', css: 'display-p3', maxChroma: 0.37, wheelChroma: 0.3 },
+  { id: 'rec2020', label: 'Rec.2020', mode: 'rec2020', css: 'rec2020', maxChroma: 0.47, wheelChroma: 0.36 },
+];
+
+export const DEFAULT_GAMUT_MAPPING = 'css4';
+export const DEFAULT_WORKING_GAMUT = 'srgb';
+
+let currentMethod = DEFAULT_GAMUT_MAPPING;
+let currentGamut = DEFAULT_WORKING_GAMUT;
+
+export function setGamutMappingMethod(method) {
+  if (!GAMUT_MAPPING_METHODS.some(m => m.id === method)) return;
+  currentMethod = method;
+}
+
+export function setWorkingGamut(id) {
+  if (!WORKING_GAMUTS.some(g => g.id === id)) return;
+  currentGamut = id;
+}
+
+export function getGamut(id) {
+  return WORKING_GAMUTS.find(g => g.id === id) || WORKING_GAMUTS[0];
+}
+
+// ============================================================================
+// MAPPING
+// ============================================================================
+
+/**
+ * ΔEOK — Euclidean distance in OKLab, the metric CSS Color 4 maps with.
+ */
+export const deltaEOK = differenceEuclidean('oklab');
+
+const toOklch = converter('oklch');
+const css4ToRgb = toGamut('rgb', 'oklch', deltaEOK, JND);
+const css4ToP3 = toGamut('p3', 'oklch', deltaEOK, JND);
+const css4ToRec2020 = toGamut('rec2020', 'oklch', deltaEOK, JND);
+const clipToP3 = clampGamut('p3');
+const clipToRec2020 = clampGamut('rec2020');
+
+const MAPPERS = {
+  srgb: { css4: css4ToRgb, clip: clampRgb },
+  p3: { css4: css4ToP3, clip: clipToP3 },
+  rec2020: { css4: css4ToRec2020, clip: clipToRec2020 },
+};
+
+/**
+ * Version of a color that fits a gamut — sRGB unless asked otherwise, since
+ * that is what hex output needs.
+ *
+ * @param {Object|string} color - Any culori color or CSS string
+ * @param {'css4'|'clip'} [method] - Defaults to the session setting
+ * @param {string} [gamut='srgb'] - WORKING_GAMUTS id
+ * @returns {Object|undefined} color in the gamut's mode with channels in 0–1
+ */
+export function mapToGamut(color, method = currentMethod, gamut = 'srgb') {
+  const mappers = MAPPERS[gamut] || MAPPERS.srgb;
+  return (mappers[method] || mappers.css4)(color);
+}
+
+/**
+ * CSS for a color in a gamut: hex for sRGB, color(display-p3 …) or
+ * color(rec2020 …) otherwise, gamut-mapped either way.
+ *
+ * @param {string} [gamut] - Defaults to the working gamut
+ * @returns {string}
+ */
+export function toGamutCss(color, gamut = currentGamut, method = currentMethod) {
+  if (gamut === 'srgb') return gamutMappedHex(color, method) || '#000000';
+
+  const key = cacheKey(color, `${method}:${gamut}`);
+  if (key && cssCache.has(key)) return cssCache.get(key);
+
+  const mapped = mapToGamut(color, method, gamut);
+  const css = mapped
+    ? `color(${getGamut(gamut).css} ${['r', 'g', 'b'].map(ch => round4(mapped[ch])).join(' ')})`
+    : '#000000';
+  if (key) {
+    if (cssCache.size >= MAX_CACHE_SIZE) cssCache.clear();
+    cssCache.set(key, css);
+  }
+  return css;
+}
+
+/**
+ * Whether a color is inside a gamut (the working gamut by default).
+ */
+export function isInGamut(color, gamut = currentGamut) {
+  return inGamutCheckers[gamut] ? inGamutCheckers[gamut](color) : displayable(color);
+}
+
+/**
+ * Reduce a color's OKLCH chroma until it fits the working gamut, keeping
+ * lightness and hue — the clamp generators apply to their output.
+ *
+ * @returns {Object} OKLCH color
+ */
+export function fitToWorkingGamut(color, gamut = currentGamut) {
+  const source = toOklch(color);
+  const fitted = clampChroma(source, 'oklch', getGamut(gamut).mode);
+  // clampChroma leaves an achromatic result without a hue
+  return { mode: 'oklch', l: fitted.l ?? 0, c: fitted.c ?? 0, h: fitted.h ?? source.h ?? 0 };
+}
+
+/**
+ * fitToWorkingGamut pinned to sRGB whatever the working gamut — for colors
+ * that are measured or shown as hex (contrast targets, status and theme
+ * colors, chart palettes).
+ *
+ * @returns {Object} OKLCH color
+ */
+export function fitToSrgb(color) {
+  return fitToWorkingGamut(color, 'srgb');
+}
+
+/**
+ * Highest chroma a lightness/hue pair reaches inside a gamut.
+ */
+export function maxChromaInGamut(l, h, gamut = currentGamut) {
+  const { maxChroma } = getGamut(gamut);
+  let lo = 0;
+  let hi = maxChroma;
+  for (let i = 0; i < 16; i++) {
+    const mid = (lo + hi) / 2;
+    if (isInGamut({ mode: 'oklch', l, c: mid, h }, gamut)) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Gamut-mapped hex for a color. Results are cached per method since the
+ * same few palette colors are rendered many times per frame.
+ *
+ * @returns {string|undefined}
+ */
+export function gamutMappedHex(color, method = currentMethod) {
+  const key = cacheKey(color, method);
+  if (key && hexCache.has(key)) return hexCache.get(key);
+
+  const hex = formatHex(mapToGamut(color, method));
+  if (key) {
+    if (hexCache.size >= MAX_CACHE_SIZE) hexCache.clear();
+    hexCache.set(key, hex);
+  }
+  return hex;
+}
+
+/**
+ * How far a color had to move to be displayed.
+ *
+ * @returns {{ inGamut: boolean, deltaE: number, mapped: Object }}
+ *   deltaE is ΔEOK between the requested and displayed color; mapped is the
+ *   displayed color in OKLCH
+ */
+export function describeGamutMapping(color, method = currentMethod) {
+  const mapped = toOklch(mapToGamut(color, method));
+  if (!mapped) return { inGamut: true, deltaE: 0, mapped };
+
+  const deltaE = displayable(color) ? 0 : deltaEOK(color, mapped);
+  return { inGamut: deltaE < NOTICEABLE_SHIFT, deltaE, mapped };
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const hexCache = new Map();
+const cssCache = new Map();
+
+const inGamutCheckers = {
+  srgb: displayable,
+  p3: inGamut('p3'),
+  rec2020: inGamut('rec2020'),
+};
+
+function round4(v) {
+  return Math.round(Math.min(1, Math.max(0, v || 0)) * 10000) / 10000;
+}
+
+function cacheKey(color, method) {
+  if (typeof color === 'string') return `${method}|${color}`;
+  if (color?.mode === 'oklch') return `${method}|${color.l}|${color.c}|${color.h}`;
+  return null;
+}
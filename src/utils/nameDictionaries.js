@@ -0,0 +1,335 @@
+// nameDictionaries.js - Registry of color-name vocabularies
+// Each dictionary is either a list of named swatches (matched by nearest
+// ΔE2000) or a notation function that computes a name directly from the color.
+// Built-ins: hex&hue descriptive names, CSS/X11, RAL Classic, NCS-style
+// notation and the artist paints from PAINT_DATABASE. Users can register
+// their own name→hex lists at runtime.
+
+import { colorsNamed, converter, differenceCiede2000, formatHex, parse } from 'culori';
+import { colornames } from 'color-name-list/bestof';
+import { RAL } from 'ral-colors';
+import { PAINT_DATABASE } from './paintMixer';
+
+const toOklab = converter('oklab');
+const toRgb = converter('rgb');
+const toOklch = converter('oklch');
+const deltaE2000 = differenceCiede2000();
+
+// Nearest OKLab neighbours re-ranked with ΔE2000 (cheap prefilter, exact finish)
+const CANDIDATE_COUNT = 24;
+
+export const DEFAULT_NAME_DICTIONARY = 'hexandhue';
+
+const registry = new Map();
+let revisionCounter = 0;
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Register (or replace) a name dictionary.
+ *
+ * @param {Object} dictionary
+ * @param {string} dictionary.id - Unique key, used in App state and caches
+ * @param {string} dictionary.label - Short label for the header selector
+ * @param {string} [dictionary.description]
+ * @param {Array<{name: string, hex: string}>|Function} [dictionary.entries] -
+ *   Swatch list, or a function returning one (evaluated on first lookup)
+ * @param {Function} [dictionary.notation] - (color) => string, for computed systems
+ * @param {number} [dictionary.maxDistance=Infinity] - ΔE2000 beyond which the
+ *   caller should fall back to a descriptive name
+ * @param {boolean} [dictionary.custom=false] - User-imported dictionary
+ */
+export function registerNameDictionary(dictionary) {
+  const { id, label, entries, notation } = dictionary;
+  if (!id || !label) throw new Error('Name dictionary needs an id and a label');
+  if (!entries && !notation) throw new Error(`Name dictionary "${id}" needs entries or a notation`);
+
+  registry.set(id, {
+    description: '',
+    maxDistance: Infinity,
+    custom: false,
+    ...dictionary,
+    revision: ++revisionCounter,
+    prepared: null,
+  });
+}
+
+export function unregisterNameDictionary(id) {
+  registry.delete(id);
+}
+
+export function getNameDictionary(id) {
+  return registry.get(id) || registry.get(DEFAULT_NAME_DICTIONARY);
+}
+
+/**
+ * List dictionaries for UI display, built-ins first.
+ */
+export function getNameDictionaries() {
+  return [...registry.values()]
+    .map(({ id, label, description, custom }) => ({ id, label, description, custom }))
+    .sort((a, b) => Number(a.custom) - Number(b.custom));
+}
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+function prepare(record) {
+  if (record.prepared) return record.prepared;
+
+  const raw = typeof record.entries === 'function' ? record.entries() : record.entries;
+  const seen = new Set();
+  const prepared = [];
+
+  for (const { name, hex, source } of raw) {
+    const key = formatHex(hex);
+    if (!key || seen.has(key)) continue; // first name for a hex wins
+    seen.add(key);
+    prepared.push({ name, hex: key, source: source || record.id, lab: toOklab(key) });
+  }
+
+  record.prepared = prepared;
+  return prepared;
+}
+
+/**
+ * Find the closest entry to a color in one dictionary.
+ *
+ * @param {Object|string} color - Any culori-parsable color
+ * @param {string} [id] - Dictionary id (defaults to the hex&hue dictionary)
+ * @returns {{ name: string, hex: string, source: string, distance: number } | null}
+ *   null for notation-based dictionaries or unparsable colors
+ */
+export function findNearestInDictionary(color, id = DEFAULT_NAME_DICTIONARY) {
+  const record = getNameDictionary(id);
+  if (!record || !record.entries) return null;
+
+  const target = toOklab(color);
+  if (!target) return null;
+
+  // Keep the CANDIDATE_COUNT nearest entries by squared OKLab distance
+  const candidates = [];
+  for (const entry of prepare(record)) {
+    const dl = entry.lab.l - target.l;
+    const da = entry.lab.a - target.a;
+    const db = entry.lab.b - target.b;
+    const d = dl * dl + da * da + db * db;
+
+    if (candidates.length < CANDIDATE_COUNT) {
+      candidates.push({ entry, d });
+      candidates.sort((x, y) => x.d - y.d);
+    } else if (d < candidates[candidates.length - 1].d) {
+      candidates[candidates.length - 1] = { entry, d };
+      candidates.sort((x, y) => x.d - y.d);
+    }
+  }
+
+  let best = null;
+  for (const { entry } of candidates) {
+    const distance = deltaE2000(target, entry.lab);
+    if (!best || distance < best.distance) {
+      best = { name: entry.name, hex: entry.hex, source: entry.source, distance };
+    }
+  }
+
+  return best;
+}
+
+const normalizeName = (name) => name.toLowerCase().replace(/[\s_-]+/g, '');
+
+// Selected dictionary first, then the rest in registry order
+function searchOrder(id) {
+  const first = getNameDictionary(id);
+  return [first, ...[...registry.values()].filter(r => r !== first)].filter(r => r.entries);
+}
+
+/**
+ * Look a color up by name ("Dusty Rose", "dusty-rose", "RAL 3020 …").
+ * Matching ignores case, spaces and hyphens.
+ *
+ * @param {string} name
+ * @param {string} [id] - Dictionary to search first
+ * @returns {{ name: string, hex: string, source: string } | null}
+ */
+export function findColorByName(name, id = DEFAULT_NAME_DICTIONARY) {
+  const key = normalizeName(name || '');
+  if (!key) return null;
+
+  for (const record of searchOrder(id)) {
+    const entry = prepare(record).find(e => normalizeName(e.name) === key);
+    if (entry) return { name: entry.name, hex: entry.hex, source: entry.source };
+  }
+  return null;
+}
+
+/**
+ * Names containing `query`, prefix matches first, for autocomplete.
+ *
+ * @returns {Array<{ name: string, hex: string, source: string }>}
+ */
+export function searchColorNames(query, id = DEFAULT_NAME_DICTIONARY, limit = 6) {
+  const key = normalizeName(query || '');
+  if (!key) return [];
+
+  const prefix = [];
+  const contains = [];
+  const seen = new Set();
+
+  for (const record of searchOrder(id)) {
+    for (const entry of prepare(record)) {
+      const normalized = normalizeName(entry.name);
+      const index = normalized.indexOf(key);
+      if (index === -1 || seen.has(normalized)) continue;
+      seen.add(normalized);
+      (index === 0 ? prefix : contains).push({ name: entry.name, hex: entry.hex, source: entry.source });
+      if (prefix.length >= limit) return prefix;
+    }
+  }
+  return [...prefix, ...contains].slice(0, limit);
+}
+
+// ============================================================================
+// NCS-STYLE NOTATION
+// ============================================================================
+
+// OKLCH hue angles of the four NCS elementary hues (sRGB approximations)
+const NCS_ELEMENTARY = { R: 20, Y: 94, G: 161, B: 236 };
+
+// Quadrants in NCS order, each running from its first hue toward the second.
+// OKLCH hue decreases from Y→R, G→Y, B→G and R→B (wrapping through 360).
+const NCS_QUADRANTS = [
+  ['Y', 'R', NCS_ELEMENTARY.Y, NCS_ELEMENTARY.R],
+  ['G', 'Y', NCS_ELEMENTARY.G, NCS_ELEMENTARY.Y],
+  ['B', 'G', NCS_ELEMENTARY.B, NCS_ELEMENTARY.G],
+  ['R', 'B', NCS_ELEMENTARY.R + 360, NCS_ELEMENTARY.B],
+];
+
+/**
+ * Approximate an NCS notation ("S 2030-Y90R") from sRGB.
+ * Blackness/chromaticness come from the sRGB max/min channels (the same
+ * whiteness–blackness split HWB uses); the hue is placed between the two
+ * nearest elementary hues. Not a substitute for a physical NCS atlas.
+ */
+export function ncsNotation(color) {
+  const rgb = toRgb(color);
+  if (!rgb) return 'N/A';
+
+  const channels = [rgb.r, rgb.g, rgb.b].map(v => Math.max(0, Math.min(1, v)));
+  const max = Math.max(...channels);
+  const min = Math.min(...channels);
+
+  const round5 = v => Math.round(v * 20) * 5;
+  // NCS nuances are two digits each; the atlas tops out around 90 chromaticness
+  const blackness = Math.min(95, round5(1 - max));
+  const chromaticness = Math.min(95 - blackness, round5(max - min));
+  const nuance = `${String(blackness).padStart(2, '0')}${String(chromaticness).padStart(2, '0')}`;
+
+  if (chromaticness < 5) return `S ${nuance}-N`;
+
+  let h = toOklch(color).h ?? 0;
+  if (h < NCS_ELEMENTARY.R) h += 360;
+
+  for (const [from, to, start, end] of NCS_QUADRANTS) {
+    const lo = Math.min(start, end);
+    const hi = Math.max(start, end);
+    if (h >= lo && h < hi) {
+      const share = Math.round(((start - h) / (start - end)) * 10) * 10;
+      if (share <= 0) return `S ${nuance}-${from}`;
+      if (share >= 100) return `S ${nuance}-${to}`;
+      return `S ${nuance}-${from}${share}${to}`;
+    }
+  }
+  return `S ${nuance}-R`;
+}
+
+// ============================================================================
+// CUSTOM DICTIONARIES
+// ============================================================================
+
+/**
+ * Parse a user-supplied name list. Accepts either an object map
+ * ({ "Brand Blue": "#1e40af" }) or an array of { name, hex } objects.
+ * Any CSS color string is accepted as the value.
+ *
+ * @returns {Array<{name: string, hex: string}>}
+ * @throws {Error} with a user-facing message when nothing usable is found
+ */
+export function parseNameList(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  const pairs = Array.isArray(data)
+    ? data.map(item => [item?.name, item?.hex ?? item?.value ?? item?.color])
+    : data && typeof data === 'object'
+      ? Object.entries(data)
+      : [];
+
+  const entries = [];
+  for (const [name, value] of pairs) {
+    if (typeof name !== 'string' || typeof value !== 'string') continue;
+    const parsed = parse(value.trim());
+    if (!parsed) continue;
+    entries.push({ name: name.trim(), hex: formatHex(parsed) });
+  }
+
+  if (!entries.length) {
+    throw new Error('No name → color pairs found (expected {"Name": "#hex"} or [{name, hex}])');
+  }
+  return entries;
+}
+
+// ============================================================================
+// BUILT-IN DICTIONARIES
+// ============================================================================
+
+registerNameDictionary({
+  id: DEFAULT_NAME_DICTIONARY,
+  label: 'hex&hue',
+  description: 'CSS names plus ~5,000 descriptive names',
+  maxDistance: 6,
+  entries: () => [
+    ...Object.keys(colorsNamed).map(name => ({ name, hex: formatHex(name), source: 'css' })),
+    ...colornames.map(({ name, hex }) => ({ name, hex, source: 'descriptive' })),
+  ],
+});
+
+registerNameDictionary({
+  id: 'css',
+  label: 'CSS',
+  description: 'CSS Color Module / X11 named colors',
+  entries: () => Object.keys(colorsNamed).map(name => ({ name, hex: formatHex(name) })),
+});
+
+registerNameDictionary({
+  id: 'ral',
+  label: 'RAL',
+  description: 'RAL Classic industrial colors (screen approximations)',
+  entries: () => Object.entries(RAL.classic).map(([code, { description, HEX }]) => ({
+    name: `${code.replace(/^RAL/, 'RAL ')} ${description}`,
+    hex: HEX,
+  })),
+});
+
+registerNameDictionary({
+  id: 'ncs',
+  label: 'NCS',
+  description: 'NCS-style blackness/chromaticness/hue notation',
+  notation: ncsNotation,
+});
+
+registerNameDictionary({
+  id: 'paint',
+  label: 'Paint',
+  description: 'Artist paints from the Paint tab database',
+  // Only a few dozen paints: past this a paint name misleads (#00ff00 isn't
+  // Naples Yellow), so the descriptive name takes over
+  maxDistance: 12,
+  entries: () => PAINT_DATABASE.map(({ name, hex }) => ({ name, hex })),
+});
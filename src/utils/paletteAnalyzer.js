@@ -1,19 +1,24 @@
 // paletteAnalyzer.js - Design Intelligence for Color Palettes
 // Analyzes palettes based on design principles, not just color theory math
 
-import { formatHex, wcagContrast, differenceEuclidean } from 'culori';
+import { differenceEuclidean } from 'culori';
+import { oklchToHex } from './colorUtils';
+import { pairContrast, getContrastStandard, DEFAULT_CONTRAST_STANDARD } from './contrast';
 
 /**
  * Main analysis function - returns comprehensive palette evaluation
+ *
+ * @param {Object} [options]
+ * @param {'wcag2'|'apca'} [options.standard] - Contrast standard for readability
  */
-export function analyzePalette(colors) {
+export function analyzePalette(colors, { standard = DEFAULT_CONTRAST_STANDARD } = {}) {
   if (!colors || colors.length === 0) {
     return null;
   }
 
   const visualMetrics = analyzeVisualMetrics(colors);
   const designMetrics = analyzeDesignQuality(colors);
-  const readability = analyzeReadability(colors);
+  const readability = analyzeReadability(colors, standard);
   const issues = identifyIssues(colors, visualMetrics, designMetrics, readability);
   const improvements = suggestImprovements(colors, issues);
   const usageMap = generateUsageMap(colors, visualMetrics);
@@ -83,21 +88,24 @@ function analyzeDesignQuality(colors) {
 }
 
 /**
- * READABILITY ANALYSIS - WCAG compliance and contrast
+ * READABILITY ANALYSIS - Text contrast under WCAG 2.x or APCA
+ * Contrast values are on the standard's own scale (ratio or |Lc|); the pass
+ * flags use its AA / AA-large / AAA equivalents.
  */
-function analyzeReadability(colors) {
+function analyzeReadability(colors, standard) {
   const pairs = [];
-  const hexColors = colors.map(c => formatHex(c));
+  const hexColors = colors.map(c => oklchToHex(c));
+  const { thresholds } = getContrastStandard(standard);
   
   for (let i = 0; i < hexColors.length; i++) {
     for (let j = i + 1; j < hexColors.length; j++) {
-      const contrast = wcagContrast(hexColors[i], hexColors[j]);
+      const contrast = pairContrast(hexColors[i], hexColors[j], standard);
       pairs.push({
         colors: [i, j],
         contrast,
-        passesAA: contrast >= 4.5,
-        passesAALarge: contrast >= 3,
-        passesAAA: contrast >= 7
+        passesAA: contrast >= thresholds.AA,
+        passesAALarge: contrast >= thresholds.AALarge,
+        passesAAA: contrast >= thresholds.AAA
       });
     }
   }
@@ -106,6 +114,7 @@ function analyzeReadability(colors) {
   const totalPairs = pairs.length;
 
   return {
+    standard,
     pairs,
     passingPairs,
     totalPairs,
@@ -164,7 +173,9 @@ function identifyIssues(colors, visualMetrics, designMetrics, readability) {
       type: 'readability',
       severity: 'high',
       title: 'Poor text readability',
-      message: `Only ${Math.round(readability.passingPercentage)}% of color pairs meet WCAG AA standards.`,
+      message: readability.standard === 'apca'
+        ? `Only ${Math.round(readability.passingPercentage)}% of color pairs reach APCA Lc 60 for body text.`
+        : `Only ${Math.round(readability.passingPercentage)}% of color pairs meet WCAG AA standards.`,
       recommendation: 'Increase lightness contrast between colors for better text readability.',
       fixable: true
     });
@@ -266,8 +277,10 @@ function suggestImprovements(colors, issues) {
 
 /**
  * USAGE MAP - Suggest which color for which purpose
+ * Returns { primary, accent, neutral, background, text } → palette index;
+ * roles with no suitable color are omitted.
  */
-function generateUsageMap(colors, visualMetrics) {
+export function generateUsageMap(colors, visualMetrics) {
   const roles = {};
   
   // Find primary (most saturated + mid lightness)
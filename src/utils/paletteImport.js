@@ -0,0 +1,226 @@
+// paletteImport.js - Bring existing palettes into hex&hue
+// Accepts swatch files (.ase, .aco, .gpl, .sketchpalette), CSS/SCSS custom
+// properties, Tailwind config objects and JSON (our own ExportPanel JSON,
+// W3C design tokens, Style Dictionary or a plain name → color map).
+// Everything comes back as named OKLCH colors.
+
+import { parse } from 'culori';
+import { toOklch } from './colorUtils';
+import { readASE, readACO, readGPL, readSketchPalette } from './swatchFiles';
+
+// Larger imports are almost always a full design-system dump; keep it usable
+const MAX_IMPORTED_COLORS = 64;
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+/**
+ * Import a palette from a user-selected file.
+ *
+ * @param {File} file
+ * @returns {Promise<{ name: string, colors: Array<{ name: string, color: Object }> }>}
+ *   colors are OKLCH
+ * @throws {Error} with a user-facing message when nothing usable is found
+ */
+export async function importPaletteFile(file) {
+  const ext = (file.name.split('.').pop() || '').toLowerCase();
+  const name = file.name.replace(/\.[^.]+$/, '') || 'Imported palette';
+
+  let swatches;
+  if (ext === 'ase') swatches = readASE(await file.arrayBuffer());
+  else if (ext === 'aco') swatches = readACO(await file.arrayBuffer());
+  else swatches = parsePaletteText(await file.text(), ext);
+
+  return { name, colors: finalize(swatches) };
+}
+
+/**
+ * Parse palette text. The extension is a hint; without one the format is
+ * sniffed from the content.
+ *
+ * @param {string} text
+ * @param {string} [ext]
+ * @returns {Array<{ name: string, color: Object }>} culori colors, not yet OKLCH
+ */
+export function parsePaletteText(text, ext = '') {
+  const trimmed = text.trim();
+
+  if (ext === 'gpl' || trimmed.startsWith('GIMP Palette')) return readGPL(trimmed);
+
+  if (ext === 'json' || ext === 'sketchpalette' || /^[[{]/.test(trimmed)) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      throw new Error('File is not valid JSON');
+    }
+    if (ext === 'sketchpalette' || isSketchPalette(data)) return readSketchPalette(data);
+    return parseColorJSON(data);
+  }
+
+  if (['js', 'cjs', 'mjs', 'ts'].includes(ext) || /module\.exports|export default|theme\s*:/.test(trimmed)) {
+    return parseTailwindConfig(trimmed);
+  }
+
+  return parseCSSVariables(trimmed);
+}
+
+// ============================================================================
+// TEXT FORMATS
+// ============================================================================
+
+/**
+ * CSS custom properties (--brand-blue: #1e40af) and SCSS variables
+ * ($brand-blue: #1e40af). Values that aren't colors on their own —
+ * var() references, bare RGB channel lists — are skipped. A variable
+ * declared again — in an @media (color-gamut: p3) block, or as the SCSS
+ * export's $name-p3 / $name-rec2020 — is one color: the later, wide-gamut
+ * value replaces the first in place.
+ */
+export function parseCSSVariables(text) {
+  const swatches = [];
+  const byName = new Map();
+  const pattern = /(?:--|\$)([\w-]+)\s*:\s*([^;{}]+);?/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const color = parseColorValue(match[2]);
+    if (!color) continue;
+    const wideOf = match[1].replace(/-(p3|rec2020)$/, '');
+    const name = byName.has(match[1]) || !byName.has(wideOf) ? match[1] : wideOf;
+    if (byName.has(name)) {
+      swatches[byName.get(name)].color = color;
+    } else {
+      byName.set(name, swatches.length);
+      swatches.push({ name, color });
+    }
+  }
+  return swatches;
+}
+
+/**
+ * Tailwind config source. Reads string-valued keys inside the object literal
+ * without evaluating it; nested groups become hyphenated names (brand-500).
+ */
+export function parseTailwindConfig(text) {
+  const source = text.replace(/\/\/.*$/gm, '').replace(/\/\*[\s\S]*?\*\//g, '');
+  const token = /(['"]?)([\w-]+)\1\s*:\s*(?:(\{)|(['"`])([^'"`]*)\4)|(\})/g;
+  const path = [];
+  const swatches = [];
+  let match;
+
+  while ((match = token.exec(source))) {
+    const [, , key, open, , value, close] = match;
+    if (close) {
+      path.pop();
+    } else if (open) {
+      path.push(key);
+    } else {
+      const color = parseColorValue(value);
+      if (!color) continue;
+      // Drop config scaffolding so names read like Tailwind classes
+      const group = path.filter(p => !['theme', 'extend', 'colors', 'module', 'exports'].includes(p));
+      const name = [...group, key === 'DEFAULT' ? null : key].filter(Boolean).join('-');
+      swatches.push({ name, color });
+    }
+  }
+  return swatches;
+}
+
+/**
+ * Walk any JSON structure for color leaves. Understands:
+ * - ExportPanel JSON ({ palette: { slug: { name, hex, oklch } } })
+ * - W3C DTCG tokens ($value strings or { colorSpace, components, hex })
+ * - Style Dictionary ({ value, type: 'color' })
+ * - plain maps ({ "Brand Blue": "#1e40af" }) and [{ name, hex }] lists
+ * Alias references ({color.palette.x}) are skipped.
+ */
+export function parseColorJSON(data) {
+  const swatches = [];
+
+  const visit = (node, path) => {
+    if (node === null || node === undefined) return;
+
+    if (typeof node === 'string') {
+      const color = parseColorValue(node);
+      if (color) swatches.push({ name: path[path.length - 1] || '', color });
+      return;
+    }
+    if (typeof node !== 'object') return;
+
+    const leaf = colorFromTokenNode(node);
+    if (leaf) {
+      swatches.push({ name: node.name || path[path.length - 1] || '', color: leaf });
+      return;
+    }
+
+    if (Array.isArray(node)) {
+      node.forEach((item, i) => visit(item, [...path, String(i + 1)]));
+    } else {
+      Object.entries(node)
+        .filter(([key]) => !key.startsWith('$'))
+        .forEach(([key, value]) => visit(value, [...path, key]));
+    }
+  };
+
+  visit(data, []);
+  return swatches;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function isSketchPalette(data) {
+  return Array.isArray(data?.colors) && 'compatibleVersion' in data;
+}
+
+// A single object that *is* a color in one of the supported token shapes
+function colorFromTokenNode(node) {
+  const value = node.$value ?? node.value;
+
+  if (value && typeof value === 'object' && Array.isArray(value.components)) {
+    const [a, b, c] = value.components.map(v => (v === 'none' ? 0 : v));
+    const space = value.colorSpace;
+    if (space === 'oklch') return { mode: 'oklch', l: a, c: b, h: c };
+    if (space === 'oklab') return { mode: 'oklab', l: a, a: b, b: c };
+    if (space === 'srgb') return { mode: 'rgb', r: a, g: b, b: c };
+    if (space === 'display-p3') return { mode: 'p3', r: a, g: b, b: c };
+    return value.hex ? parseColorValue(value.hex) : null;
+  }
+  if (typeof value === 'string') return parseColorValue(value);
+
+  // ExportPanel JSON: prefer the OKLCH string over the 8-bit hex
+  if (typeof node.oklch === 'string' || typeof node.hex === 'string') {
+    return parseColorValue(node.oklch) || parseColorValue(node.hex);
+  }
+  return null;
+}
+
+function parseColorValue(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (!text || text.startsWith('{') || /^var\(/i.test(text)) return null;
+  try {
+    return parse(text) || null;
+  } catch {
+    return null;
+  }
+}
+
+// Entries whose color doesn't parse are dropped rather than failing the import
+function finalize(swatches) {
+  const colors = swatches
+    .flatMap(({ name, color }) => {
+      const parsed = typeof color === 'string' ? parseColorValue(color) : color;
+      if (!parsed) return [];
+      const oklch = toOklch(parsed);
+      return [oklch.l, oklch.c, oklch.h].every(Number.isFinite) ? [{ name, color: oklch }] : [];
+    })
+    .slice(0, MAX_IMPORTED_COLORS);
+
+  if (!colors.length) {
+    throw new Error('No colors found in this file');
+  }
+  return colors;
+}
@@ -0,0 +1,461 @@
+// quantize.js - Image color quantization
+// Three quantizers for ImageExtractor, all fed from the same pixel sample:
+//   kmeans     — k-means++ in OKLab (perceptual clusters, best all-rounder)
+//   mediancut  — recursive box splits in OKLab, weighted toward vivid
+//                pixels (fast, keeps small saturated accents)
+//   wu         — Xiaolin Wu's variance-minimizing RGB quantizer
+// Each produces candidate clusters; extractPalette then picks the final colors
+// by the requested emphasis (dominant / vibrant / muted) and reports how much
+// of the image each one covers. Pure functions — runs in quantizeWorker.js.
+
+import { converter } from 'culori';
+import { deltaEOKLab, bandThreshold } from './colorDifference';
+
+const toOklch = converter('oklch');
+
+// Candidate clusters per requested color, so emphasis has something to choose from
+const CANDIDATE_FACTOR = 3;
+const MAX_CANDIDATES = 32;
+// ΔEOK under which two picks count as the same color: anything short of
+// "noticeable" at a glance
+const MIN_SEPARATION = bandThreshold('noticeable', 'deok');
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+/**
+ * Extract a palette from RGBA pixel data.
+ *
+ * @param {Uint8ClampedArray} rgba - ImageData.data
+ * @param {Object} [options]
+ * @param {'kmeans'|'mediancut'|'wu'} [options.method='kmeans']
+ * @param {number} [options.size=5] - Number of colors to return
+ * @param {'dominant'|'vibrant'|'muted'} [options.emphasis='dominant']
+ * @returns {Array<{ color: Object, coverage: number }>} OKLCH colors with the
+ *   fraction (0–1) of opaque pixels nearest to each
+ */
+export function extractPalette(rgba, options = {}) {
+  const { method = 'kmeans', size = 5, emphasis = 'dominant' } = options;
+
+  const sample = samplePixels(rgba);
+  if (sample.count === 0) return [];
+
+  const candidateCount = Math.min(MAX_CANDIDATES, size * CANDIDATE_FACTOR);
+  const quantizer = QUANTIZERS[method] || QUANTIZERS.kmeans;
+  const candidates = quantizer(sample, candidateCount).filter(c => c.count > 0);
+
+  const picks = pickByEmphasis(candidates, sample.count, size, emphasis);
+  const coverage = measureCoverage(sample, picks);
+
+  return picks
+    .map((lab, i) => ({
+      color: normalizeOklch(toOklch({ mode: 'oklab', l: lab[0], a: lab[1], b: lab[2] })),
+      coverage: coverage[i],
+    }))
+    .sort((a, b) => b.coverage - a.coverage);
+}
+
+const QUANTIZERS = {
+  kmeans: kMeans,
+  mediancut: medianCut,
+  wu: wuQuantize,
+};
+
+// ============================================================================
+// PIXEL SAMPLE
+// ============================================================================
+
+// sRGB byte → linear light
+const LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+  const v = i / 255;
+  LINEAR[i] = v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+// OKLab from sRGB bytes (Björn Ottosson's matrices)
+function rgbToOklab(r, g, b, out, offset) {
+  const lr = LINEAR[r], lg = LINEAR[g], lb = LINEAR[b];
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+  out[offset] = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+  out[offset + 1] = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+  out[offset + 2] = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+}
+
+// Opaque pixels as parallel RGB bytes and OKLab floats
+function samplePixels(rgba) {
+  const total = rgba.length / 4;
+  const rgb = new Uint8Array(total * 3);
+  const lab = new Float32Array(total * 3);
+  let count = 0;
+
+  for (let i = 0; i < total; i++) {
+    if (rgba[i * 4 + 3] < 128) continue;
+    const r = rgba[i * 4], g = rgba[i * 4 + 1], b = rgba[i * 4 + 2];
+    rgb[count * 3] = r;
+    rgb[count * 3 + 1] = g;
+    rgb[count * 3 + 2] = b;
+    rgbToOklab(r, g, b, lab, count * 3);
+    count++;
+  }
+
+  return { rgb, lab, count };
+}
+
+function labDistanceSq(lab, i, center) {
+  const dl = lab[i * 3] - center[0];
+  const da = lab[i * 3 + 1] - center[1];
+  const db = lab[i * 3 + 2] - center[2];
+  return dl * dl + da * da + db * db;
+}
+
+function nearestCenter(lab, i, centers) {
+  let best = 0;
+  let bestDist = Infinity;
+  for (let c = 0; c < centers.length; c++) {
+    const d = labDistanceSq(lab, i, centers[c]);
+    if (d < bestDist) { bestDist = d; best = c; }
+  }
+  return best;
+}
+
+// ============================================================================
+// K-MEANS (OKLab)
+// ============================================================================
+
+const KMEANS_ITERATIONS = 12;
+
+// Small deterministic PRNG so the same image always gives the same palette
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+function kMeans({ lab, count }, k) {
+  const random = seededRandom(count);
+  k = Math.min(k, count);
+
+  // k-means++ seeding
+  const centers = [];
+  const first = Math.floor(random() * count);
+  centers.push([lab[first * 3], lab[first * 3 + 1], lab[first * 3 + 2]]);
+  const dist = new Float32Array(count).fill(Infinity);
+
+  while (centers.length < k) {
+    const last = centers[centers.length - 1];
+    let sum = 0;
+    for (let i = 0; i < count; i++) {
+      dist[i] = Math.min(dist[i], labDistanceSq(lab, i, last));
+      sum += dist[i];
+    }
+    if (sum === 0) break;
+    let target = random() * sum;
+    let chosen = count - 1;
+    for (let i = 0; i < count; i++) {
+      target -= dist[i];
+      if (target <= 0) { chosen = i; break; }
+    }
+    centers.push([lab[chosen * 3], lab[chosen * 3 + 1], lab[chosen * 3 + 2]]);
+  }
+
+  const assignment = new Uint16Array(count);
+  let sums = [];
+  let counts = [];
+
+  for (let iter = 0; iter < KMEANS_ITERATIONS; iter++) {
+    sums = centers.map(() => [0, 0, 0]);
+    counts = centers.map(() => 0);
+    let moved = 0;
+
+    for (let i = 0; i < count; i++) {
+      const c = nearestCenter(lab, i, centers);
+      if (assignment[i] !== c) moved++;
+      assignment[i] = c;
+      sums[c][0] += lab[i * 3];
+      sums[c][1] += lab[i * 3 + 1];
+      sums[c][2] += lab[i * 3 + 2];
+      counts[c]++;
+    }
+
+    centers.forEach((center, c) => {
+      if (counts[c] === 0) return;
+      center[0] = sums[c][0] / counts[c];
+      center[1] = sums[c][1] / counts[c];
+      center[2] = sums[c][2] / counts[c];
+    });
+
+    if (iter > 0 && moved < count * 0.001) break;
+  }
+
+  return centers.map((lab, c) => ({ lab, count: counts[c] }));
+}
+
+// ============================================================================
+// MEDIAN CUT (OKLab)
+// ============================================================================
+
+// Vivid pixels count for more when choosing splits: weight 1 + (chroma /
+// VIVID_CHROMA)², so a saturated accent a fraction of a percent in size
+// still gets a box of its own instead of being averaged into the bulk
+const VIVID_CHROMA = 0.05;
+
+function medianCut({ lab, count }, k) {
+  const weight = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    weight[i] = 1 + (Math.hypot(lab[i * 3 + 1], lab[i * 3 + 2]) / VIVID_CHROMA) ** 2;
+  }
+
+  // Weighted squared error per axis; the box splits along the worst one
+  const boxOf = (indices) => {
+    let total = 0;
+    const sum = [0, 0, 0];
+    const sq = [0, 0, 0];
+    for (const i of indices) {
+      const w = weight[i];
+      total += w;
+      for (let ch = 0; ch < 3; ch++) {
+        const v = lab[i * 3 + ch];
+        sum[ch] += w * v;
+        sq[ch] += w * v * v;
+      }
+    }
+    const errors = sq.map((v, ch) => Math.max(0, v - (sum[ch] * sum[ch]) / total));
+    const axis = errors.indexOf(Math.max(...errors));
+    return { indices, axis, error: errors[0] + errors[1] + errors[2] };
+  };
+
+  // Cut sorted indices where the two sides' weighted means are furthest
+  // apart for their weight (most between-box variance). A plain median cut
+  // halves a small distinct region along with its surroundings.
+  const bestCut = (indices, axis) => {
+    let total = 0;
+    let sum = 0;
+    for (const i of indices) {
+      total += weight[i];
+      sum += weight[i] * lab[i * 3 + axis];
+    }
+    let left = 0;
+    let leftSum = 0;
+    let best = indices.length >> 1;
+    let bestScore = -1;
+    for (let n = 1; n < indices.length; n++) {
+      const i = indices[n - 1];
+      left += weight[i];
+      leftSum += weight[i] * lab[i * 3 + axis];
+      // Only between distinct values, so equal pixels stay together
+      if (lab[indices[n] * 3 + axis] === lab[i * 3 + axis]) continue;
+      const diff = leftSum * total - sum * left;
+      const score = (diff * diff) / (left * (total - left));
+      if (score > bestScore) { bestScore = score; best = n; }
+    }
+    return best;
+  };
+
+  const boxes = [boxOf(Array.from({ length: count }, (_, i) => i))];
+
+  while (boxes.length < k) {
+    // Split the box with the most weighted error
+    let target = -1;
+    let bestError = 0;
+    boxes.forEach((box, i) => {
+      if (box.indices.length > 1 && box.error > bestError) { bestError = box.error; target = i; }
+    });
+    if (target === -1) break;
+
+    const { indices, axis } = boxes[target];
+    indices.sort((a, b) => lab[a * 3 + axis] - lab[b * 3 + axis]);
+    const cut = bestCut(indices, axis);
+    boxes.splice(target, 1, boxOf(indices.slice(0, cut)), boxOf(indices.slice(cut)));
+  }
+
+  return boxes.map(({ indices }) => {
+    const mean = [0, 0, 0];
+    for (const i of indices) {
+      mean[0] += lab[i * 3];
+      mean[1] += lab[i * 3 + 1];
+      mean[2] += lab[i * 3 + 2];
+    }
+    return { lab: mean.map(v => v / indices.length), count: indices.length };
+  });
+}
+
+// ============================================================================
+// WU'S QUANTIZER (RGB, 5 bits per channel)
+// ============================================================================
+
+const WU_SIDE = 33;
+
+function wuIndex(r, g, b) {
+  return (r * WU_SIDE + g) * WU_SIDE + b;
+}
+
+function wuQuantize({ rgb, count }, k) {
+  const size = WU_SIDE * WU_SIDE * WU_SIDE;
+  const wt = new Float64Array(size);
+  const mr = new Float64Array(size);
+  const mg = new Float64Array(size);
+  const mb = new Float64Array(size);
+  const m2 = new Float64Array(size);
+
+  // Histogram
+  for (let i = 0; i < count; i++) {
+    const r = rgb[i * 3], g = rgb[i * 3 + 1], b = rgb[i * 3 + 2];
+    const idx = wuIndex((r >> 3) + 1, (g >> 3) + 1, (b >> 3) + 1);
+    wt[idx]++;
+    mr[idx] += r;
+    mg[idx] += g;
+    mb[idx] += b;
+    m2[idx] += r * r + g * g + b * b;
+  }
+
+  // Cumulative moments
+  for (let r = 1; r < WU_SIDE; r++) {
+    const area = new Float64Array(WU_SIDE * 5);
+    for (let g = 1; g < WU_SIDE; g++) {
+      const line = [0, 0, 0, 0, 0];
+      for (let b = 1; b < WU_SIDE; b++) {
+        const idx = wuIndex(r, g, b);
+        line[0] += wt[idx]; line[1] += mr[idx]; line[2] += mg[idx]; line[3] += mb[idx]; line[4] += m2[idx];
+        const a = b * 5;
+        for (let m = 0; m < 5; m++) area[a + m] += line[m];
+        const prev = wuIndex(r - 1, g, b);
+        wt[idx] = wt[prev] + area[a];
+        mr[idx] = mr[prev] + area[a + 1];
+        mg[idx] = mg[prev] + area[a + 2];
+        mb[idx] = mb[prev] + area[a + 3];
+        m2[idx] = m2[prev] + area[a + 4];
+      }
+    }
+  }
+
+  const moments = [wt, mr, mg, mb];
+
+  const volume = (box, m) =>
+    m[wuIndex(box.r1, box.g1, box.b1)] - m[wuIndex(box.r1, box.g1, box.b0)]
+    - m[wuIndex(box.r1, box.g0, box.b1)] + m[wuIndex(box.r1, box.g0, box.b0)]
+    - m[wuIndex(box.r0, box.g1, box.b1)] + m[wuIndex(box.r0, box.g1, box.b0)]
+    + m[wuIndex(box.r0, box.g0, box.b1)] - m[wuIndex(box.r0, box.g0, box.b0)];
+
+  // Moment of the box's lower face along one axis, and the same face at `pos`
+  const bottom = (box, axis, m) => {
+    const { r0, r1, g0, g1, b0, b1 } = box;
+    if (axis === 0) return -m[wuIndex(r0, g1, b1)] + m[wuIndex(r0, g1, b0)] + m[wuIndex(r0, g0, b1)] - m[wuIndex(r0, g0, b0)];
+    if (axis === 1) return -m[wuIndex(r1, g0, b1)] + m[wuIndex(r1, g0, b0)] + m[wuIndex(r0, g0, b1)] - m[wuIndex(r0, g0, b0)];
+    return -m[wuIndex(r1, g1, b0)] + m[wuIndex(r1, g0, b0)] + m[wuIndex(r0, g1, b0)] - m[wuIndex(r0, g0, b0)];
+  };
+  const top = (box, axis, pos, m) => {
+    const { r0, r1, g0, g1, b0, b1 } = box;
+    if (axis === 0) return m[wuIndex(pos, g1, b1)] - m[wuIndex(pos, g1, b0)] - m[wuIndex(pos, g0, b1)] + m[wuIndex(pos, g0, b0)];
+    if (axis === 1) return m[wuIndex(r1, pos, b1)] - m[wuIndex(r1, pos, b0)] - m[wuIndex(r0, pos, b1)] + m[wuIndex(r0, pos, b0)];
+    return m[wuIndex(r1, g1, pos)] - m[wuIndex(r1, g0, pos)] - m[wuIndex(r0, g1, pos)] + m[wuIndex(r0, g0, pos)];
+  };
+
+  const variance = (box) => {
+    const w = volume(box, wt);
+    if (w === 0) return 0;
+    const r = volume(box, mr), g = volume(box, mg), b = volume(box, mb);
+    return volume(box, m2) - (r * r + g * g + b * b) / w;
+  };
+
+  const maximize = (box, axis, first, last, whole) => {
+    const base = moments.map(m => bottom(box, axis, m));
+    let best = 0;
+    let cut = -1;
+    for (let pos = first; pos < last; pos++) {
+      const half = moments.map((m, i) => base[i] + top(box, axis, pos, m));
+      if (half[0] === 0) continue;
+      const rest = whole.map((v, i) => v - half[i]);
+      if (rest[0] === 0) continue;
+      const score = (half[1] ** 2 + half[2] ** 2 + half[3] ** 2) / half[0]
+        + (rest[1] ** 2 + rest[2] ** 2 + rest[3] ** 2) / rest[0];
+      if (score > best) { best = score; cut = pos; }
+    }
+    return { score: best, cut };
+  };
+
+  const cutBox = (box) => {
+    const whole = moments.map(m => volume(box, m));
+    const ranges = [[box.r0, box.r1], [box.g0, box.g1], [box.b0, box.b1]];
+    const results = ranges.map(([lo, hi], axis) => maximize(box, axis, lo + 1, hi, whole));
+    const axis = results.reduce((bestAxis, res, i) => (res.score > results[bestAxis].score ? i : bestAxis), 0);
+    if (results[axis].cut < 0) return null;
+
+    const cut = results[axis].cut;
+    const other = { ...box };
+    if (axis === 0) { other.r0 = cut; box.r1 = cut; }
+    if (axis === 1) { other.g0 = cut; box.g1 = cut; }
+    if (axis === 2) { other.b0 = cut; box.b1 = cut; }
+    return other;
+  };
+
+  const boxes = [{ r0: 0, r1: WU_SIDE - 1, g0: 0, g1: WU_SIDE - 1, b0: 0, b1: WU_SIDE - 1 }];
+  const vv = [0];
+  let next = 0;
+
+  while (boxes.length < k) {
+    const other = cutBox(boxes[next]);
+    if (other) {
+      boxes.push(other);
+      vv[next] = variance(boxes[next]);
+      vv.push(variance(other));
+    } else {
+      vv[next] = 0;
+    }
+    next = vv.indexOf(Math.max(...vv));
+    if (vv[next] <= 0) break;
+  }
+
+  const out = new Float32Array(3);
+  return boxes.map((box) => {
+    const w = volume(box, wt);
+    if (w === 0) return { lab: [0, 0, 0], count: 0 };
+    const mean = [mr, mg, mb].map(m => Math.round(volume(box, m) / w));
+    rgbToOklab(mean[0], mean[1], mean[2], out, 0);
+    return { lab: [out[0], out[1], out[2]], count: w };
+  });
+}
+
+// ============================================================================
+// EMPHASIS & COVERAGE
+// ============================================================================
+
+function pickByEmphasis(candidates, total, size, emphasis) {
+  const scored = candidates.map(({ lab, count }) => {
+    const share = count / total;
+    const chroma = Math.hypot(lab[1], lab[2]);
+    const midTone = 1 - Math.abs(lab[0] - 0.6) * 1.5;
+    let score;
+    if (emphasis === 'vibrant') {
+      // Strong accents win even when small
+      score = Math.sqrt(share) * Math.pow(chroma / 0.2, 2) * Math.max(0.2, midTone);
+    } else if (emphasis === 'muted') {
+      score = Math.sqrt(share) * Math.max(0.05, 1 - chroma / 0.12) * Math.max(0.2, midTone);
+    } else {
+      score = share;
+    }
+    return { lab, score };
+  }).sort((a, b) => b.score - a.score);
+
+  const picks = [];
+  for (const { lab } of scored) {
+    const tooClose = picks.some(p => deltaEOKLab(p, lab) < MIN_SEPARATION);
+    if (!tooClose) picks.push(lab);
+    if (picks.length >= size) break;
+  }
+  return picks;
+}
+
+function measureCoverage({ lab, count }, picks) {
+  const counts = new Array(picks.length).fill(0);
+  for (let i = 0; i < count; i++) counts[nearestCenter(lab, i, picks)]++;
+  return counts.map(c => c / count);
+}
+
+function normalizeOklch(c) {
+  return { mode: 'oklch', l: c.l ?? 0, c: c.c ?? 0, h: c.h ?? 0 };
+}
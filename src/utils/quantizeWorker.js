@@ -0,0 +1,14 @@
+// quantizeWorker.js - Runs image quantization off the main thread
+// Message in:  { id, pixels: Uint8ClampedArray, options }  (see extractPalette)
+// Message out: { id, palette } or { id, error }
+
+import { extractPalette } from './quantize';
+
+self.onmessage = ({ data }) => {
+  const { id, pixels, options } = data;
+  try {
+    self.postMessage({ id, palette: extractPalette(pixels, options) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,276 @@
+// semanticColors.js - Status colors tuned to a brand palette
+// Success, warning, danger and info have to stay recognizable — green,
+// amber, red, blue — so each keeps to its own hue range. Within that range
+// they join the brand's "family":
+//   hue       — a brand color already inside the range is used as is (a
+//               green brand gets its own green for success); otherwise the
+//               role's default hue leans a little toward the brand
+//   chroma    — the brand's typical chroma, clamped so muted brands still
+//               get colors that read as status and loud ones don't shout
+//   lightness — pulled toward the brand's typical lightness, within the
+//               range where the hue still reads (amber can't go dark)
+// Each role then gets UI variants — solid, background, border, text, icon
+// and the text that sits on the solid — with text and icon contrast held to
+// AA (4.5:1) and the 3:1 non-text minimum against the background, and the
+// solid itself nudged in lightness until the text on it reaches AA.
+
+import { oklchToHex, wcagContrast } from './colorUtils';
+import { fitToSrgb } from './gamutMapping';
+import { suggestContrastFixes } from './contrastFix';
+
+/**
+ * Status roles. `range` is the hue window the role stays recognizable in
+ * (start may exceed end to wrap through 0°); `lightness` the window for the
+ * solid.
+ */
+export const SEMANTIC_ROLES = [
+  { id: 'success', label: 'Success', hue: 145, range: [125, 165], lightness: [0.5, 0.68], message: 'Changes saved successfully.' },
+  { id: 'warning', label: 'Warning', hue: 75, range: [55, 95], lightness: [0.7, 0.84], message: 'Your trial ends in 3 days.' },
+  { id: 'danger', label: 'Danger', hue: 25, range: [5, 40], lightness: [0.5, 0.64], message: 'Payment could not be processed.' },
+  { id: 'info', label: 'Info', hue: 245, range: [220, 265], lightness: [0.5, 0.66], message: 'A new version is available.' },
+];
+
+export const SEMANTIC_VARIANTS = [
+  { id: 'solid', label: 'Solid' },
+  { id: 'background', label: 'Background' },
+  { id: 'border', label: 'Border' },
+  { id: 'text', label: 'Text' },
+  { id: 'icon', label: 'Icon' },
+  { id: 'onSolid', label: 'On solid' },
+];
+
+const CHROMA_RANGE = [0.1, 0.2];
+// How far toward the brand's lightness / hue the defaults move
+const LIGHTNESS_PULL = 0.5;
+const MAX_HUE_LEAN = 10;
+// Below this chroma a palette color doesn't count toward the brand family
+const CHROMATIC = 0.04;
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+/**
+ * Status colors for a brand palette.
+ *
+ * @param {Object[]} palette - OKLCH brand colors (a single base color works)
+ * @returns {Object} { success, warning, danger, info }, each
+ *   { id, label, hue, solid, background, border, text, icon, onSolid,
+ *   checks: { text, icon, onSolid } } with OKLCH variants and WCAG ratios
+ */
+export function generateSemanticColors(palette) {
+  const family = brandFamily(palette);
+  const set = {};
+  SEMANTIC_ROLES.forEach(role => {
+    set[role.id] = buildRole(role, semanticSolid(role, family));
+  });
+  return set;
+}
+
+/**
+ * Just the solid color for each role — what a palette generator needs.
+ *
+ * @param {Object[]} palette - OKLCH brand colors
+ * @returns {{ success: Object, warning: Object, danger: Object, info: Object }}
+ */
+export function generateSemanticSolids(palette) {
+  const family = brandFamily(palette);
+  return Object.fromEntries(SEMANTIC_ROLES.map(role => [role.id, semanticSolid(role, family)]));
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export const SEMANTIC_EXPORT_FORMATS = [
+  { id: 'css', label: 'CSS', ext: 'css' },
+  { id: 'tailwind', label: 'Tailwind', ext: 'js' },
+  { id: 'json', label: 'Tokens', ext: 'json' },
+];
+
+// Variant → token suffix
+const TOKEN_SUFFIX = {
+  solid: '',
+  background: '-bg',
+  border: '-border',
+  text: '-text',
+  icon: '-icon',
+  onSolid: '-on',
+};
+
+/**
+ * The full set as code.
+ *
+ * @param {Object} set - From generateSemanticColors
+ * @param {'css'|'tailwind'|'json'} format
+ * @returns {string}
+ */
+export function formatSemanticExport(set, format) {
+  const roles = SEMANTIC_ROLES.map(r => set[r.id]);
+
+  if (format === 'json') {
+    const color = {};
+    roles.forEach(role => {
+      color[role.id] = {};
+      SEMANTIC_VARIANTS.forEach(v => {
+        color[role.id][v.id] = { $value: oklchToHex(role[v.id]) };
+      });
+    });
+    return JSON.stringify({
+      $description: 'hex&hue status colors (W3C Design Tokens Community Group format)',
+      color: { $type: 'color', status: color },
+    }, null, 2);
+  }
+
+  if (format === 'tailwind') {
+    const entries = roles.map(role => {
+      const variants = SEMANTIC_VARIANTS.map(v => {
+        const key = v.id === 'solid' ? 'DEFAULT' : TOKEN_SUFFIX[v.id].slice(1);
+        return `      '${key}': '${oklchToHex(role[v.id])}',`;
+      });
+      return [`    ${role.id}: {`, ...variants, '    },'].join('\n');
+    });
+    return [
+      '// hex&hue status colors — tailwind.config.js',
+      'module.exports = {',
+      '  theme: {',
+      '    extend: {',
+      '      colors: {',
+      ...entries.map(e => e.replace(/^/gm, '    ')),
+      '      },',
+      '    },',
+      '  },',
+      '};',
+    ].join('\n');
+  }
+
+  const lines = roles.flatMap(role => [
+    `  /* ${role.label} */`,
+    ...SEMANTIC_VARIANTS.map(v => `  --color-${role.id}${TOKEN_SUFFIX[v.id]}: ${oklchToHex(role[v.id])};`),
+  ]);
+  return [':root {', '  /* hex&hue status colors */', ...lines, '}'].join('\n');
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Typical lightness, chroma and the hues of the palette's chromatic colors
+function brandFamily(palette) {
+  const chromatic = (palette || []).filter(c => (c.c ?? 0) >= CHROMATIC);
+  if (!chromatic.length) return { l: 0.58, c: 0.14, hues: [] };
+  return {
+    l: median(chromatic.map(c => c.l ?? 0.58)),
+    c: median(chromatic.map(c => c.c)),
+    hues: chromatic.map(c => c.h ?? 0),
+  };
+}
+
+function semanticSolid(role, family) {
+  const own = family.hues
+    .filter(h => inRange(h, role.range))
+    .sort((a, b) => hueDistance(a, role.hue) - hueDistance(b, role.hue))[0];
+
+  let hue = own;
+  if (hue === undefined) {
+    // Lean toward the nearest brand hue, staying inside the range
+    const nearest = [...family.hues].sort((a, b) => hueDistance(a, role.hue) - hueDistance(b, role.hue))[0];
+    const lean = nearest === undefined ? 0 : Math.max(-MAX_HUE_LEAN, Math.min(MAX_HUE_LEAN, signedHueDelta(role.hue, nearest) * 0.25));
+    hue = clampHue(normalizeHue(role.hue + lean), role.range);
+  }
+
+  const [minL, maxL] = role.lightness;
+  const defaultL = (minL + maxL) / 2;
+  const l = clamp(defaultL + (family.l - defaultL) * LIGHTNESS_PULL, minL, maxL);
+  const c = clamp(family.c, CHROMA_RANGE[0], CHROMA_RANGE[1]);
+  return readableSolid(fitToSrgb({ mode: 'oklch', l, c, h: hue }));
+}
+
+// White or near-black, whichever reads better on the solid
+function onSolidFor(solid) {
+  const { h, c } = solid;
+  const light = { mode: 'oklch', l: 1, c: 0, h };
+  const dark = fitToSrgb({ mode: 'oklch', l: 0.22, c: c * 0.3, h });
+  return wcagContrast(light, solid) >= wcagContrast(dark, solid) ? light : dark;
+}
+
+// Badges and toasts put text on the solid, so it has to carry AA too: move
+// its lightness away from that text (darker under white, lighter under dark)
+function readableSolid(solid) {
+  const onSolid = oklchToHex(onSolidFor(solid));
+  const { passes, suggestions } = suggestContrastFixes(solid, onSolid, { level: 'AA', size: 'normal', replace: 'background' });
+  if (passes) return solid;
+  const away = onSolidFor(solid).l > 0.5 ? 'darken' : 'lighten';
+  const moved = suggestions.find(s => s.ids.includes(away)) || suggestions[0];
+  return moved ? moved.color : solid;
+}
+
+function buildRole(role, solid) {
+  const { h, c } = solid;
+  const background = fitToSrgb({ mode: 'oklch', l: 0.97, c: c * 0.18, h });
+  const border = fitToSrgb({ mode: 'oklch', l: 0.87, c: c * 0.5, h });
+  const bgHex = oklchToHex(background);
+
+  const text = reach(fitToSrgb({ mode: 'oklch', l: 0.42, c: c * 0.85, h }), bgHex, 'normal');
+  const icon = reach(solid, bgHex, 'large');
+
+  const onSolid = onSolidFor(solid);
+
+  return {
+    id: role.id,
+    label: role.label,
+    hue: h,
+    solid,
+    background,
+    border,
+    text,
+    icon,
+    onSolid,
+    // Measured on the hex each variant exports as
+    checks: {
+      text: wcagContrast(oklchToHex(text), bgHex),
+      icon: wcagContrast(oklchToHex(icon), bgHex),
+      onSolid: wcagContrast(oklchToHex(onSolid), oklchToHex(solid)),
+    },
+  };
+}
+
+// Darken until the color meets AA (normal) or 3:1 (large / non-text)
+function reach(color, background, size) {
+  const { passes, suggestions } = suggestContrastFixes(color, background, { level: 'AA', size });
+  if (passes) return color;
+  const darker = suggestions.find(s => s.ids.includes('darken')) || suggestions[0];
+  return darker ? darker.color : color;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function inRange(h, [start, end]) {
+  return start <= end ? h >= start && h <= end : h >= start || h <= end;
+}
+
+function hueDistance(a, b) {
+  return Math.abs(signedHueDelta(a, b));
+}
+
+// Shortest signed rotation from a to b, -180…180
+function signedHueDelta(a, b) {
+  return ((b - a + 540) % 360) - 180;
+}
+
+function clampHue(h, range) {
+  if (inRange(h, range)) return h;
+  return hueDistance(h, range[0]) < hueDistance(h, range[1]) ? range[0] : range[1];
+}
+
+function normalizeHue(hue) {
+  return ((hue % 360) + 360) % 360;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,138 @@
+// shareState.js - Shareable links
+// Serializes the studio state into a compact URL hash (#s=…) and restores it.
+// Colors travel as raw OKLCH numbers, so a shared palette comes back exactly —
+// JSON number formatting is round-trip exact for doubles, unlike hex.
+
+const HASH_KEY = 's';
+const VERSION = 1;
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+// Achromatic colors can carry an undefined/NaN hue; JSON would turn NaN into null
+const finite = (v) => (Number.isFinite(v) ? v : 0);
+const packColor = (c) => [finite(c.l), finite(c.c), finite(c.h)];
+
+const unpackColor = (arr) => {
+  if (!Array.isArray(arr) || arr.length !== 3 || !arr.every(Number.isFinite)) return null;
+  const [l, c, h] = arr;
+  return { mode: 'oklch', l, c, h };
+};
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Encode app state into a hash fragment (without the leading '#').
+ *
+ * @param {Object} state
+ * @param {Object} state.selectedColor - OKLCH color
+ * @param {Object[]} state.activePalette - OKLCH colors
+ * @param {number[]} state.lockedIndices
+ * @param {string} state.activeTab
+ * @param {string} state.selectedHarmony
+ * @param {string} state.designContext
+ * @param {Object} [state.gradientSettings] - { mode, gradientType, angle, vibeStyle, huePath, stops }
+ * @returns {string}
+ */
+export function encodeShareState(state) {
+  const payload = {
+    v: VERSION,
+    c: packColor(state.selectedColor),
+    p: (state.activePalette || []).map(packColor),
+    k: state.lockedIndices || [],
+    t: state.activeTab,
+    h: state.selectedHarmony,
+    x: state.designContext,
+  };
+
+  const g = state.gradientSettings;
+  if (g) {
+    payload.g = [g.mode, g.gradientType, g.angle, g.vibeStyle, g.huePath, g.stops];
+  }
+
+  return `${HASH_KEY}=${toBase64Url(JSON.stringify(payload))}`;
+}
+
+/**
+ * Decode a hash produced by encodeShareState. Unknown or malformed fields are
+ * dropped rather than failing the whole link.
+ *
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @returns {Object|null} Partial state, or null if the hash holds no share state
+ */
+export function decodeShareState(hash) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const encoded = params.get(HASH_KEY);
+  if (!encoded) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(encoded));
+  } catch {
+    return null;
+  }
+  if (!payload || payload.v !== VERSION) return null;
+
+  const state = {};
+
+  const selectedColor = unpackColor(payload.c);
+  if (selectedColor) state.selectedColor = selectedColor;
+
+  if (Array.isArray(payload.p)) {
+    const palette = payload.p.map(unpackColor).filter(Boolean);
+    if (palette.length) state.activePalette = palette;
+  }
+
+  if (Array.isArray(payload.k)) {
+    const max = state.activePalette?.length ?? 0;
+    state.lockedIndices = payload.k.filter(i => Number.isInteger(i) && i >= 0 && i < max);
+  }
+
+  if (typeof payload.t === 'string') state.activeTab = payload.t;
+  if (typeof payload.h === 'string') state.selectedHarmony = payload.h;
+  if (typeof payload.x === 'string') state.designContext = payload.x;
+
+  if (Array.isArray(payload.g)) {
+    const [mode, gradientType, angle, vibeStyle, huePath, stops] = payload.g;
+    state.gradientSettings = {
+      mode: typeof mode === 'string' ? mode : undefined,
+      gradientType: typeof gradientType === 'string' ? gradientType : undefined,
+      angle: Number.isFinite(angle) ? angle : undefined,
+      vibeStyle: typeof vibeStyle === 'string' ? vibeStyle : undefined,
+      huePath: typeof huePath === 'string' ? huePath : undefined,
+      stops: Number.isInteger(stops) ? stops : undefined,
+    };
+  }
+
+  return state;
+}
+
+/**
+ * Full shareable URL for the current page.
+ */
+export function buildShareUrl(state) {
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}#${encodeShareState(state)}`;
+}
+
+/**
+ * Drop the share hash from the address bar once it has been restored, so a
+ * later reload reflects the user's edits rather than the original link.
+ */
+export function clearShareHash() {
+  const { pathname, search } = window.location;
+  window.history.replaceState(null, '', `${pathname}${search}`);
+}
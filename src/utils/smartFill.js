@@ -6,6 +6,8 @@
 // then decides what's genuinely missing vs. what would be generic.
 // ============================================================================
 
+import { enforceCvdSafety, makeCvdSafe } from './cvdSafe';
+
 // ============================================================================
 // 1. PALETTE CHARACTER ANALYSIS
 // ============================================================================
@@ -410,7 +412,10 @@ function executeStrategy(strategy, character, existingColors, slotIndex, already
  * @param {number} targetTotal - Desired total palette size
  * @param {Object} options
  * @param {boolean} options.preserveOrder - Return fills in strategy order (default: true)
- * @returns {{ fills: Object[], strategies: string[], character: Object }}
+ * @param {Object} options.cvdSafe - { minDeltaE }: nudge fills until every pair
+ *   stays apart under CVD simulation; existing colors never move
+ * @returns {{ fills: Object[], strategies: string[], character: Object, cvdReport: Object|null }}
+ *   cvdReport indices count existing colors first, then fills
  */
 export function smartFillPalette(existingColors, targetTotal, options = {}) {
   const fillCount = Math.max(0, targetTotal - existingColors.length);
@@ -427,7 +432,15 @@ export function smartFillPalette(existingColors, targetTotal, options = {}) {
     fills.push({ ...color, mode: 'oklch' });
   }
 
-  return { fills, strategies, character };
+  if (options.cvdSafe) {
+    const { colors, report } = enforceCvdSafety([...existingColors, ...fills], {
+      ...options.cvdSafe,
+      locked: existingColors.map((_, i) => i),
+    });
+    return { fills: colors.slice(existingColors.length), strategies, character, cvdReport: report };
+  }
+
+  return { fills, strategies, character, cvdReport: null };
 }
 
 /**
@@ -436,9 +449,12 @@ export function smartFillPalette(existingColors, targetTotal, options = {}) {
  *
  * @param {Object[]} currentPalette - Full current palette (all colors)
  * @param {number[]} lockedIndices - Indices that should NOT be regenerated
+ * @param {Object} options
+ * @param {Object} options.cvdSafe - { minDeltaE }: keep the merged palette
+ *   CVD-safe (report via getCvdReport)
  * @returns {Object[]} New full palette with locked slots preserved
  */
-export function regenerateUnlocked(currentPalette, lockedIndices) {
+export function regenerateUnlocked(currentPalette, lockedIndices, options = {}) {
   if (!currentPalette.length) return currentPalette;
 
   const lockedColors = lockedIndices
@@ -459,7 +475,7 @@ export function regenerateUnlocked(currentPalette, lockedIndices) {
       fillIdx++;
     }
   }
-  return result;
+  return options.cvdSafe ? makeCvdSafe(result, { ...options.cvdSafe, locked: lockedIndices }) : result;
 }
 
 /**
@@ -2,9 +2,16 @@
 // Generates palettes based on design context, not just geometric color theory
 
 import { toOklch, oklchToHex } from './colorUtils';
+import { makeCvdSafe } from './cvdSafe';
+import { generateDatavizPalette } from './dataviz';
+import { generateSemanticSolids } from './semanticColors';
 
 /**
  * Main smart harmony generator - routes to context-specific functions
+ *
+ * `options.cvdSafe` ({ minDeltaE }) keeps every pair apart under CVD
+ * simulation; the primary stays put and getCvdReport() lists what moved.
+ * `options.dataviz` configures the dataviz context (see dataviz.js).
  */
 export function generateSmartHarmony(baseColor, context = 'ui', options = {}) {
   const strategies = {
@@ -13,11 +20,15 @@ export function generateSmartHarmony(baseColor, context = 'ui', options = {}) {
     editorial: generateEditorialHarmony,
     minimalist: generateMinimalistHarmony,
     vibrant: generateVibrantHarmony,
-    professional: generateProfessionalHarmony
+    professional: generateProfessionalHarmony,
+    dataviz: generateDatavizHarmony
   };
 
   const generator = strategies[context] || strategies.ui;
-  return generator(baseColor, options);
+  const palette = generator(baseColor, options);
+  // Nudging would break the lightness order sequential/diverging ramps rely on
+  const ordered = context === 'dataviz' && options.dataviz?.scheme && options.dataviz.scheme !== 'categorical';
+  return options.cvdSafe && !ordered ? makeCvdSafe(palette, { ...options.cvdSafe, locked: [0] }) : palette;
 }
 
 /**
@@ -77,10 +88,11 @@ function generateUIHarmony(base, options = {}) {
 
   // Add semantic colors if requested
   if (includeSemantics) {
-    palette.success = generateSemanticGreen(base);
-    palette.warning = generateSemanticYellow(base);
-    palette.error = generateSemanticRed(base);
-    palette.info = generateSemanticBlue(base);
+    const semantic = generateSemanticSolids([base]);
+    palette.success = semantic.success;
+    palette.warning = semantic.warning;
+    palette.error = semantic.danger;
+    palette.info = semantic.info;
   }
 
   return Object.values(palette);
@@ -428,61 +440,6 @@ export function generateGoldenHarmony(base, options = {}) {
   }));
 }
 
-// ============================================================================
-// SEMANTIC COLOR GENERATORS - Success, Error, Warning, Info
-// ============================================================================
-
-function generateSemanticGreen(baseColor) {
-  // Success - green but harmonized with base
-  const baseHue = baseColor.h || 0;
-  
-  // If base is already greenish, use it; otherwise use standard green
-  const targetHue = (baseHue >= 90 && baseHue <= 150) ? baseHue : 140;
-  
-  return {
-    mode: 'oklch',
-    h: targetHue,
-    c: 0.16,
-    l: 0.55
-  };
-}
-
-function generateSemanticRed(baseColor) {
-  // Error - red but harmonized
-  const baseHue = baseColor.h || 0;
-  const targetHue = (baseHue >= 0 && baseHue <= 30) || baseHue >= 330 ? baseHue : 10;
-  
-  return {
-    mode: 'oklch',
-    h: targetHue,
-    c: 0.20,
-    l: 0.52
-  };
-}
-
-function generateSemanticYellow(baseColor) {
-  // Warning - orange/yellow
-  return {
-    mode: 'oklch',
-    h: 70, // Orange-yellow
-    c: 0.18,
-    l: 0.65
-  };
-}
-
-function generateSemanticBlue(baseColor) {
-  // Info - blue
-  const baseHue = baseColor.h || 0;
-  const targetHue = (baseHue >= 200 && baseHue <= 260) ? baseHue : 230;
-  
-  return {
-    mode: 'oklch',
-    h: targetHue,
-    c: 0.14,
-    l: 0.58
-  };
-}
-
 // ============================================================================
 // ADVANCED HARMONY TECHNIQUES
 // ============================================================================
@@ -592,6 +549,14 @@ export function generateContrastOptimized(base, options = {}) {
   }
 }
 
+/**
+ * DATA VIZ HARMONY - Chart palettes
+ * Categorical by default; sequential and diverging via options.dataviz
+ */
+function generateDatavizHarmony(base, options = {}) {
+  return generateDatavizPalette(base, options.dataviz);
+}
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -644,6 +609,12 @@ export function getContextMetadata() {
       description: 'Corporate palettes conveying trust and stability',
       colorCount: 6,
       characteristics: ['Conservative', 'Trustworthy', 'Balanced']
+    },
+    dataviz: {
+      name: 'Data Viz',
+      description: 'Categorical, sequential and diverging chart palettes',
+      colorCount: 8,
+      characteristics: ['Distinguishable', 'CVD-aware', 'Even steps']
     }
   };
 }
@@ -0,0 +1,422 @@
+// swatchFiles.js - Palette files for design and paint apps
+// Writers for Adobe Swatch Exchange (.ase — also read by Affinity), GIMP .gpl,
+// Procreate .swatches and Sketch .sketchpalette. Every writer takes OKLCH
+// colors plus display names and returns a Blob ready for download.
+// Colors are written as the same sRGB hex the rest of the app exports,
+// gamut-mapped with the session's mapping method.
+// Readers for .ase, .aco, .gpl and .sketchpalette return
+// [{ name, color }] with culori colors; paletteImport.js turns those into OKLCH.
+
+import { converter, parse } from 'culori';
+import { oklchToHex } from './colorUtils';
+
+const toHsv = converter('hsv');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function hexToRgb8(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function rgb8(color) {
+  return hexToRgb8(oklchToHex(color));
+}
+
+// ============================================================================
+// ADOBE SWATCH EXCHANGE (.ase)
+// ============================================================================
+
+const ASE_GROUP_START = 0xc001;
+const ASE_GROUP_END = 0xc002;
+const ASE_COLOR_ENTRY = 0x0001;
+const ASE_COLOR_GLOBAL = 0;
+
+// ASE strings: uint16 length in UTF-16 units (including the null), UTF-16BE text
+function aseString(text) {
+  const bytes = new Uint8Array(2 + (text.length + 1) * 2);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, text.length + 1);
+  for (let i = 0; i < text.length; i++) view.setUint16(2 + i * 2, text.charCodeAt(i));
+  return bytes;
+}
+
+function aseBlock(type, body) {
+  const bytes = new Uint8Array(6 + body.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, type);
+  view.setUint32(2, body.length);
+  bytes.set(body, 6);
+  return bytes;
+}
+
+function aseColor(name, color) {
+  const label = aseString(name);
+  const body = new Uint8Array(label.length + 4 + 12 + 2);
+  const view = new DataView(body.buffer);
+  body.set(label, 0);
+
+  let offset = label.length;
+  'RGB '.split('').forEach((ch, i) => view.setUint8(offset + i, ch.charCodeAt(0)));
+  offset += 4;
+  rgb8(color).forEach(v => { view.setFloat32(offset, v / 255); offset += 4; });
+  view.setUint16(offset, ASE_COLOR_GLOBAL);
+
+  return aseBlock(ASE_COLOR_ENTRY, body);
+}
+
+/**
+ * Adobe Swatch Exchange, one named group holding RGB global swatches.
+ * Opens in Photoshop, Illustrator, InDesign and the Affinity apps.
+ */
+export function writeASE(colors, names, paletteName = 'hex&hue') {
+  const blocks = [
+    aseBlock(ASE_GROUP_START, aseString(paletteName)),
+    ...colors.map((c, i) => aseColor(names[i] || `Color ${i + 1}`, c)),
+    aseBlock(ASE_GROUP_END, new Uint8Array(0)),
+  ];
+
+  const header = new Uint8Array(12);
+  const view = new DataView(header.buffer);
+  'ASEF'.split('').forEach((ch, i) => view.setUint8(i, ch.charCodeAt(0)));
+  view.setUint16(4, 1); // version 1.0
+  view.setUint16(6, 0);
+  view.setUint32(8, blocks.length);
+
+  return new Blob([header, ...blocks], { type: 'application/octet-stream' });
+}
+
+// ============================================================================
+// GIMP PALETTE (.gpl)
+// ============================================================================
+
+/**
+ * GIMP palette text file. Also read by Inkscape, Krita and Aseprite.
+ */
+export function writeGPL(colors, names, paletteName = 'hex&hue') {
+  const lines = [
+    'GIMP Palette',
+    `Name: ${paletteName}`,
+    `Columns: ${Math.min(colors.length, 16)}`,
+    '#',
+    ...colors.map((c, i) => {
+      const [r, g, b] = rgb8(c).map(v => String(v).padStart(3, ' '));
+      return `${r} ${g} ${b}\t${names[i] || oklchToHex(c)}`;
+    }),
+  ];
+  return new Blob([lines.join('\n') + '\n'], { type: 'text/plain' });
+}
+
+// ============================================================================
+// PROCREATE (.swatches)
+// ============================================================================
+
+// Procreate palettes hold at most 30 swatches
+const PROCREATE_MAX_SWATCHES = 30;
+
+/**
+ * Procreate swatches: a zip archive containing Swatches.json with HSB values.
+ */
+export function writeProcreateSwatches(colors, names, paletteName = 'hex&hue') {
+  const swatches = colors.slice(0, PROCREATE_MAX_SWATCHES).map((c) => {
+    const hsv = toHsv(oklchToHex(c));
+    return {
+      hue: (hsv.h ?? 0) / 360,
+      saturation: hsv.s ?? 0,
+      brightness: hsv.v ?? 0,
+      alpha: 1,
+      colorSpace: 0,
+    };
+  });
+
+  const json = JSON.stringify([{ name: paletteName, swatches }]);
+  return new Blob([zipStore([{ name: 'Swatches.json', data: new TextEncoder().encode(json) }])], {
+    type: 'application/zip',
+  });
+}
+
+// ============================================================================
+// SKETCH (.sketchpalette)
+// ============================================================================
+
+/**
+ * Sketch Palettes plugin file (format 2.0, named colors).
+ */
+export function writeSketchPalette(colors, names) {
+  const palette = {
+    compatibleVersion: '2.0',
+    pluginVersion: '2.22',
+    colors: colors.map((c, i) => {
+      const [r, g, b] = rgb8(c);
+      return { name: names[i] || oklchToHex(c), red: r / 255, green: g / 255, blue: b / 255, alpha: 1 };
+    }),
+  };
+  return new Blob([JSON.stringify(palette, null, 2)], { type: 'application/json' });
+}
+
+// ============================================================================
+// READERS
+// ============================================================================
+
+function readAsciiTag(view, offset, length) {
+  let tag = '';
+  for (let i = 0; i < length; i++) tag += String.fromCharCode(view.getUint8(offset + i));
+  return tag;
+}
+
+// UTF-16BE string of `units` code units; trailing nulls dropped
+function readUtf16(view, offset, units) {
+  let text = '';
+  for (let i = 0; i < units; i++) {
+    const code = view.getUint16(offset + i * 2);
+    if (code !== 0) text += String.fromCharCode(code);
+  }
+  return text;
+}
+
+// Counts and lengths in a cut-off file point past its end, where DataView
+// throws a RangeError; report that as a bad file rather than a crash
+function guardTruncated(read) {
+  try {
+    return read();
+  } catch (err) {
+    if (err instanceof RangeError) throw new Error('This file looks truncated or corrupt');
+    throw err;
+  }
+}
+
+// Naive CMYK → sRGB, matching what most apps show for untagged swatches
+function cmykToRgb(c, m, y, k) {
+  return { mode: 'rgb', r: (1 - c) * (1 - k), g: (1 - m) * (1 - k), b: (1 - y) * (1 - k) };
+}
+
+/**
+ * Read an Adobe Swatch Exchange file. Groups are flattened.
+ * @param {ArrayBuffer} buffer
+ * @returns {Array<{name: string, color: Object}>}
+ */
+export function readASE(buffer) {
+  return guardTruncated(() => readASEEntries(buffer));
+}
+
+function readASEEntries(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 12 || readAsciiTag(view, 0, 4) !== 'ASEF') {
+    throw new Error('Not an Adobe Swatch Exchange file');
+  }
+
+  const count = view.getUint32(8);
+  const swatches = [];
+  let offset = 12;
+
+  for (let i = 0; i < count && offset + 6 <= buffer.byteLength; i++) {
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    const start = offset + 6;
+    offset = start + length;
+    if (type !== ASE_COLOR_ENTRY) continue;
+
+    const nameUnits = view.getUint16(start);
+    const name = readUtf16(view, start + 2, nameUnits);
+    let pos = start + 2 + nameUnits * 2;
+    const model = readAsciiTag(view, pos, 4).trim();
+    pos += 4;
+    const values = [];
+    const channels = { RGB: 3, CMYK: 4, LAB: 3, Gray: 1 }[model] || 0;
+    for (let v = 0; v < channels; v++) values.push(view.getFloat32(pos + v * 4));
+
+    let color = null;
+    if (model === 'RGB') color = { mode: 'rgb', r: values[0], g: values[1], b: values[2] };
+    else if (model === 'CMYK') color = cmykToRgb(...values);
+    else if (model === 'LAB') color = { mode: 'lab', l: values[0] * 100, a: values[1], b: values[2] };
+    else if (model === 'Gray') color = { mode: 'rgb', r: values[0], g: values[0], b: values[0] };
+
+    if (color) swatches.push({ name, color });
+  }
+
+  return swatches;
+}
+
+/**
+ * Read a Photoshop .aco swatch file. Uses the version 2 section (which carries
+ * names) when present.
+ * @param {ArrayBuffer} buffer
+ * @returns {Array<{name: string, color: Object}>}
+ */
+export function readACO(buffer) {
+  return guardTruncated(() => readACOEntries(buffer));
+}
+
+function readACOEntries(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 4 || view.getUint16(0) !== 1) {
+    throw new Error('Not a Photoshop swatch (.aco) file');
+  }
+
+  const readSection = (offset, withNames) => {
+    const count = view.getUint16(offset + 2);
+    const swatches = [];
+    let pos = offset + 4;
+
+    for (let i = 0; i < count; i++) {
+      const space = view.getUint16(pos);
+      const [w, x, y, z] = [2, 4, 6, 8].map(o => view.getUint16(pos + o));
+      // Lab a/b are signed
+      const [labA, labB] = [4, 6].map(o => view.getInt16(pos + o) / 100);
+      pos += 10;
+
+      let name = '';
+      if (withNames) {
+        const units = view.getUint32(pos);
+        name = readUtf16(view, pos + 4, units);
+        pos += 4 + units * 2;
+      }
+
+      let color = null;
+      switch (space) {
+        case 0: color = { mode: 'rgb', r: w / 65535, g: x / 65535, b: y / 65535 }; break;
+        case 1: color = { mode: 'hsv', h: (w / 65535) * 360, s: x / 65535, v: y / 65535 }; break;
+        // Photoshop stores CMYK inverted: 0 is full ink
+        case 2: color = cmykToRgb(1 - w / 65535, 1 - x / 65535, 1 - y / 65535, 1 - z / 65535); break;
+        case 7: color = { mode: 'lab', l: w / 100, a: labA, b: labB }; break;
+        // Grayscale is ink coverage, 10000 = black
+        case 8: color = { mode: 'rgb', r: 1 - w / 10000, g: 1 - w / 10000, b: 1 - w / 10000 }; break;
+      }
+      if (color) swatches.push({ name, color });
+    }
+    return { swatches, end: pos };
+  };
+
+  const v1 = readSection(0, false);
+  if (v1.end + 4 <= buffer.byteLength && view.getUint16(v1.end) === 2) {
+    return readSection(v1.end, true).swatches;
+  }
+  return v1.swatches;
+}
+
+/**
+ * Read a GIMP .gpl palette.
+ * @param {string} text
+ * @returns {Array<{name: string, color: Object}>}
+ */
+export function readGPL(text) {
+  const lines = text.split(/\r?\n/);
+  if (!/^GIMP Palette/.test(lines[0] || '')) throw new Error('Not a GIMP palette file');
+
+  return lines.slice(1).flatMap((line) => {
+    const match = line.match(/^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})\s*(.*)$/);
+    if (!match) return [];
+    const [r, g, b] = match.slice(1, 4).map(v => Math.min(255, Number(v)) / 255);
+    return [{ name: match[4].trim(), color: { mode: 'rgb', r, g, b } }];
+  });
+}
+
+/**
+ * Read a Sketch Palettes file (format 1.x hex strings or 2.x RGB objects).
+ * @param {Object} data - Parsed JSON
+ * @returns {Array<{name: string, color: Object}>}
+ */
+export function readSketchPalette(data) {
+  return (data?.colors || []).flatMap((entry) => {
+    if (typeof entry === 'string') {
+      const color = parseHexString(entry);
+      return color ? [{ name: '', color }] : [];
+    }
+    if (entry && typeof entry.red === 'number') {
+      return [{
+        name: entry.name || '',
+        color: { mode: 'rgb', r: entry.red, g: entry.green, b: entry.blue },
+      }];
+    }
+    return [];
+  });
+}
+
+// Format 1.x writes hex, usually with the #; anything culori can't read is skipped
+function parseHexString(text) {
+  const value = text.trim();
+  try {
+    return parse(value) || parse(`#${value}`) || null;
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================================
+// ZIP (store only)
+// ============================================================================
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const b of bytes) crc = crcTable[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Minimal uncompressed zip archive — enough for Procreate's single-file bundle.
+ * @param {Array<{name: string, data: Uint8Array}>} files
+ * @returns {Uint8Array}
+ */
+function zipStore(files) {
+  const encoder = new TextEncoder();
+  const local = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { name, data } of files) {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    const header = new Uint8Array(30 + nameBytes.length);
+    const lv = new DataView(header.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint16(4, 20, true);          // version needed
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, data.length, true);
+    lv.setUint32(22, data.length, true);
+    lv.setUint16(26, nameBytes.length, true);
+    header.set(nameBytes, 30);
+
+    const entry = new Uint8Array(46 + nameBytes.length);
+    const cv = new DataView(entry.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint16(4, 20, true);          // version made by
+    cv.setUint16(6, 20, true);          // version needed
+    cv.setUint32(16, crc, true);
+    cv.setUint32(20, data.length, true);
+    cv.setUint32(24, data.length, true);
+    cv.setUint16(28, nameBytes.length, true);
+    cv.setUint32(42, offset, true);
+    entry.set(nameBytes, 46);
+
+    local.push(header, data);
+    central.push(entry);
+    offset += header.length + data.length;
+  }
+
+  const centralSize = central.reduce((sum, e) => sum + e.length, 0);
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, files.length, true);
+  ev.setUint16(10, files.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+
+  const parts = [...local, ...central, end];
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let pos = 0;
+  for (const p of parts) { out.set(p, pos); pos += p.length; }
+  return out;
+}
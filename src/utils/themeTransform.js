@@ -0,0 +1,284 @@
+// themeTransform.js - Light ↔ dark theme counterparts
+// Takes a palette, finds its roles with paletteAnalyzer's usage map
+// (background, text, primary, accent, neutral) and builds the opposite
+// theme in OKLCH:
+//   - neutrals, surfaces and text swap ends of the lightness scale through
+//     a monotone map, so their order inverts (light page → dark page, dark
+//     ink → light ink) with hue tint kept
+//   - chromatic colors keep their hue — the brand stays recognizable — and
+//     move toward the lightness that reads on the new surface, with chroma
+//     eased off for dark surfaces (saturated color vibrates on near-black)
+//     and restored going the other way
+// Contrast is then re-checked against the new background: text is held to
+// AA (4.5:1), primary and accent to the 3:1 non-text minimum, adjusting
+// lightness only where the mapping alone falls short.
+
+import { oklchToHex, wcagContrast } from './colorUtils';
+import { fitToSrgb } from './gamutMapping';
+import { generateUsageMap } from './paletteAnalyzer';
+import { suggestContrastFixes } from './contrastFix';
+
+// Below this chroma a color is treated as a neutral and inverted
+const NEUTRAL_CHROMA = 0.06;
+// Dark-theme chroma relative to light-theme chroma
+const DARK_CHROMA = 0.85;
+// Lightness chromatic colors are drawn toward on each theme's surface
+const CHROMATIC_TARGET = { dark: 0.72, light: 0.55 };
+const CHROMATIC_PULL = 0.45;
+
+// Neutral lightness map, light → dark: [light L, dark L], descending
+// (white pages become ~#121212-style surfaces, not pure black)
+const NEUTRAL_MAP = [
+  [1, 0.18],
+  [0.9, 0.25],
+  [0.5, 0.6],
+  [0.3, 0.88],
+  [0, 0.97],
+];
+
+// Used when the palette has no background or text role of its own
+const FALLBACK_SURFACES = {
+  light: { background: { l: 1, c: 0 }, text: { l: 0.2, c: 0.01 } },
+  dark: { background: { l: 0.18, c: 0.01 }, text: { l: 0.94, c: 0.01 } },
+};
+
+// Lightness gap between the darkest and lightest neutral before they're
+// read as a background / text pair
+const MIN_NEUTRAL_SPAN = 0.4;
+
+// Neutrals are left alone: they're often borders or subtle fills
+const ROLE_MINIMUMS = { text: 4.5, primary: 3, accent: 3 };
+
+export const THEME_CSS_MODES = [
+  { id: 'light-dark', label: 'light-dark()', description: 'One declaration per token (CSS Color 5)' },
+  { id: 'media', label: 'prefers-color-scheme', description: 'Separate blocks, widest browser support' },
+];
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * Whether a palette reads as a light or dark theme. Its background sits at
+ * one end of the neutral range and its text at the other, and a light
+ * neutral alone says nothing — every dark palette has one as its text. So
+ * the other neutrals decide: surfaces and borders cluster near the
+ * background (#121212 / #f0f0f5 / #7aa2ff / #ff8a6a / #2a2a33 is dark: the
+ * #2a2a33 surface sides with #121212). Accents don't vote — a saturated
+ * amber or green sits mid-scale on either theme. Without two distinct
+ * neutral ends, or on a tie, average lightness decides (#ffffff / #1a1a24 /
+ * #3b82f6 / #f59e0b / #e5e7eb is light).
+ *
+ * @param {Object[]} colors - OKLCH palette
+ * @returns {'light'|'dark'}
+ */
+export function detectTheme(colors) {
+  const neutrals = colors
+    .filter(c => (c.c ?? 0) < NEUTRAL_CHROMA)
+    .sort((a, b) => (a.l ?? 0) - (b.l ?? 0));
+  const darkEnd = neutrals[0];
+  const lightEnd = neutrals[neutrals.length - 1];
+
+  if (neutrals.length >= 2 && lightEnd.l - darkEnd.l >= MIN_NEUTRAL_SPAN) {
+    // > 0: the surfaces side with the light end
+    const vote = neutrals
+      .slice(1, -1)
+      .reduce((sum, c) => sum + ((c.l ?? 0) - darkEnd.l > lightEnd.l - (c.l ?? 0) ? 1 : -1), 0);
+    if (vote !== 0) return vote > 0 ? 'light' : 'dark';
+  }
+
+  const lightness = colors.reduce((sum, c) => sum + (c.l ?? 0), 0) / (colors.length || 1);
+  return lightness >= 0.5 ? 'light' : 'dark';
+}
+
+// ============================================================================
+// TRANSFORM
+// ============================================================================
+
+/**
+ * Build the light and dark themes for a palette.
+ *
+ * @param {Object[]} colors - OKLCH palette
+ * @param {Object} [options]
+ * @param {'light'|'dark'} [options.source] - Theme the palette already is;
+ *   detected when omitted
+ * @returns {{ source: string, roles: Object, light: Object, dark: Object,
+ *   checks: Object[] }} light/dark: { colors, background, text } with the
+ *   palette colors in their original order; checks: per role, contrast
+ *   against its theme's background in both themes and whether it was adjusted
+ */
+export function createThemePair(colors, options = {}) {
+  const source = options.source || detectTheme(colors);
+  const target = source === 'light' ? 'dark' : 'light';
+  const usage = generateUsageMap(colors);
+  // The usage map assumes a light theme; in a dark one its light "background"
+  // is the text and its dark "text" the background
+  const roles = source === 'dark'
+    ? withRole(withRole(usage, 'background', usage.text), 'text', usage.background)
+    : usage;
+  const hue = colors[roles.primary ?? 0]?.h ?? 0;
+
+  const surface = (theme, role) => colors[roles[role]] && theme === source
+    ? colors[roles[role]]
+    : { mode: 'oklch', ...FALLBACK_SURFACES[theme][role], h: hue };
+
+  const mapped = colors.map(c => transformColor(c, target));
+  const background = roles.background !== undefined ? mapped[roles.background] : surface(target, 'background');
+  const adjusted = new Set();
+
+  // Hold every role to its minimum against the new background
+  Object.entries(ROLE_MINIMUMS).forEach(([role, minimum]) => {
+    const index = roles[role];
+    if (index === undefined || index === roles.background) return;
+    const fixed = ensureContrast(mapped[index], background, minimum, target);
+    if (fixed !== mapped[index]) {
+      mapped[index] = fixed;
+      adjusted.add(index);
+    }
+  });
+
+  const text = roles.text !== undefined
+    ? mapped[roles.text]
+    : ensureContrast(surface(target, 'text'), background, ROLE_MINIMUMS.text, target);
+
+  const themes = {
+    [source]: { colors, background: surface(source, 'background'), text: surface(source, 'text') },
+    [target]: { colors: mapped, background, text },
+  };
+
+  const checks = Object.keys(ROLE_MINIMUMS)
+    .filter(role => roles[role] !== undefined && roles[role] !== roles.background)
+    .map(role => {
+      const index = roles[role];
+      const minimum = ROLE_MINIMUMS[role];
+      const measure = theme => {
+        const ratio = wcagContrast(themes[theme].colors[index], themes[theme].background);
+        return { ratio, passes: ratio >= minimum };
+      };
+      return { role, index, minimum, light: measure('light'), dark: measure('dark'), adjusted: adjusted.has(index) };
+    });
+
+  return { source, roles, ...themes, checks };
+}
+
+/**
+ * One color carried to the other theme, before any contrast adjustment.
+ *
+ * @param {Object} color - OKLCH
+ * @param {'light'|'dark'} target - Theme to produce
+ * @returns {Object} OKLCH, fitted to sRGB
+ */
+export function transformColor(color, target) {
+  const l = color.l ?? 0;
+  const c = color.c ?? 0;
+  const h = color.h ?? 0;
+
+  if (c < NEUTRAL_CHROMA) {
+    const nl = target === 'dark' ? mapNeutral(l, 0, 1) : mapNeutral(l, 1, 0);
+    return fitToSrgb({ mode: 'oklch', l: nl, c, h });
+  }
+
+  const nl = l + (CHROMATIC_TARGET[target] - l) * CHROMATIC_PULL;
+  const nc = target === 'dark' ? c * DARK_CHROMA : c / DARK_CHROMA;
+  return fitToSrgb({ mode: 'oklch', l: nl, c: nc, h });
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Both themes as CSS custom properties: role tokens (--color-background,
+ * --color-text, --color-primary …) plus --color-1 … --color-N.
+ *
+ * @param {Object} pair - From createThemePair
+ * @param {'light-dark'|'media'} [mode='light-dark']
+ * @returns {string}
+ */
+export function formatThemeCss(pair, mode = 'light-dark') {
+  const tokens = themeTokens(pair);
+
+  if (mode === 'media') {
+    const block = (theme, indent) => tokens
+      .map(t => `${indent}${t.name}: ${t[theme]};`)
+      .join('\n');
+    return [
+      '/* hex&hue light + dark themes */',
+      ':root {',
+      '  color-scheme: light;',
+      block('light', '  '),
+      '}',
+      '',
+      '@media (prefers-color-scheme: dark) {',
+      '  :root {',
+      '    color-scheme: dark;',
+      block('dark', '    '),
+      '  }',
+      '}',
+    ].join('\n');
+  }
+
+  return [
+    '/* hex&hue light + dark themes — light-dark() follows color-scheme */',
+    ':root {',
+    '  color-scheme: light dark;',
+    ...tokens.map(t => `  ${t.name}: light-dark(${t.light}, ${t.dark});`),
+    '}',
+  ].join('\n');
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function themeTokens(pair) {
+  const tokens = [
+    { name: '--color-background', light: oklchToHex(pair.light.background), dark: oklchToHex(pair.dark.background) },
+    { name: '--color-text', light: oklchToHex(pair.light.text), dark: oklchToHex(pair.dark.text) },
+  ];
+  ['primary', 'accent', 'neutral'].forEach(role => {
+    const index = pair.roles[role];
+    if (index === undefined) return;
+    tokens.push({
+      name: `--color-${role}`,
+      light: oklchToHex(pair.light.colors[index]),
+      dark: oklchToHex(pair.dark.colors[index]),
+    });
+  });
+  pair.light.colors.forEach((c, i) => {
+    tokens.push({ name: `--color-${i + 1}`, light: oklchToHex(c), dark: oklchToHex(pair.dark.colors[i]) });
+  });
+  return tokens;
+}
+
+function withRole(roles, role, index) {
+  const next = { ...roles };
+  if (index === undefined) delete next[role];
+  else next[role] = index;
+  return next;
+}
+
+// Piecewise-linear lookup in NEUTRAL_MAP; from/to pick the column (0 =
+// light L, 1 = dark L) so the same table runs in both directions
+function mapNeutral(l, from, to) {
+  const points = [...NEUTRAL_MAP].sort((a, b) => a[from] - b[from]);
+  if (l <= points[0][from]) return points[0][to];
+  for (let i = 1; i < points.length; i++) {
+    const [a, b] = [points[i - 1], points[i]];
+    if (l <= b[from]) {
+      const t = (l - a[from]) / (b[from] - a[from]);
+      return a[to] + (b[to] - a[to]) * t;
+    }
+  }
+  return points[points.length - 1][to];
+}
+
+// Lighten (on dark) or darken (on light) just enough to reach the minimum
+function ensureContrast(color, background, minimum, theme) {
+  if (wcagContrast(color, background) >= minimum) return color;
+  const size = minimum >= 4.5 ? 'normal' : 'large';
+  const { suggestions } = suggestContrastFixes(color, oklchToHex(background), { level: 'AA', size });
+  const preferred = suggestions.find(s => s.ids.includes(theme === 'dark' ? 'lighten' : 'darken'))
+    || suggestions[0];
+  return preferred ? preferred.color : color;
+}
@@ -0,0 +1,126 @@
+// viewingConditions.js - Low-vision and environmental viewing simulation
+// How a palette holds up for aging eyes and bad screens. Each condition is
+// an affine transform on linear RGB (out = M·rgb + offset) at a 0–1
+// intensity, optionally with a blur:
+//   reduced contrast sensitivity — contrast pulled toward mid grey, blurred
+//   cataract                     — yellowed lens (blue absorbed) plus
+//                                  scattered, warm veiling light
+//   sunlight glare               — reflected ambient light washing out darks
+//   night shift                  — blue (and some green) cut by the display
+//   low brightness               — display dimmed, with a little reflection
+// The same transform simulates single colors (for the contrast re-check)
+// and drives an SVG filter (feGaussianBlur + feColorMatrix) so mocks and
+// images can be shown under the condition. Blur only affects the filter —
+// it softens edges but doesn't change a flat color.
+
+import { converter, formatHex } from 'culori';
+import { mapToGamut } from './gamutMapping';
+
+const toLrgb = converter('lrgb');
+
+export const VIEWING_CONDITIONS = [
+  { id: 'normal', label: 'Normal', description: 'Typical display, typical eyes' },
+  { id: 'lowContrast', label: 'Reduced contrast sensitivity', description: 'Aging eyes, low vision — blur and contrast loss' },
+  { id: 'cataract', label: 'Cataract', description: 'Yellowed, clouded lens' },
+  { id: 'glare', label: 'Sunlight glare', description: 'Outdoors, reflections washing out the screen' },
+  { id: 'nightShift', label: 'Night shift', description: 'Blue light reduced by the display' },
+  { id: 'lowBrightness', label: 'Low brightness', description: 'Dimmed or battery-saving display' },
+];
+
+export const DEFAULT_VIEWING = { type: 'normal', intensity: 0.6 };
+
+// ============================================================================
+// TRANSFORMS
+// ============================================================================
+
+const IDENTITY = { matrix: [1, 0, 0, 0, 1, 0, 0, 0, 1], offset: [0, 0, 0], blur: 0 };
+
+// Linear-light grey that contrast loss converges on (≈ L* 50)
+const MID_GREY = 0.18;
+// Warm veil scattered by a cataractous lens
+const CATARACT_VEIL = [0.3, 0.25, 0.12];
+
+const diagonal = ([r, g, b]) => [r, 0, 0, 0, g, 0, 0, 0, b];
+
+const TRANSFORMS = {
+  lowContrast: t => {
+    const k = 1 - 0.6 * t;
+    return { matrix: diagonal([k, k, k]), offset: [0, 1, 2].map(() => (1 - k) * MID_GREY), blur: 2 * t };
+  },
+  cataract: t => {
+    const k = 1 - 0.35 * t;
+    const lens = [1 - 0.05 * t, 1 - 0.2 * t, 1 - 0.65 * t];
+    return {
+      matrix: diagonal(lens.map(v => v * k)),
+      offset: CATARACT_VEIL.map(v => v * (1 - k)),
+      blur: 1.2 * t,
+    };
+  },
+  glare: t => {
+    const k = 1 - 0.3 * t;
+    return { matrix: diagonal([k, k, k]), offset: [0, 1, 2].map(() => 0.25 * t), blur: 0 };
+  },
+  nightShift: t => ({ matrix: diagonal([1, 1 - 0.3 * t, 1 - 0.75 * t]), offset: [0, 0, 0], blur: 0 }),
+  lowBrightness: t => {
+    const k = 1 - 0.8 * t;
+    return { matrix: diagonal([k, k, k]), offset: [0, 1, 2].map(() => 0.008 * t), blur: 0 };
+  },
+};
+
+/**
+ * Linear-RGB transform for a condition.
+ *
+ * @param {string} type - VIEWING_CONDITIONS id
+ * @param {number} [intensity=0.6] - 0 (none) … 1 (severe)
+ * @returns {{ matrix: number[], offset: number[], blur: number }}
+ *   matrix row-major 3×3; blur in CSS px
+ */
+export function getViewingTransform(type, intensity = DEFAULT_VIEWING.intensity) {
+  const t = Math.min(1, Math.max(0, intensity));
+  const transform = TRANSFORMS[type];
+  return transform && t > 0 ? transform(t) : IDENTITY;
+}
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+/**
+ * How a flat color appears under a viewing condition.
+ *
+ * @param {Object|string} color - Any culori color or CSS string
+ * @param {string} type - VIEWING_CONDITIONS id
+ * @param {number} [intensity]
+ * @returns {string} hex
+ */
+export function simulateViewing(color, type, intensity) {
+  const rgb = toLrgb(mapToGamut(color, undefined, 'srgb'));
+  if (!rgb) return '#000000';
+  const { matrix: m, offset } = getViewingTransform(type, intensity);
+  const { r = 0, g = 0, b = 0 } = rgb;
+  return formatHex({
+    mode: 'lrgb',
+    r: clamp(m[0] * r + m[1] * g + m[2] * b + offset[0]),
+    g: clamp(m[3] * r + m[4] * g + m[5] * b + offset[1]),
+    b: clamp(m[6] * r + m[7] * g + m[8] * b + offset[2]),
+  });
+}
+
+/**
+ * Attributes for the SVG filter primitives: `values` for a
+ * <feColorMatrix type="matrix"> (4×5, linear RGB) and the
+ * <feGaussianBlur> stdDeviation.
+ */
+export function viewingFilterValues(type, intensity) {
+  const { matrix: m, offset, blur } = getViewingTransform(type, intensity);
+  const row = i => `${m[i * 3].toFixed(6)} ${m[i * 3 + 1].toFixed(6)} ${m[i * 3 + 2].toFixed(6)} 0 ${offset[i].toFixed(6)}`;
+  return { values: `${row(0)} ${row(1)} ${row(2)} 0 0 0 1 0`, blur };
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function clamp(v) {
+  return Math.min(1, Math.max(0, v));
+}
@@ -0,0 +1,166 @@
+// wheelModels.js - Hue models for the color wheel and harmonies
+// The same "rotate the hue by 180°" means different things depending on the
+// wheel you rotate it on:
+//   - OKLCH: perceptual hue; the app's native model
+//   - HSL: the familiar screen wheel (red↔cyan)
+//   - RYB: the painter's wheel, where complements are red↔green,
+//     yellow↔violet and blue↔orange
+// Harmonies rotate hue in the selected model and keep the other channels of
+// that model, then come back to OKLCH.
+
+import { converter } from 'culori';
+import { mapToGamut } from './gamutMapping';
+
+const toOklchRaw = converter('oklch');
+const toHsl = converter('hsl');
+const toHsv = converter('hsv');
+
+export const WHEEL_MODELS = [
+  { id: 'oklch', label: 'OKLCH', hint: 'Perceptual slice at the current lightness, with the gamut boundary' },
+  { id: 'hsl', label: 'HSL', hint: 'Screen wheel — red opposite cyan' },
+  { id: 'ryb', label: 'RYB', hint: "Painter's wheel — red opposite green, yellow opposite violet" },
+];
+
+export const DEFAULT_WHEEL_MODEL = 'oklch';
+
+// ============================================================================
+// RYB ↔ RGB HUE
+// ============================================================================
+
+// Piecewise-linear map between RYB and RGB (HSV) hue angles. RYB spreads
+// the red–yellow stretch over a third of the circle and squeezes green–blue,
+// which puts each primary opposite its painter's complement.
+const RYB_TO_RGB_HUE = [
+  [0, 0],      // red
+  [60, 35],    // orange
+  [120, 60],   // yellow
+  [180, 120],  // green
+  [240, 225],  // blue
+  [300, 280],  // violet
+  [360, 360],
+];
+
+export function rybToRgbHue(hue) {
+  return interpolateHue(hue, 0, 1);
+}
+
+export function rgbToRybHue(hue) {
+  return interpolateHue(hue, 1, 0);
+}
+
+// ============================================================================
+// MODEL HUE
+// ============================================================================
+
+/**
+ * Hue of a color in a wheel model (degrees).
+ */
+export function getModelHue(color, model = DEFAULT_WHEEL_MODEL) {
+  if (model === 'hsl') return toHsl(toSrgb(color))?.h ?? 0;
+  if (model === 'ryb') return rgbToRybHue(toHsv(toSrgb(color))?.h ?? 0);
+  return toOklchRaw(color)?.h ?? 0;
+}
+
+/**
+ * Give a color a new hue in a wheel model, keeping that model's other
+ * channels (OKLCH lightness/chroma, HSL saturation/lightness, or HSV
+ * saturation/value for RYB).
+ *
+ * @returns {Object} OKLCH color
+ */
+export function setModelHue(color, hue, model = DEFAULT_WHEEL_MODEL) {
+  const h = normalizeHue(hue);
+
+  if (model === 'hsl') {
+    return oklchOf({ ...toHsl(toSrgb(color)), mode: 'hsl', h });
+  }
+  if (model === 'ryb') {
+    return oklchOf({ ...toHsv(toSrgb(color)), mode: 'hsv', h: rybToRgbHue(h) });
+  }
+  return { ...oklchOf(color), h };
+}
+
+/**
+ * Rotate a color's hue by `degrees` in a wheel model.
+ *
+ * @returns {Object} OKLCH color
+ */
+export function rotateInModel(color, degrees, model = DEFAULT_WHEEL_MODEL) {
+  if (model === 'oklch') {
+    const c = oklchOf(color);
+    return { ...c, h: normalizeHue(c.h + degrees) };
+  }
+  return setModelHue(color, getModelHue(color, model) + degrees, model);
+}
+
+// ============================================================================
+// WHEEL GEOMETRY
+// ============================================================================
+
+/**
+ * Color at a point on the wheel.
+ *
+ * @param {string} model
+ * @param {number} hue - Model hue (degrees)
+ * @param {number} radius - 0 (center) … 1 (rim)
+ * @param {Object} options
+ * @param {number} options.lightness - OKLCH lightness of the slice
+ * @param {number} options.maxChroma - OKLCH chroma at the rim
+ * @returns {Object} OKLCH color
+ */
+export function wheelColorAt(model, hue, radius, { lightness, maxChroma }) {
+  if (model === 'hsl') {
+    return oklchOf({ mode: 'hsl', h: normalizeHue(hue), s: radius, l: 0.5 });
+  }
+  if (model === 'ryb') {
+    return oklchOf({ mode: 'hsv', h: rybToRgbHue(normalizeHue(hue)), s: radius, v: 1 });
+  }
+  return { mode: 'oklch', l: lightness, c: radius * maxChroma, h: normalizeHue(hue) };
+}
+
+/**
+ * Where a color sits on the wheel: model hue and radius (0–1).
+ */
+export function wheelPositionOf(color, model, { maxChroma }) {
+  if (model === 'hsl') {
+    const hsl = toHsl(toSrgb(color));
+    return { hue: hsl?.h ?? 0, radius: Math.min(1, hsl?.s ?? 0) };
+  }
+  if (model === 'ryb') {
+    const hsv = toHsv(toSrgb(color));
+    return { hue: rgbToRybHue(hsv?.h ?? 0), radius: Math.min(1, hsv?.s ?? 0) };
+  }
+  const c = oklchOf(color);
+  return { hue: c.h, radius: Math.min(1, c.c / maxChroma) };
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// HSL/HSV channels only mean something for displayable colors
+function toSrgb(color) {
+  return mapToGamut(color, 'css4', 'srgb');
+}
+
+function oklchOf(color) {
+  const c = toOklchRaw(color);
+  return { mode: 'oklch', l: c?.l ?? 0, c: c?.c ?? 0, h: c?.h ?? 0 };
+}
+
+function normalizeHue(h) {
+  return ((h % 360) + 360) % 360;
+}
+
+function interpolateHue(hue, from, to) {
+  const h = normalizeHue(hue);
+  for (let i = 1; i < RYB_TO_RGB_HUE.length; i++) {
+    const a = RYB_TO_RGB_HUE[i - 1];
+    const b = RYB_TO_RGB_HUE[i];
+    if (h <= b[from]) {
+      const t = (h - a[from]) / (b[from] - a[from]);
+      return a[to] + t * (b[to] - a[to]);
+    }
+  }
+  return h;
+}